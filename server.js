@@ -1,19 +1,30 @@
 const express = require('express');
 const WebSocket = require('ws');
 const net = require('net');
+const tls = require('tls');
 const path = require('path');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const http2 = require('http2');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
 const DATA_DIR = process.env.DATA_DIR || '/data';
 const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
 const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
+const CAPACITY_FILE = path.join(DATA_DIR, 'capacity.json');
+const LEDGER_FILE = path.join(DATA_DIR, 'energy-ledger.json');
+const PRICE_IMPORT_FILE = path.join(DATA_DIR, 'price-imports.json');
+const PAUSE_FILE = path.join(DATA_DIR, 'pause-state.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+// CSV/JSON price files dropped here are imported automatically
+const PRICE_IMPORT_DIR = process.env.PRICE_IMPORT_DIR || path.join(DATA_DIR, 'price-import');
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // price imports can hold a month of quarter-hours
 app.use(express.static('public'));
 
 // ============================================================================
@@ -25,14 +36,240 @@ const ELECTRICITY_ZONES = {
     name: 'Norge',
     currency: 'NOK',
     vatRate: 0.25, // 25% MVA
+    timezone: 'Europe/Oslo',
+    provider: 'hvakosterstrommen',
+    priceModes: ['norgespris', 'stromstotteavtale', 'contract'],
+    defaultPriceMode: 'stromstotteavtale',
     zones: {
       'NO1': { name: 'Oslo / Øst-Norge', city: 'Oslo' },
       'NO2': { name: 'Kristiansand / Sør-Norge', city: 'Kristiansand' },
       'NO3': { name: 'Trondheim / Midt-Norge', city: 'Trondheim' },
       'NO4': { name: 'Tromsø / Nord-Norge', city: 'Tromsø', vatRate: 0 }, // No VAT in Nord-Norge
       'NO5': { name: 'Bergen / Vest-Norge', city: 'Bergen' }
-    },
-    apiBaseUrl: 'https://www.hvakosterstrommen.no/api/v1/prices'
+    }
+  },
+  sweden: {
+    name: 'Sverige',
+    currency: 'SEK',
+    vatRate: 0.25, // 25% moms
+    timezone: 'Europe/Stockholm',
+    provider: 'elprisetjustnu',
+    priceModes: ['spot', 'contract'],
+    defaultPriceMode: 'spot',
+    zones: {
+      'SE1': { name: 'Luleå / Norra Sverige', city: 'Luleå' },
+      'SE2': { name: 'Sundsvall / Norra Mellansverige', city: 'Sundsvall' },
+      'SE3': { name: 'Stockholm / Södra Mellansverige', city: 'Stockholm' },
+      'SE4': { name: 'Malmö / Södra Sverige', city: 'Malmö' }
+    }
+  },
+  denmark: {
+    name: 'Danmark',
+    currency: 'DKK',
+    vatRate: 0.25, // 25% moms
+    timezone: 'Europe/Copenhagen',
+    provider: 'energidataservice',
+    priceModes: ['spot', 'contract'],
+    defaultPriceMode: 'spot',
+    zones: {
+      'DK1': { name: 'Vestdanmark (Jylland/Fyn)', city: 'Aarhus' },
+      'DK2': { name: 'Østdanmark (Sjælland)', city: 'København' }
+    }
+  },
+  finland: {
+    name: 'Finland',
+    currency: 'EUR',
+    vatRate: 0.255, // 25.5% ALV
+    timezone: 'Europe/Helsinki',
+    provider: 'entsoe',
+    priceModes: ['spot', 'contract'],
+    defaultPriceMode: 'spot',
+    zones: {
+      'FI': { name: 'Suomi / Finland', city: 'Helsinki', eic: '10YFI-1--------U' }
+    }
+  },
+  germany: {
+    name: 'Tyskland',
+    currency: 'EUR',
+    vatRate: 0.19, // 19% MwSt
+    timezone: 'Europe/Berlin',
+    provider: 'entsoe',
+    priceModes: ['spot', 'contract'],
+    defaultPriceMode: 'spot',
+    zones: {
+      'DE-LU': { name: 'Deutschland / Luxemburg', city: 'Berlin', eic: '10Y1001A1001A82H' }
+    }
+  }
+};
+
+// Day-ahead results for tomorrow are published around 12:45-13:00 CET
+const DAY_AHEAD_PUBLISH_HOUR = 13;
+
+// Used when neither config.timezone nor the country defines one
+const DEFAULT_TIMEZONE = 'Europe/Oslo';
+
+// Spot price assumed when no real or imported price covers the current period
+// (override with config.fallbackPrice); always reported as priceStatus 'fallback'
+const FALLBACK_ELECTRICITY_PRICE = 1.0;
+
+// Norgespris: fixed price per kWh excluding VAT (0.50 NOK incl. 25% MVA) for a
+// monthly volume per metering point; consumption above it is billed at spot.
+// Holiday homes get a smaller volume - set config.norgespris.monthlyCapKwh.
+const NORGESPRIS = { priceExVat: 0.40, monthlyCapKwh: 5000 };
+
+// Strømstøtte (Norwegian household electricity subsidy) by effective date.
+// The state covers `coverage` of each hour's spot price above `thresholdExVat`
+// (the zone's VAT is added), for at most `monthlyCapKwh` per metering point.
+// Next year's parameters can go in config.stromstotteRules without a code change.
+const STROMSTOTTE_RULES = [
+  { validFrom: '2023-09-01', thresholdExVat: 0.70, coverage: 0.90, monthlyCapKwh: 5000 },
+  { validFrom: '2024-01-01', thresholdExVat: 0.73, coverage: 0.90, monthlyCapKwh: 5000 },
+  { validFrom: '2025-01-01', thresholdExVat: 0.75, coverage: 0.90, monthlyCapKwh: 5000 }
+];
+
+// ============================================================================
+// Grid Tariff Presets (nettleie)
+// ============================================================================
+// A tariff prices grid energy per kWh:
+//   periods     time-of-use windows checked in order, first match wins:
+//               { id, name, days: [0-6] (0 = Sunday, omit for every day),
+//                 from: 'HH:MM', to: 'HH:MM', excludeHolidays }
+//   defaultPeriod  { id, name } for every time no period matches
+//   seasons     { id, name, months: [1-12], rates: { [periodId]: energy charge } }
+//   components  extra per-kWh charges, a number or { [seasonId]: number }
+//               (consumptionTax = elavgift, enova = Enova-avgift)
+//   holidays    holiday calendar treated like weekends ('NO'), if any
+//   vatIncluded true when all amounts already include VAT; otherwise the
+//               price zone's VAT is added on top
+// Preset rates are approximate 2025 figures excluding VAT; check your grid
+// company's price list and use a custom tariff for exact numbers.
+
+// Elavgift per kWh excluding VAT (reduced rate in Finnmark/Nord-Troms not included)
+const NORWEGIAN_CONSUMPTION_TAX = 0.1253;
+
+const GRID_TARIFF_PRESETS = {
+  bkk: {
+    name: 'BKK',
+    description: 'Vestland: dag 06–22 hverdager, natt/helg/helligdag billigere',
+    holidays: 'NO',
+    vatIncluded: false,
+    periods: [
+      { id: 'day', name: 'Dag', days: [1, 2, 3, 4, 5], from: '06:00', to: '22:00', excludeHolidays: true }
+    ],
+    defaultPeriod: { id: 'offpeak', name: 'Natt/helg' },
+    seasons: [
+      { id: 'all', name: 'Hele året', months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], rates: { day: 0.2200, offpeak: 0.1400 } }
+    ],
+    components: { consumptionTax: NORWEGIAN_CONSUMPTION_TAX, enova: 0.01 }
+  },
+  elvia: {
+    name: 'Elvia',
+    description: 'Østlandet: dag 06–22 alle dager, egne vintersatser',
+    holidays: 'NO',
+    vatIncluded: false,
+    periods: [
+      { id: 'day', name: 'Dag', from: '06:00', to: '22:00' }
+    ],
+    defaultPeriod: { id: 'night', name: 'Natt' },
+    seasons: [
+      { id: 'winter', name: 'Vinter', months: [1, 2, 3], rates: { day: 0.2345, night: 0.1745 } },
+      { id: 'summer', name: 'Sommer', months: [4, 5, 6, 7, 8, 9, 10, 11, 12], rates: { day: 0.1850, night: 0.1250 } }
+    ],
+    components: { consumptionTax: NORWEGIAN_CONSUMPTION_TAX, enova: 0.01 }
+  },
+  tensio: {
+    name: 'Tensio',
+    description: 'Trøndelag: lik energisats hele døgnet, høyere vinter (nov–mar)',
+    holidays: 'NO',
+    vatIncluded: false,
+    periods: [],
+    defaultPeriod: { id: 'all', name: 'Hele døgnet' },
+    seasons: [
+      { id: 'winter', name: 'Vinter', months: [1, 2, 3, 11, 12], rates: { all: 0.1940 } },
+      { id: 'summer', name: 'Sommer', months: [4, 5, 6, 7, 8, 9, 10], rates: { all: 0.1460 } }
+    ],
+    components: { consumptionTax: NORWEGIAN_CONSUMPTION_TAX, enova: 0.01 }
+  }
+};
+
+// ============================================================================
+// Electricity Price Providers
+// ============================================================================
+
+/**
+ * Day-ahead price sources, referenced by ELECTRICITY_ZONES[country].provider.
+ * fetchDay() returns one delivery day as [{ start, end, price, eur }] where
+ * price is per kWh excluding VAT in the country's currency. `date` is the
+ * start of the delivery day in `timeZone`.
+ */
+const PRICE_PROVIDERS = {
+  hvakosterstrommen: {
+    name: 'hvakosterstrommen.no',
+    apiBaseUrl: 'https://www.hvakosterstrommen.no/api/v1/prices',
+    fetchDay({ zone, date, timeZone }) {
+      return fetchDailyPriceFile(this.apiBaseUrl, zone, getDateParts(date, timeZone), 'NOK_per_kWh');
+    }
+  },
+  elprisetjustnu: {
+    name: 'elprisetjustnu.se',
+    apiBaseUrl: 'https://www.elprisetjustnu.se/api/v1/prices',
+    fetchDay({ zone, date, timeZone }) {
+      return fetchDailyPriceFile(this.apiBaseUrl, zone, getDateParts(date, timeZone), 'SEK_per_kWh');
+    }
+  },
+  energidataservice: {
+    name: 'Energi Data Service',
+    apiBaseUrl: 'https://api.energidataservice.dk/dataset/DayAheadPrices',
+    async fetchDay({ zone, date, timeZone }) {
+      const { year, month, day } = getDateParts(date, timeZone);
+      const next = getDateParts(getZonedDayStart(date, timeZone, 1), timeZone);
+      const filter = encodeURIComponent(JSON.stringify({ PriceArea: [zone] }));
+      const url = `${this.apiBaseUrl}?start=${year}-${month}-${day}&end=${next.year}-${next.month}-${next.day}` +
+        `&filter=${filter}&sort=TimeUTC%20asc`;
+      console.log(`Fetching electricity prices from: ${url}`);
+
+      const data = await httpsGet(url);
+      const records = Array.isArray(data?.records) ? data.records : [];
+
+      return records.map((r, idx) => {
+        const start = new Date(`${r.TimeUTC}Z`);
+        // The last record has no successor, so it reuses the step of the one before it
+        const neighbour = records[idx + 1] || records[idx - 1];
+        const durationMs = neighbour
+          ? Math.abs(new Date(`${neighbour.TimeUTC}Z`) - start)
+          : 60 * 60 * 1000;
+        return {
+          start: start.toISOString(),
+          end: new Date(start.getTime() + durationMs).toISOString(),
+          price: r.DayAheadPriceDKK / 1000, // DKK/MWh -> DKK/kWh
+          eur: r.DayAheadPriceEUR / 1000
+        };
+      });
+    }
+  },
+  entsoe: {
+    // ENTSO-E publishes every bidding zone in EUR, so it only suits euro countries
+    name: 'ENTSO-E Transparency Platform',
+    apiBaseUrl: 'https://web-api.tp.entsoe.eu/api',
+    requiresApiKey: true,
+    async fetchDay({ zone, zoneConfig, date, timeZone, apiKey }) {
+      if (!apiKey) {
+        throw new Error(`ENTSO-E API key required for zone ${zone}`);
+      }
+
+      const dayStart = getZonedDayStart(date, timeZone);
+      const dayEnd = getZonedDayStart(date, timeZone, 1);
+      const url = `${this.apiBaseUrl}?securityToken=${encodeURIComponent(apiKey)}&documentType=A44` +
+        `&in_Domain=${zoneConfig.eic}&out_Domain=${zoneConfig.eic}` +
+        `&periodStart=${formatEntsoeTime(dayStart)}&periodEnd=${formatEntsoeTime(dayEnd)}`;
+      console.log(`Fetching electricity prices from ENTSO-E for ${zone}`);
+
+      const xml = await httpsGet(url);
+      return parseEntsoePrices(xml).filter(p => {
+        const start = new Date(p.start);
+        return start >= dayStart && start < dayEnd;
+      });
+    }
   }
 };
 
@@ -69,6 +306,12 @@ let networkStatsCache = {
 let minerStatsCache = {
   miners: [],
   alerts: [],
+  capacity: null,
+  autoProfile: null,
+  heatingPlan: null,
+  thermostat: null,
+  groups: [],
+  pricing: null,  // effective price and subsidy ledger for the global electricity card
   fetchedAt: null,
   isPolling: false
 };
@@ -77,6 +320,51 @@ let minerStatsCache = {
 let alertHistory = [];
 let lastAlertTimes = {}; // Track when each alert type last fired for cooldown
 
+// Capacity tariff tracking - hourly consumption for the current month
+let capacityState = {
+  month: null,       // 'YYYY-MM' in the price timezone
+  hours: {},         // hour start (UTC ISO) -> { day: 'YYYY-MM-DD', kWh }
+  guard: { active: false, hour: null, loweredMiners: [] }
+};
+let householdLoadReading = null; // { watts, receivedAt } pushed by a meter reader (e.g. HAN port)
+
+// Month-to-date energy ledger - consumption, spot cost and strømstøtte
+let energyLedger = {
+  month: null,
+  startedAt: null,   // first sample this month (tracking may start mid-month)
+  kWh: 0,
+  spotCost: 0,       // kWh x spot price incl. VAT
+  subsidyEligibleKwh: 0,
+  subsidyAmount: 0,
+  norgesprisKwh: 0   // kWh billed at the Norgespris fixed price
+};
+let consumptionSampling = { lastSampleAt: null, lastSavedAt: 0 };
+
+// Day-ahead prices uploaded by hand or read from PRICE_IMPORT_DIR (prices ex. VAT)
+let priceImports = {
+  zones: {}          // zone -> [{ start, end, price, source, importedAt }]
+};
+let priceImportScanTimer = null;
+
+// Price-driven profile scheduler - per-miner rule state and recent automatic switches
+let autoProfileState = {};   // ip -> { ruleIndex, lastSwitchAt, lastFailedAt, overrideUntil, status }
+let autoProfileLog = [];
+let profileSwitchSaveQueue = Promise.resolve();
+let heatingPlanState = {};   // ip -> { days: { [yyyy-mm-dd]: plan }, lastFailedAt }
+
+// Room temperature sensors (HTTP push or MQTT) and per-miner thermostat state
+let sensorReadings = {};     // sensor id -> { temperature, receivedAt, source }
+let mqttSensors = { key: null, socket: null, status: 'disabled', error: null, pingTimer: null, reconnectTimer: null };
+let thermostatState = {};    // ip -> { demand, integral, lastRunAt, lastSwitchAt, lastFailedAt, status, ... }
+
+// Power change tracking
+let powerChangeState = {};   // ip -> { status: pending|applied|failed, targetW, confirmedW, measuredW, settled, error, ... }
+let pauseState = {};         // ip -> { paused, reason: manual|sleep|price, since, override, error }
+let pauseCommands = {};      // ip -> 'pause' | 'resume' while the command runs in the background
+
+// Remote maintenance actions (reboot, restart, ...) and their progress
+let maintenanceState = {};   // ip -> { action, status, startedAt, wentDownAt?, backAt?, durationMs?, error? }
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -113,6 +401,121 @@ function httpsGet(url) {
   });
 }
 
+// ============================================================================
+// Timezone Helpers
+// ============================================================================
+// Prices, tariffs and schedules follow the wall clock of the price zone, not
+// the container's clock (Docker images usually run in UTC).
+
+const zonedFormatters = new Map();
+
+function getZonedFormatter(timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return zonedFormatters.get(timeZone);
+}
+
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getZonedFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in the given timezone
+ * @returns {object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedDateParts(date, timeZone) {
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const parts = {};
+  for (const { type, value } of getZonedFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of the timezone from UTC at the given instant, in milliseconds
+ */
+function getTimezoneOffsetMs(date, timeZone) {
+  const p = getZonedDateParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant at which the wall clock in `timeZone` shows the given date and time.
+ * Month overflow is allowed (day 32 rolls into the next month), like Date.UTC.
+ */
+function zonedTimeToDate(timeZone, year, month, day, hour = 0, minute = 0) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffsetMs(new Date(guess - getTimezoneOffsetMs(new Date(guess), timeZone)), timeZone);
+  return new Date(guess - offset);
+}
+
+/**
+ * Start of the local day containing `date`, shifted by `dayOffset` days.
+ * DST days are 23 or 25 hours long, so never add 24h to get the next day.
+ */
+function getZonedDayStart(date, timeZone, dayOffset = 0) {
+  const p = getZonedDateParts(date, timeZone);
+  return zonedTimeToDate(timeZone, p.year, p.month, p.day + dayOffset);
+}
+
+/**
+ * Timezone for price, tariff and schedule calculations:
+ * config.timezone, else the price country's timezone
+ */
+function resolveTimezone(config, country) {
+  if (isValidTimezone(config?.timezone)) {
+    return config.timezone;
+  }
+  const countryConfig = ELECTRICITY_ZONES[country || config?.country || 'norway'];
+  return countryConfig?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Zero-padded calendar parts of a date in the price zone's timezone, as used in daily price file URLs
+ */
+function getDateParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedDateParts(date, timeZone);
+  return {
+    year: p.year,
+    month: String(p.month).padStart(2, '0'),
+    day: String(p.day).padStart(2, '0')
+  };
+}
+
+/**
+ * Format a date as the UTC yyyyMMddHHmm timestamp ENTSO-E expects
+ */
+function formatEntsoeTime(date) {
+  return date.toISOString().replace(/[-:T]/g, '').substring(0, 12);
+}
+
 /**
  * Fetch temperature and fan data from Braiins OS GraphQL API
  * This is more reliable than CGMiner API for temperature data
@@ -122,7 +525,7 @@ async function fetchBraiinsGraphQL(ip) {
   
   // First, authenticate with LuCI to get a session token
   console.log('Authenticating with LuCI...');
-  const sessionToken = await getSessionViaWebUI(ip, 'root', 'root');
+  const sessionToken = await getSessionViaWebUI(ip);
   
   if (sessionToken) {
     console.log('Got session token, will use for GraphQL requests');
@@ -490,7 +893,7 @@ async function fetchBraiinsGraphQL(ip) {
  * This is required for accessing bosminer data on BOSer
  * Handles redirects to capture the session cookie
  */
-function luciLogin(ip, username = 'root', password = 'root') {
+function luciLogin(ip, username = 'root', password = getMinerPassword(ip, 'root')) {
   return new Promise((resolve, reject) => {
     const postData = `luci_username=${encodeURIComponent(username)}&luci_password=${encodeURIComponent(password)}`;
     
@@ -659,7 +1062,7 @@ function followRedirect(ip, location, existingCookies = '') {
 /**
  * Alternative: Try to get a session by accessing the web UI first
  */
-async function getSessionViaWebUI(ip, username = 'root', password = 'root') {
+async function getSessionViaWebUI(ip, username = 'root', password = getMinerPassword(ip, 'root')) {
   // Method 1: Try standard LuCI login
   let session = await luciLogin(ip, username, password);
   if (session) return session;
@@ -826,7 +1229,7 @@ async function fetchBraiinsHTTPApi(ip) {
  * Authenticate with Braiins OS Public REST API
  * Returns an auth token for subsequent requests
  */
-async function braiinsRestAuth(ip, username = 'root', password = '') {
+async function braiinsRestAuth(ip, username = 'root', password = getMinerPassword(ip, '')) {
   return new Promise((resolve, reject) => {
     const postData = JSON.stringify({ username, password });
 
@@ -929,6 +1332,57 @@ async function braiinsRestFetch(ip, endpoint, token = null) {
   });
 }
 
+/**
+ * Send a write action (PUT, e.g. /api/v1/actions/pause) to the Braiins OS Public REST API
+ * Resolves { ok, status, body } and never rejects
+ */
+async function braiinsRestAction(ip, endpoint, token, body = null, method = 'PUT') {
+  return new Promise((resolve) => {
+    const payload = body ? JSON.stringify(body) : '';
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const req = http.request({
+      hostname: ip,
+      port: 80,
+      path: endpoint,
+      method,
+      headers,
+      timeout: 10000
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = null;
+        try {
+          parsed = data ? JSON.parse(data) : null;
+        } catch (err) {
+          parsed = data;
+        }
+        resolve({ ok: res.statusCode >= 200 && res.statusCode < 300, status: res.statusCode, body: parsed });
+      });
+    });
+
+    req.on('error', (err) => {
+      console.error(`REST ${method} error for ${endpoint}:`, err.message);
+      resolve({ ok: false, status: null, error: err.message });
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      console.error(`REST ${method} timeout for ${endpoint}`);
+      resolve({ ok: false, status: null, error: 'timeout' });
+    });
+
+    req.end(payload);
+  });
+}
+
 /**
  * Fetch all available stats from Braiins OS Public REST API
  * Returns comprehensive debug data
@@ -977,1194 +1431,5802 @@ async function fetchBraiinsRestApiStats(ip) {
 }
 
 // ============================================================================
-// External API Functions
+// Braiins OS gRPC Public API
 // ============================================================================
+// Current Braiins OS releases serve the public API (braiins.bos.v1) as gRPC on
+// port 50051: miner details and stats, hashboards, cooling, pools and the tuner
+// in a few calls. It is spoken here over Node's http2 module with a minimal
+// protobuf codec, so no generated code or .proto files are needed. Calls carry
+// the token from AuthenticationService/Login in the `authorization` header.
+
+const BRAIINS_GRPC_PORT = 50051;
+const BRAIINS_GRPC_TIMEOUT_MS = 10000;
+// After a miner turns out not to serve gRPC, the older paths are used this long before trying it again
+const BRAIINS_GRPC_RETRY_MS = 10 * 60 * 1000;
+const GRPC_STATUS_UNIMPLEMENTED = 12;
+const GRPC_SAVE_AND_APPLY = 2; // braiins.bos.v1.SaveAction
+
+// Last time each miner failed to serve gRPC (ip -> timestamp)
+const braiinsGrpcUnavailableAt = {};
+
+function encodeVarint(value) {
+  const bytes = [];
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+  return Buffer.from(bytes);
+}
 
-async function fetchElectricityPrices(country = 'norway', zone = 'NO5') {
-  try {
-    const countryConfig = ELECTRICITY_ZONES[country];
-    if (!countryConfig) {
-      throw new Error(`Unknown country: ${country}`);
-    }
-    
-    const zoneConfig = countryConfig.zones[zone];
-    if (!zoneConfig) {
-      throw new Error(`Unknown zone: ${zone} for country ${country}`);
-    }
-    
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    
-    const url = `${countryConfig.apiBaseUrl}/${year}/${month}-${day}_${zone}.json`;
-    console.log(`Fetching electricity prices from: ${url}`);
-    
-    const prices = await httpsGet(url);
-    
-    if (!Array.isArray(prices) || prices.length === 0) {
-      throw new Error('Invalid price data received');
+/**
+ * Encode a protobuf message from { fieldNumber: value }: numbers and booleans as
+ * varints, strings as UTF-8 and objects as nested messages
+ */
+function encodeProtobuf(fields) {
+  const parts = [];
+  for (const [number, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      parts.push(encodeVarint(number * 8), encodeVarint(Number(value)));
+    } else {
+      const bytes = typeof value === 'string' ? Buffer.from(value) : encodeProtobuf(value);
+      parts.push(encodeVarint(number * 8 + 2), encodeVarint(bytes.length), bytes);
     }
-    
-    const vatRate = zoneConfig.vatRate !== undefined ? zoneConfig.vatRate : countryConfig.vatRate;
-    const vatMultiplier = 1 + vatRate;
-    
-    const currentHour = now.getHours();
-    const currentPrice = prices.find(p => {
-      const priceHour = new Date(p.time_start).getHours();
-      return priceHour === currentHour;
-    });
-    
-    const pricesWithVat = prices.map(p => p.NOK_per_kWh * vatMultiplier);
-    const avgPrice = pricesWithVat.reduce((a, b) => a + b, 0) / pricesWithVat.length;
-    const minPrice = Math.min(...pricesWithVat);
-    const maxPrice = Math.max(...pricesWithVat);
-    
-    electricityPriceCache = {
-      prices: prices.map(p => ({
-        time: p.time_start,
-        priceExVat: p.NOK_per_kWh,
-        priceIncVat: p.NOK_per_kWh * vatMultiplier,
-        eur: p.EUR_per_kWh
-      })),
-      currentPrice: currentPrice ? currentPrice.NOK_per_kWh * vatMultiplier : avgPrice,
-      avgPrice,
-      minPrice,
-      maxPrice,
-      fetchedAt: new Date().toISOString(),
-      zone,
-      country,
-      zoneName: zoneConfig.name,
-      currency: countryConfig.currency,
-      vatRate
-    };
-    
-    console.log(`Electricity prices updated for ${zone}: ${electricityPriceCache.currentPrice.toFixed(2)} ${countryConfig.currency}/kWh`);
-    return electricityPriceCache;
-  } catch (err) {
-    console.error('Failed to fetch electricity prices:', err.message);
-    return electricityPriceCache;
   }
+  return Buffer.concat(parts);
 }
 
-async function fetchBTCPrice() {
-  try {
-    const url = 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,nok,eur,sek';
-    const data = await httpsGet(url);
-    
-    if (data.bitcoin) {
-      btcPriceCache = {
-        priceUSD: data.bitcoin.usd,
-        priceNOK: data.bitcoin.nok,
-        priceEUR: data.bitcoin.eur,
-        priceSEK: data.bitcoin.sek,
-        fetchedAt: new Date().toISOString()
-      };
-      
-      console.log(`BTC price updated: $${btcPriceCache.priceUSD.toLocaleString()} / ${btcPriceCache.priceNOK.toLocaleString()} NOK`);
-    }
-    
-    return btcPriceCache;
-  } catch (err) {
-    console.error('Failed to fetch BTC price:', err.message);
-    return btcPriceCache;
+/**
+ * Decode a protobuf message into { fieldNumber: [values] } without a schema:
+ * varints as numbers, everything else as Buffers. The pb* readers below
+ * interpret a field as the type the .proto declares for it
+ */
+function decodeProtobuf(buffer) {
+  const fields = {};
+  let offset = 0;
+  const readVarint = () => {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      if (offset >= buffer.length) throw new Error('Truncated protobuf message');
+      byte = buffer[offset++];
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+    return result;
+  };
+  const readBytes = (length) => {
+    if (offset + length > buffer.length) throw new Error('Truncated protobuf message');
+    offset += length;
+    return buffer.subarray(offset - length, offset);
+  };
+
+  while (offset < buffer.length) {
+    const key = readVarint();
+    const wireType = key % 8;
+    let value;
+    if (wireType === 0) value = readVarint();
+    else if (wireType === 1) value = readBytes(8);
+    else if (wireType === 2) value = readBytes(readVarint());
+    else if (wireType === 5) value = readBytes(4);
+    else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    const number = Math.floor(key / 8);
+    (fields[number] = fields[number] || []).push(value);
   }
+  return fields;
 }
 
-async function fetchNetworkStats() {
+// proto3 leaves out zero values, so absent scalars read as null
+const pbMessage = (fields, number) => fields?.[number] ? decodeProtobuf(fields[number][0]) : null;
+const pbMessages = (fields, number) => (fields?.[number] || []).map(decodeProtobuf);
+const pbNumber = (fields, number) => fields?.[number]?.[0] ?? null;
+const pbDouble = (fields, number) => fields?.[number]?.[0]?.readDoubleLE(0) ?? null;
+const pbString = (fields, number) => fields?.[number]?.[0]?.toString('utf8') ?? null;
+
+/**
+ * One unary call (e.g. 'MinerService/GetMinerStats') on an open HTTP/2 session.
+ * Rejects with err.grpcStatus set when the miner answers with a gRPC error
+ */
+function braiinsGrpcUnary(session, method, request = {}, token = null) {
+  return new Promise((resolve, reject) => {
+    const payload = encodeProtobuf(request);
+    const frame = Buffer.alloc(5 + payload.length);
+    frame.writeUInt32BE(payload.length, 1);
+    payload.copy(frame, 5);
+
+    const stream = session.request({
+      ':method': 'POST',
+      ':path': `/braiins.bos.v1.${method}`,
+      'content-type': 'application/grpc',
+      te: 'trailers',
+      ...(token && { authorization: token })
+    });
+
+    const chunks = [];
+    let status = null;
+    let message = '';
+    // Errors without a body come back "trailers-only", in the response headers
+    const readStatus = (headers) => {
+      if (headers['grpc-status'] !== undefined) {
+        status = Number(headers['grpc-status']);
+        message = decodeURIComponent(headers['grpc-message'] || '');
+      }
+    };
+
+    stream.setTimeout(BRAIINS_GRPC_TIMEOUT_MS, () => stream.close(http2.constants.NGHTTP2_CANCEL));
+    stream.on('response', readStatus);
+    stream.on('trailers', readStatus);
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('close', () => {
+      if (status === null) {
+        return reject(new Error(`gRPC ${method}: no reply (timeout or connection closed)`));
+      }
+      if (status !== 0) {
+        const err = new Error(`gRPC ${method} failed: ${message || `status ${status}`}`);
+        err.grpcStatus = status;
+        return reject(err);
+      }
+      const body = Buffer.concat(chunks);
+      try {
+        resolve(body.length >= 5 ? decodeProtobuf(body.subarray(5, 5 + body.readUInt32BE(1))) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    stream.end(frame);
+  });
+}
+
+/**
+ * Connect to port 50051, log in and run fn(call) with call(method, request).
+ * Throws when the miner has no gRPC API, and skips it for BRAIINS_GRPC_RETRY_MS after that
+ */
+async function withBraiinsGrpc(ip, fn) {
+  const unavailableAt = braiinsGrpcUnavailableAt[ip];
+  if (unavailableAt && Date.now() - unavailableAt < BRAIINS_GRPC_RETRY_MS) {
+    throw new Error('gRPC API not available');
+  }
+
+  const session = http2.connect(`http://${ip}:${BRAIINS_GRPC_PORT}`);
+  session.on('error', err => console.log(`gRPC session error for ${ip}:`, err.message));
   try {
-    const statsUrl = 'https://api.blockchain.info/stats';
-    const stats = await httpsGet(statsUrl);
-    
-    if (stats && stats.difficulty) {
-      const hashrateEHs = stats.hash_rate / 1e9;
-      
-      networkStatsCache = {
-        difficulty: stats.difficulty,
-        hashrate: hashrateEHs,
-        hashrateFormatted: `${hashrateEHs.toFixed(2)} EH/s`,
-        blockHeight: stats.n_blocks_total,
-        blockReward: 3.125,
-        blocksPerDay: 144,
-        marketPriceUSD: stats.market_price_usd,
-        fetchedAt: new Date().toISOString()
-      };
-      
-      console.log(`Network stats updated: Difficulty ${(networkStatsCache.difficulty / 1e12).toFixed(2)}T, Hashrate ${networkStatsCache.hashrateFormatted}`);
+    let token;
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('gRPC connect timeout')), BRAIINS_GRPC_TIMEOUT_MS);
+        session.once('connect', () => { clearTimeout(timer); resolve(); });
+        session.once('error', err => { clearTimeout(timer); reject(err); });
+      });
+      const login = await braiinsGrpcUnary(session, 'AuthenticationService/Login', { 1: 'root', 2: getMinerPassword(ip, '') });
+      token = pbString(login, 1);
+    } catch (err) {
+      // No connection or no such service; a rejected login is reported, not remembered
+      if (err.grpcStatus === undefined || err.grpcStatus === GRPC_STATUS_UNIMPLEMENTED) {
+        braiinsGrpcUnavailableAt[ip] = Date.now();
+      }
+      throw err;
     }
-    
-    return networkStatsCache;
-  } catch (err) {
-    console.error('Failed to fetch network stats:', err.message);
-    return networkStatsCache;
+    delete braiinsGrpcUnavailableAt[ip];
+
+    return await fn((method, request) => braiinsGrpcUnary(session, method, request, token));
+  } finally {
+    session.destroy();
   }
 }
 
 /**
- * Determine grid fee based on day of week and time
- * @param {object} config - Configuration with gridFeeWeekdayDay and gridFeeWeekendNight
- * @param {Date} date - Optional date to check (defaults to now)
- * @returns {number} - The applicable grid fee
+ * Hardware stats over gRPC: MinerService (details, stats, hashboards),
+ * CoolingService and PoolService, in the raw driver shape
  */
-function getGridFeeForTime(config, date = new Date()) {
-  const dayOfWeek = date.getDay(); // 0 = Sunday, 6 = Saturday
-  const hour = date.getHours();
+async function fetchBraiinsGrpcStats(ip) {
+  return withBraiinsGrpc(ip, async (call) => {
+    const [details, stats, hashboards, cooling, poolGroups] = await Promise.all([
+      call('MinerService/GetMinerDetails'),
+      call('MinerService/GetMinerStats'),
+      call('MinerService/GetHashboards'),
+      call('CoolingService/GetCoolingState'),
+      call('PoolService/GetPoolGroups').catch(err => {
+        console.log('gRPC pool groups error:', err.message);
+        return {};
+      })
+    ]);
 
-  // Weekend (Saturday=6, Sunday=0) or weekday night (22:00-06:00)
-  const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-  const isNightTime = hour < 6 || hour >= 22;
+    // WorkSolverStats.real_hashrate: last_5s = 1, last_1m = 4, last_15m = 6, last_24h = 9, since_restart = 10
+    const realHashrate = pbMessage(pbMessage(stats, 2), 1);
+    const terahash = (period) => {
+      const gigahash = pbDouble(pbMessage(realHashrate, period), 1);
+      return gigahash === null ? null : gigahash / 1000;
+    };
 
-  if (isWeekend || isNightTime) {
-    return config.gridFeeWeekendNight || 0.30;
-  } else {
-    return config.gridFeeWeekdayDay || 0.50;
-  }
+    const boards = pbMessages(hashboards, 1).map(board => ({
+      id: pbString(board, 1),
+      temp: pbDouble(pbMessage(board, 7), 1),
+      chipTemp: pbDouble(pbMessage(pbMessage(board, 6), 2), 1)
+    }));
+    const chipTemps = boards.map(b => b.chipTemp).filter(t => t !== null);
+    const fanRpms = pbMessages(cooling, 1).map(fan => pbNumber(fan, 2) ?? 0);
+
+    const pools = pbMessages(poolGroups, 1).flatMap(group => pbMessages(group, 5)).map(pool => ({
+      url: pbString(pool, 2),
+      user: pbString(pool, 3),
+      alive: pbNumber(pool, 5) === 1,
+      active: pbNumber(pool, 6) === 1,
+      accepted: pbNumber(pbMessage(pool, 7), 1) ?? 0,
+      rejected: pbNumber(pbMessage(pool, 7), 2) ?? 0
+    }));
+    const pool = pools.find(p => p.active) || pools.find(p => p.alive);
+    const poolStats = pbMessage(stats, 1);
+
+    const summary = {
+      hostname: pbString(details, 6),
+      bosVersion: pbString(pbMessage(details, 5), 1),
+      bosminerUptimeS: pbNumber(details, 10),
+      powerW: pbNumber(pbMessage(pbMessage(stats, 3), 1), 1),
+      hashrateTHs: { last5s: terahash(1), last1m: terahash(4), last15m: terahash(6), last24h: terahash(9), sinceRestart: terahash(10) },
+      highestTemp: pbDouble(pbMessage(pbMessage(cooling, 2), 2), 1),
+      boards,
+      fans: fanRpms,
+      pools
+    };
+
+    return {
+      hashrate: summary.hashrateTHs.last5s || 0,
+      hashrate1m: summary.hashrateTHs.last1m,
+      hashrate15m: summary.hashrateTHs.last15m,
+      hashrate24h: summary.hashrateTHs.last24h,
+      hashrateAv: summary.hashrateTHs.sinceRestart,
+      temperature: chipTemps.length > 0 ? Math.max(...chipTemps) : summary.highestTemp,
+      powerDraw: summary.powerW ?? 0,
+      uptime: summary.bosminerUptimeS || 0,
+      boards,
+      fans: Object.fromEntries(fanRpms.slice(0, 4).map((rpm, i) => [`speed${i + 1}`, rpm])),
+      poolStatus: pool?.alive ? 'Connected' : 'Disconnected',
+      poolUrl: pool?.url || 'Not connected',
+      acceptedShares: pool ? pool.accepted : pbNumber(poolStats, 1) ?? 0,
+      rejectedShares: pool ? pool.rejected : pbNumber(poolStats, 2) ?? 0,
+      bestDifficulty: pbNumber(poolStats, 5),
+      _debug: {
+        grpcAvailable: true,
+        grpc: summary
+      }
+    };
+  });
 }
 
 /**
- * Calculate mining profitability and efficiency metrics
- * @param {number} electricityPricePerKWh - The effective price (spot or spot+grid fee)
+ * PerformanceService/SetPowerTarget, saved and applied at once
  */
-function calculateEfficiency(hashrateTHs, powerWatts, electricityPricePerKWh, btcPrice, currency = 'NOK') {
-  const networkHashrateEHs = networkStatsCache.hashrate || 700;
-  const blockReward = networkStatsCache.blockReward || 3.125;
-  const blocksPerDay = networkStatsCache.blocksPerDay || 144;
-  
-  const hashrateEHs = hashrateTHs / 1000000;
-  const dailyBTCEstimate = (hashrateEHs / networkHashrateEHs) * blockReward * blocksPerDay;
-  
-  const powerKW = powerWatts / 1000;
-  const dailyKWh = powerKW * 24;
-  const dailyElectricityCost = dailyKWh * electricityPricePerKWh;
-  
-  const dailyEarnings = dailyBTCEstimate * btcPrice;
-  const dailyProfit = dailyEarnings - dailyElectricityCost;
-  
-  const efficiency = hashrateTHs / powerKW;
-  const costPerTH = dailyElectricityCost / hashrateTHs;
-  const hashprice = dailyEarnings / hashrateTHs;
-  
-  const heatOutputKWh = dailyKWh;
-  const equivalentHeatPumpCost = dailyKWh / 3.5 * electricityPricePerKWh;
-  const heatingSavings = equivalentHeatPumpCost - dailyElectricityCost + dailyEarnings;
-  
-  const effectiveMultiplier = dailyEarnings / dailyElectricityCost;
-  const effectiveSCOP = 1 / (1 - Math.min(effectiveMultiplier, 0.99));
-  
-  return {
-    powerKW,
-    dailyKWh,
-    dailyBTCEstimate,
-    dailyEarnings,
-    hourlyEarnings: dailyEarnings / 24,
-    dailyElectricityCost,
-    hourlyElectricityCost: dailyElectricityCost / 24,
-    dailyProfit,
-    hourlyProfit: dailyProfit / 24,
-    isProfitable: dailyProfit > 0,
-    efficiency,
-    costPerTH,
-    hashprice,
-    networkHashrate: networkHashrateEHs,
-    networkDifficulty: networkStatsCache.difficulty,
-    heatOutputKWh,
-    equivalentHeatPumpCost,
-    heatingSavings,
-    effectiveSCOP: Math.min(effectiveSCOP, 10),
-    breakevenBTCPrice: dailyElectricityCost / dailyBTCEstimate,
-    currentBTCPrice: btcPrice,
-    currency
-  };
+async function braiinsGrpcSetPowerTarget(ip, watts) {
+  await withBraiinsGrpc(ip, call => call('PerformanceService/SetPowerTarget', {
+    1: GRPC_SAVE_AND_APPLY,
+    2: { 1: watts }
+  }));
+}
+
+/**
+ * Current power target from PerformanceService/GetTunerState, or null when the
+ * tuner isn't in power target mode
+ */
+async function braiinsGrpcReadPowerTarget(ip) {
+  const state = await withBraiinsGrpc(ip, call => call('PerformanceService/GetTunerState'));
+  const watts = pbNumber(pbMessage(pbMessage(state, 2), 2), 1);
+  return watts > 0 ? watts : null;
 }
 
 // ============================================================================
-// Miner Communication Functions
+// External API Functions
 // ============================================================================
 
-async function sendCGMinerCommand(ip, command) {
-  return new Promise((resolve, reject) => {
-    const client = net.connect(4028, ip, () => {
-      const request = JSON.stringify(command);
-      console.log(`Sending to ${ip}:4028:`, request);
-      client.write(request);
-    });
-
-    let data = '';
-    
-    client.on('data', (chunk) => {
-      data += chunk.toString();
-    });
-
-    client.on('end', () => {
-      try {
-        const cleaned = data.replace(/\0/g, '');
-        console.log(`Response from ${ip}:`, cleaned.substring(0, 500) + '...');
-        const parsed = JSON.parse(cleaned);
-        resolve(parsed);
-      } catch (err) {
-        reject(new Error('Failed to parse miner response: ' + err.message));
-      }
-    });
+/**
+ * Fetch a daily price file in the hvakosterstrommen.no / elprisetjustnu.se format
+ * @param {object} dateParts - Delivery day from getDateParts()
+ * @param {string} priceField - Field holding the local currency price, e.g. NOK_per_kWh
+ */
+async function fetchDailyPriceFile(apiBaseUrl, zone, dateParts, priceField) {
+  const { year, month, day } = dateParts;
+  const url = `${apiBaseUrl}/${year}/${month}-${day}_${zone}.json`;
+  console.log(`Fetching electricity prices from: ${url}`);
 
-    client.on('error', (err) => {
-      console.error(`Connection error to ${ip}:4028:`, err.message);
-      reject(new Error('Connection error: ' + err.message));
-    });
+  const prices = await httpsGet(url);
+  if (!Array.isArray(prices)) {
+    return [];
+  }
 
-    client.setTimeout(10000, () => {
-      client.destroy();
-      reject(new Error('Connection timeout - miner not responding on port 4028'));
-    });
-  });
+  return prices.map(p => ({
+    start: p.time_start,
+    end: p.time_end,
+    price: p[priceField],
+    eur: p.EUR_per_kWh
+  }));
 }
 
 /**
- * Extract temperature from various possible field names in Braiins OS stats
- * Checks multiple data sources: stats, devs, and all stats combined
+ * Parse an ENTSO-E day-ahead (A44) XML document into price entries.
+ * Points omitted by the A03 curve type repeat the previous price. When the
+ * document carries several resolutions for the same day, the finest one wins.
  */
-function extractTemperatures(statsData, devsData = {}, allStatsData = {}) {
-  // Merge all data sources for searching
-  const combinedData = { ...allStatsData, ...statsData, ...devsData };
-  
-  // Debug: Log all keys to help identify the correct field names
-  console.log('Combined data keys for temp search:', Object.keys(combinedData).join(', '));
-  
-  const temps = {
-    board1: null,
-    board2: null,
-    board3: null,
-    chip: null
-  };
-  
-  // List all numeric fields for debugging
-  const numericFields = {};
-  for (const [key, value] of Object.entries(combinedData)) {
-    if (typeof value === 'number') {
-      numericFields[key] = value;
-    }
-  }
-  console.log('All numeric fields:', JSON.stringify(numericFields, null, 2));
-  
-  // Common Braiins OS field patterns for S19 series
-  // Pattern 1: temp_chip_X, temp_pcb_X
-  if (combinedData.temp_chip_1 !== undefined) {
-    temps.board1 = combinedData.temp_pcb_1 || combinedData.temp_chip_1;
-    temps.board2 = combinedData.temp_pcb_2 || combinedData.temp_chip_2;
-    temps.board3 = combinedData.temp_pcb_3 || combinedData.temp_chip_3;
-    temps.chip = Math.max(
-      combinedData.temp_chip_1 || 0,
-      combinedData.temp_chip_2 || 0,
-      combinedData.temp_chip_3 || 0
-    );
-    console.log('Found temps using pattern: temp_chip_X');
-  }
-  // Pattern 2: temp1, temp2, temp3 (older format)
-  else if (combinedData.temp1 !== undefined) {
-    temps.board1 = combinedData.temp1;
-    temps.board2 = combinedData.temp2;
-    temps.board3 = combinedData.temp3;
-    temps.chip = combinedData.temp || Math.max(temps.board1 || 0, temps.board2 || 0, temps.board3 || 0);
-    console.log('Found temps using pattern: temp1/temp2/temp3');
-  }
-  // Pattern 3: temp2_1, temp2_2, temp2_3 (some Antminer models)
-  else if (combinedData.temp2_1 !== undefined) {
-    temps.board1 = combinedData.temp2_1;
-    temps.board2 = combinedData.temp2_2;
-    temps.board3 = combinedData.temp2_3;
-    temps.chip = Math.max(temps.board1 || 0, temps.board2 || 0, temps.board3 || 0);
-    console.log('Found temps using pattern: temp2_X');
-  }
-  // Pattern 4: Temperature field from devs
-  else if (combinedData.Temperature !== undefined) {
-    temps.chip = combinedData.Temperature;
-    console.log('Found temps using pattern: Temperature (devs)');
+function parseEntsoePrices(xml) {
+  if (typeof xml !== 'string') {
+    return [];
   }
-  // Pattern 5: Check for chain_ prefixed fields
-  else if (Object.keys(combinedData).some(k => k.startsWith('chain_'))) {
-    for (let i = 1; i <= 3; i++) {
-      const tempKey = `chain_temp${i}` || `chain${i}_temp`;
-      if (combinedData[tempKey] !== undefined) {
-        temps[`board${i}`] = combinedData[tempKey];
-      }
-    }
-    console.log('Found temps using pattern: chain_tempX');
+
+  if (!xml.includes('<TimeSeries>')) {
+    const reason = xml.match(/<text>([^<]*)<\/text>/);
+    console.log('ENTSO-E returned no prices:', reason ? reason[1] : xml.substring(0, 200));
+    return [];
   }
-  
-  // Pattern 6: Search for any field containing 'temp' (fallback)
-  if (temps.chip === null) {
-    const tempFields = [];
-    for (const [key, value] of Object.entries(combinedData)) {
-      if (typeof value === 'number' && key.toLowerCase().includes('temp') && value > 0 && value < 150) {
-        tempFields.push({ key, value });
-        console.log(`Found potential temperature field: ${key} = ${value}`);
-        
-        if (key.toLowerCase().includes('chip')) {
-          temps.chip = value;
-        } else if (key.includes('1') && temps.board1 === null) {
-          temps.board1 = value;
-        } else if (key.includes('2') && temps.board2 === null) {
-          temps.board2 = value;
-        } else if (key.includes('3') && temps.board3 === null) {
-          temps.board3 = value;
-        }
+
+  const periods = (xml.match(/<Period>[\s\S]*?<\/Period>/g) || []).map(period => {
+    const resolution = period.match(/<resolution>PT(\d+)M<\/resolution>/);
+    const points = new Map();
+    for (const point of period.match(/<Point>[\s\S]*?<\/Point>/g) || []) {
+      const position = parseInt(point.match(/<position>(\d+)<\/position>/)?.[1]);
+      const amount = parseFloat(point.match(/<price\.amount>([^<]+)<\/price\.amount>/)?.[1]);
+      if (!isNaN(position) && !isNaN(amount)) {
+        points.set(position, amount);
       }
     }
-    if (tempFields.length > 0) {
-      console.log('Found temps using pattern: search for *temp*');
-    }
+    return {
+      start: new Date(period.match(/<start>([^<]+)<\/start>/)?.[1]),
+      end: new Date(period.match(/<end>([^<]+)<\/end>/)?.[1]),
+      resolutionMinutes: resolution ? parseInt(resolution[1]) : 60,
+      points
+    };
+  }).filter(period => !isNaN(period.start) && !isNaN(period.end));
+
+  if (periods.length === 0) {
+    return [];
   }
-  
-  // Pattern 7: Look for fields that might be temperatures by value range (20-100°C typical)
-  if (temps.chip === null) {
-    const potentialTemps = [];
-    for (const [key, value] of Object.entries(combinedData)) {
-      // Skip known non-temperature fields
-      const skipKeys = ['elapsed', 'uptime', 'accepted', 'rejected', 'hw', 'diff', 'power', 'watt', 'freq', 'rate', 'speed', 'rpm', 'ghs', 'mhs', 'ths'];
-      const keyLower = key.toLowerCase();
-      if (typeof value === 'number' && value >= 20 && value <= 100 && 
-          !skipKeys.some(skip => keyLower.includes(skip))) {
-        potentialTemps.push({ key, value });
+
+  const finestResolution = Math.min(...periods.map(p => p.resolutionMinutes));
+  const prices = [];
+
+  for (const period of periods.filter(p => p.resolutionMinutes === finestResolution)) {
+    const stepMs = period.resolutionMinutes * 60 * 1000;
+    const slotCount = Math.round((period.end - period.start) / stepMs);
+    let lastAmount = null;
+
+    for (let position = 1; position <= slotCount; position++) {
+      if (period.points.has(position)) {
+        lastAmount = period.points.get(position);
       }
+      if (lastAmount === null) continue;
+
+      const slotStart = new Date(period.start.getTime() + (position - 1) * stepMs);
+      prices.push({
+        start: slotStart.toISOString(),
+        end: new Date(slotStart.getTime() + stepMs).toISOString(),
+        price: lastAmount / 1000, // EUR/MWh -> EUR/kWh
+        eur: lastAmount / 1000
+      });
     }
-    if (potentialTemps.length > 0) {
-      console.log('Potential temperature fields by value range:', potentialTemps);
-    }
-  }
-  
-  // If we still have no chip temp, use the max of board temps
-  if (temps.chip === null && (temps.board1 || temps.board2 || temps.board3)) {
-    temps.chip = Math.max(temps.board1 || 0, temps.board2 || 0, temps.board3 || 0);
   }
-  
-  console.log('Final extracted temperatures:', temps);
-  return temps;
+
+  return prices.sort((a, b) => new Date(a.start) - new Date(b.start));
 }
 
 /**
- * Extract fan speeds from stats data
+ * Find the price period (15, 30 or 60 minutes) containing `date`
+ * @returns {object|null} - Cached price entry or null when outside the horizon
  */
-function extractFanSpeeds(statsData, devsData = {}, allStatsData = {}) {
-  const combinedData = { ...allStatsData, ...statsData, ...devsData };
-  
-  const fans = {
-    speed1: null,
-    speed2: null,
-    speed3: null,
-    speed4: null
-  };
-  
-  // Common patterns
-  if (combinedData.fan1 !== undefined) {
-    fans.speed1 = combinedData.fan1;
-    fans.speed2 = combinedData.fan2;
-    fans.speed3 = combinedData.fan3;
-    fans.speed4 = combinedData.fan4;
-    console.log('Found fans using pattern: fan1/fan2/fan3/fan4');
-  } else if (combinedData.fan_speed_in !== undefined) {
-    fans.speed1 = combinedData.fan_speed_in;
-    fans.speed2 = combinedData.fan_speed_out;
-    console.log('Found fans using pattern: fan_speed_in/out');
-  } else if (combinedData.Fan1 !== undefined) {
-    fans.speed1 = combinedData.Fan1;
-    fans.speed2 = combinedData.Fan2;
-    fans.speed3 = combinedData.Fan3;
-    fans.speed4 = combinedData.Fan4;
-    console.log('Found fans using pattern: Fan1/Fan2/Fan3/Fan4');
-  } else if (combinedData['Fan Speed In'] !== undefined) {
-    fans.speed1 = combinedData['Fan Speed In'];
-    fans.speed2 = combinedData['Fan Speed Out'];
-    console.log('Found fans using pattern: Fan Speed In/Out');
+function findPricePeriod(prices, date = new Date()) {
+  const t = date.getTime();
+  return prices.find(p => new Date(p.time).getTime() <= t && new Date(p.timeEnd).getTime() > t) || null;
+}
+
+/**
+ * Length of the shortest period in a price series, in minutes
+ */
+function getPriceResolutionMinutes(prices) {
+  const durations = prices
+    .map(p => (new Date(p.timeEnd) - new Date(p.time)) / 60000)
+    .filter(minutes => minutes > 0);
+  return durations.length > 0 ? Math.min(...durations) : 60;
+}
+
+/**
+ * Summarize cached prices for the day containing `now`: the price in effect
+ * right now plus today's average, min and max (all incl. VAT).
+ * The average is weighted by period length, so mixed resolutions stay correct.
+ */
+function summarizeDayPrices(prices, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const dayStart = getZonedDayStart(now, timeZone);
+  const dayEnd = getZonedDayStart(now, timeZone, 1);
+  const todayPrices = prices.filter(p => {
+    const start = new Date(p.time);
+    return start >= dayStart && start < dayEnd;
+  });
+
+  if (todayPrices.length === 0) {
+    return { currentPrice: null, currentPeriodStart: null, currentPeriodEnd: null, avgPrice: null, minPrice: null, maxPrice: null };
   }
-  
-  // Search for fan fields if not found
-  if (fans.speed1 === null) {
-    for (const [key, value] of Object.entries(combinedData)) {
-      if (typeof value === 'number' && key.toLowerCase().includes('fan') && value > 0) {
-        console.log(`Found potential fan field: ${key} = ${value}`);
-        if (fans.speed1 === null && (key.includes('1') || key.toLowerCase().includes('in'))) {
-          fans.speed1 = value;
-        } else if (fans.speed2 === null && (key.includes('2') || key.toLowerCase().includes('out'))) {
-          fans.speed2 = value;
-        } else if (fans.speed3 === null && key.includes('3')) {
-          fans.speed3 = value;
-        } else if (fans.speed4 === null && key.includes('4')) {
-          fans.speed4 = value;
-        }
-      }
-    }
+
+  const current = findPricePeriod(prices, now);
+  const values = todayPrices.map(p => p.priceIncVat);
+  let weightedSum = 0;
+  let totalMs = 0;
+  for (const p of todayPrices) {
+    const durationMs = new Date(p.timeEnd) - new Date(p.time);
+    weightedSum += p.priceIncVat * durationMs;
+    totalMs += durationMs;
   }
-  
-  // Look for RPM values that might be fans (typically 1000-10000 range)
-  if (fans.speed1 === null) {
-    const potentialFans = [];
-    for (const [key, value] of Object.entries(combinedData)) {
-      if (typeof value === 'number' && value >= 500 && value <= 10000 && 
-          (key.toLowerCase().includes('rpm') || key.toLowerCase().includes('speed'))) {
-        potentialFans.push({ key, value });
+  const avgPrice = totalMs > 0 ? weightedSum / totalMs : values.reduce((a, b) => a + b, 0) / values.length;
+
+  return {
+    currentPrice: current ? current.priceIncVat : avgPrice,
+    currentPeriodStart: current ? current.time : null,
+    currentPeriodEnd: current ? current.timeEnd : null,
+    avgPrice,
+    minPrice: Math.min(...values),
+    maxPrice: Math.max(...values)
+  };
+}
+
+async function fetchElectricityPrices(country = 'norway', zone = 'NO5') {
+  try {
+    const countryConfig = ELECTRICITY_ZONES[country];
+    if (!countryConfig) {
+      throw new Error(`Unknown country: ${country}`);
+    }
+    
+    const zoneConfig = countryConfig.zones[zone];
+    if (!zoneConfig) {
+      throw new Error(`Unknown zone: ${zone} for country ${country}`);
+    }
+
+    const provider = PRICE_PROVIDERS[countryConfig.provider];
+    if (!provider) {
+      throw new Error(`Unknown price provider: ${countryConfig.provider}`);
+    }
+
+    const config = await loadConfig();
+    const timeZone = resolveTimezone(config, country);
+    const now = new Date();
+    const today = getZonedDayStart(now, timeZone);
+    const tomorrow = getZonedDayStart(now, timeZone, 1);
+    const fetchDay = (date) => provider.fetchDay({
+      zone,
+      zoneConfig,
+      date,
+      timeZone,
+      apiKey: config.entsoeApiKey || process.env.ENTSOE_API_KEY
+    });
+    
+    const todayPrices = await fetchDay(today);
+    
+    if (!Array.isArray(todayPrices) || todayPrices.length === 0) {
+      throw new Error('Invalid price data received');
+    }
+
+    // Tomorrow's prices only exist once the day-ahead auction has been published
+    let tomorrowPrices = [];
+    if (getZonedDateParts(now, timeZone).hour >= DAY_AHEAD_PUBLISH_HOUR) {
+      try {
+        tomorrowPrices = await fetchDay(tomorrow);
+      } catch (err) {
+        console.log(`Tomorrow's prices not available yet for ${zone}:`, err.message);
+      }
+      if (!Array.isArray(tomorrowPrices)) {
+        tomorrowPrices = [];
       }
     }
-    if (potentialFans.length > 0) {
-      console.log('Potential fan fields by value range:', potentialFans);
+
+    await applyPriceSeries(country, zone, [...todayPrices, ...tomorrowPrices], { config, now });
+    electricityPriceCache = {
+      ...electricityPriceCache,
+      fetchedAt: now.toISOString(),
+      lastFetchError: null,
+      lastFetchErrorAt: null
+    };
+    
+    console.log(`Electricity prices updated for ${zone}: ${electricityPriceCache.currentPrice.toFixed(2)} ${countryConfig.currency}/kWh` +
+      (electricityPriceCache.tomorrowAvailable ? ' (tomorrow included)' : ''));
+    return electricityPriceCache;
+  } catch (err) {
+    console.error('Failed to fetch electricity prices:', err.message);
+    electricityPriceCache = {
+      ...electricityPriceCache,
+      lastFetchError: err.message,
+      lastFetchErrorAt: new Date().toISOString()
+    };
+    // Keep what we have and let imported prices fill the periods it doesn't cover
+    if (ELECTRICITY_ZONES[country]?.zones[zone]) {
+      try {
+        await applyPriceSeries(country, zone);
+      } catch (importErr) {
+        console.error('Failed to apply imported prices:', importErr.message);
+      }
     }
+    return electricityPriceCache;
   }
-  
-  console.log('Final extracted fan speeds:', fans);
-  return fans;
 }
 
-// ============================================================================
-// Alert System
-// ============================================================================
+/**
+ * Make a price series the cached prices: provider periods ({ start, end, price ex. VAT })
+ * plus imported periods where the provider has none, priced with VAT, grid fee and strømstøtte.
+ * Without providerPeriods the provider data already cached for the zone is kept.
+ * @returns {boolean} - false when there was nothing to cache
+ */
+async function applyPriceSeries(country, zone, providerPeriods = null, { config = null, now = new Date() } = {}) {
+  const countryConfig = ELECTRICITY_ZONES[country];
+  const zoneConfig = countryConfig.zones[zone];
+  const provider = PRICE_PROVIDERS[countryConfig.provider];
+  config = config || await loadConfig();
+  const timeZone = resolveTimezone(config, country);
+
+  const sameZone = electricityPriceCache.country === country && electricityPriceCache.zone === zone;
+  const cachedPeriods = (sameZone ? electricityPriceCache.prices : [])
+    .filter(p => p.source !== 'import')
+    .map(p => ({ start: p.time, end: p.timeEnd, price: p.priceExVat, eur: p.eur }));
+  const basePeriods = providerPeriods || cachedPeriods;
+
+  const dayStart = getZonedDayStart(now, timeZone);
+  const overlapsProvider = (p) => basePeriods.some(b =>
+    new Date(p.start) < new Date(b.end) && new Date(p.end) > new Date(b.start));
+  const importedPeriods = (priceImports.zones[zone] || [])
+    .filter(p => new Date(p.end) > dayStart && !overlapsProvider(p));
+
+  if (basePeriods.length === 0 && importedPeriods.length === 0) return false;
+
+  const vatRate = getZoneVatRate(country, zone);
+  const vatMultiplier = 1 + vatRate;
+
+  // Grid fees depend only on the period's start, so they are priced once per fetch
+  const tariffConfig = { ...config, country, electricityZone: zone };
+  const gridTariff = resolveGridTariff(tariffConfig);
+
+  const toPrice = (p, source) => {
+    const gridFee = getGridFeeBreakdown(tariffConfig, new Date(p.start));
+    const priceIncVat = p.price * vatMultiplier;
+    return {
+      time: p.start,
+      timeEnd: p.end,
+      priceExVat: p.price,
+      priceIncVat,
+      eur: p.eur,
+      gridFee: gridFee.total,
+      gridPeriod: gridFee.holiday ? `${gridFee.periodName} (${gridFee.holiday})` : gridFee.periodName,
+      // Strømstøtte per kWh under the rules in effect on the period's date (Norway only)
+      subsidy: countryConfig.priceModes.includes('stromstotteavtale')
+        ? calculateStromstotte(priceIncVat, tariffConfig, new Date(p.start)).amount
+        : undefined,
+      source,
+      importSource: source === 'import' ? p.source : undefined
+    };
+  };
+
+  const prices = [
+    ...basePeriods.map(p => toPrice(p, 'provider')),
+    ...importedPeriods.map(p => toPrice(p, 'import'))
+  ].sort((a, b) => new Date(a.time) - new Date(b.time));
+  const tomorrowStart = getZonedDayStart(now, timeZone, 1);
+
+  electricityPriceCache = {
+    ...electricityPriceCache,
+    prices,
+    ...summarizeDayPrices(prices, now, timeZone),
+    resolutionMinutes: getPriceResolutionMinutes(prices),
+    timezone: timeZone,
+    gridTariff: { id: gridTariff.id, name: gridTariff.name },
+    tomorrowAvailable: prices.some(p => new Date(p.time) >= tomorrowStart),
+    horizonEnd: prices[prices.length - 1].timeEnd,
+    importedPeriods: importedPeriods.length,
+    zone,
+    country,
+    zoneName: zoneConfig.name,
+    currency: countryConfig.currency,
+    vatRate,
+    provider: countryConfig.provider,
+    providerName: provider.name,
+    priceModes: countryConfig.priceModes,
+    defaultPriceMode: countryConfig.defaultPriceMode
+  };
+  return true;
+}
 
 /**
- * Check miner stats against alert thresholds and create alerts
- * @param {Object} stats - Miner statistics
- * @param {Object} alertConfig - Alert configuration
- * @param {string} minerName - Name of the miner
- * @returns {Array} Array of triggered alerts
+ * Drop yesterday's prices at midnight so the current price and daily stats
+ * come from the new day, even if the next fetch fails
  */
-function checkAlerts(stats, alertConfig, minerName) {
-  if (!alertConfig || !alertConfig.enabled) {
-    return [];
-  }
+function rollElectricityPriceCache(now = new Date()) {
+  const timeZone = electricityPriceCache.timezone || DEFAULT_TIMEZONE;
+  const dayStart = getZonedDayStart(now, timeZone);
+  const prices = electricityPriceCache.prices.filter(p => new Date(p.timeEnd) > dayStart);
+  const tomorrowStart = getZonedDayStart(now, timeZone, 1);
+
+  electricityPriceCache = {
+    ...electricityPriceCache,
+    prices,
+    ...summarizeDayPrices(prices, now, timeZone),
+    resolutionMinutes: getPriceResolutionMinutes(prices),
+    tomorrowAvailable: prices.some(p => new Date(p.time) >= tomorrowStart),
+    horizonEnd: prices.length > 0 ? prices[prices.length - 1].timeEnd : null
+  };
 
-  const alerts = [];
-  const now = Date.now();
-  const cooldownMs = (alertConfig.cooldownMinutes || 15) * 60 * 1000;
+  console.log(`Electricity price cache rolled over: ${prices.length} price periods kept`);
+}
 
-  // Helper to check if we should fire an alert (respects cooldown)
-  const shouldAlert = (alertKey) => {
-    const lastTime = lastAlertTimes[alertKey];
-    if (!lastTime || (now - lastTime) > cooldownMs) {
-      lastAlertTimes[alertKey] = now;
-      return true;
-    }
-    return false;
+/**
+ * Move the cached current price forward when a price period ends.
+ * Prices are fetched every 30 minutes, but quarter-hour periods change more often.
+ */
+function refreshCurrentPrice(now = new Date()) {
+  const { prices, currentPeriodEnd } = electricityPriceCache;
+  if (!prices || prices.length === 0) return;
+  if (currentPeriodEnd && new Date(currentPeriodEnd) > now) return;
+
+  const current = findPricePeriod(prices, now);
+  if (!current) return;
+
+  electricityPriceCache = {
+    ...electricityPriceCache,
+    currentPrice: current.priceIncVat,
+    currentPeriodStart: current.time,
+    currentPeriodEnd: current.timeEnd
   };
+}
 
-  // Check if miner is offline
-  if (alertConfig.minerOffline?.enabled && stats.error) {
-    const alertKey = `${stats.minerIp}_offline`;
-    if (shouldAlert(alertKey)) {
-      alerts.push({
-        id: Date.now() + Math.random(),
-        timestamp: new Date().toISOString(),
-        type: 'offline',
-        severity: 'critical',
-        minerName: minerName,
-        minerIp: stats.minerIp,
-        message: `Miner "${minerName}" is offline or unreachable`,
-        details: stats.error
-      });
+// ============================================================================
+// Price Import (offline operation)
+// ============================================================================
+
+async function loadPriceImports() {
+  try {
+    priceImports = { ...priceImports, ...JSON.parse(await fs.readFile(PRICE_IMPORT_FILE, 'utf8')) };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to load imported prices:', err.message);
     }
   }
+}
 
-  // Only check other alerts if miner is online
-  if (!stats.error) {
-    // Check high temperature
-    if (alertConfig.highTemp?.enabled && stats.temperature) {
-      const threshold = alertConfig.highTemp.threshold || 80;
-      if (stats.temperature >= threshold) {
-        const alertKey = `${stats.minerIp}_hightemp`;
-        if (shouldAlert(alertKey)) {
-          alerts.push({
-            id: Date.now() + Math.random(),
-            timestamp: new Date().toISOString(),
-            type: 'highTemp',
-            severity: stats.temperature >= threshold + 5 ? 'critical' : 'warning',
-            minerName: minerName,
-            minerIp: stats.minerIp,
-            message: `High temperature on "${minerName}": ${stats.temperature}°C`,
-            details: `Temperature ${stats.temperature}°C exceeds threshold of ${threshold}°C`,
-            value: stats.temperature,
-            threshold: threshold
-          });
-        }
-      }
-    }
+async function savePriceImports() {
+  try {
+    await fs.writeFile(PRICE_IMPORT_FILE, JSON.stringify(priceImports, null, 2));
+  } catch (err) {
+    console.error('Failed to save imported prices:', err.message);
+  }
+}
 
-    // Check low hashrate
-    if (alertConfig.lowHashrate?.enabled && stats.hashrate) {
-      const thresholdPercent = alertConfig.lowHashrate.threshold || 80;
-      // Estimate expected hashrate based on power profile
-      let expectedHashrate = 100; // Default TH/s
-      if (stats.powerDraw < 2500) expectedHashrate = 80;
-      else if (stats.powerDraw < 3000) expectedHashrate = 95;
-      else expectedHashrate = 110;
+/**
+ * Parse a timestamp from an import file. Times without a UTC offset are wall-clock
+ * times in the price timezone, e.g. "2026-01-15 13:00" or "2026-01-15T13:00".
+ */
+function parseImportTime(value, timeZone) {
+  const text = String(value).trim();
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+  if (local) {
+    const [, year, month, day, hour, minute] = local.map(Number);
+    return zonedTimeToDate(timeZone, year, month, day, hour, minute);
+  }
+  const date = new Date(text);
+  if (isNaN(date.getTime())) throw new Error(`Invalid time: ${text}`);
+  return date;
+}
 
-      const minHashrate = expectedHashrate * (thresholdPercent / 100);
-      if (stats.hashrate < minHashrate) {
-        const alertKey = `${stats.minerIp}_lowhash`;
-        if (shouldAlert(alertKey)) {
-          alerts.push({
-            id: Date.now() + Math.random(),
-            timestamp: new Date().toISOString(),
-            type: 'lowHashrate',
-            severity: 'warning',
-            minerName: minerName,
-            minerIp: stats.minerIp,
-            message: `Low hashrate on "${minerName}": ${stats.hashrate.toFixed(1)} TH/s`,
-            details: `Hashrate ${stats.hashrate.toFixed(1)} TH/s is below ${thresholdPercent}% of expected (${minHashrate.toFixed(1)} TH/s)`,
-            value: stats.hashrate,
-            threshold: minHashrate
-          });
-        }
-      }
+/**
+ * Parse uploaded day-ahead prices into periods { start, end, price } (ex. VAT per kWh).
+ * CSV needs a header with a start column (start, time or time_start), optionally end,
+ * and one of price / price_kwh (ex. VAT), price_inc_vat or price_mwh. ';'-separated
+ * files may use decimal commas. JSON is a list of periods or { vatIncluded, prices },
+ * e.g. a saved hvakosterstrommen.no day file (time_start, time_end, NOK_per_kWh).
+ */
+function parsePriceImport(content, { format, timeZone, vatRate = 0, vatIncluded = false }) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  if (!text) throw new Error('Price file is empty');
+  const isJson = format ? format === 'json' : /^[[{]/.test(text);
+
+  let rows;
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
     }
-
-    // Check high reject rate
-    if (alertConfig.highRejectRate?.enabled && stats.accepted !== undefined && stats.rejected !== undefined) {
-      const total = stats.accepted + stats.rejected;
-      if (total > 100) { // Only check if we have enough samples
-        const rejectRate = (stats.rejected / total) * 100;
-        const threshold = alertConfig.highRejectRate.threshold || 5;
-        if (rejectRate >= threshold) {
-          const alertKey = `${stats.minerIp}_rejects`;
-          if (shouldAlert(alertKey)) {
-            alerts.push({
-              id: Date.now() + Math.random(),
-              timestamp: new Date().toISOString(),
-              type: 'highRejectRate',
-              severity: rejectRate >= threshold * 2 ? 'critical' : 'warning',
-              minerName: minerName,
-              minerIp: stats.minerIp,
-              message: `High reject rate on "${minerName}": ${rejectRate.toFixed(1)}%`,
-              details: `Reject rate ${rejectRate.toFixed(1)}% exceeds threshold of ${threshold}%`,
-              value: rejectRate,
-              threshold: threshold
-            });
-          }
-        }
-      }
+    if (!Array.isArray(data)) {
+      vatIncluded = vatIncluded || !!data.vatIncluded;
+      data = data.prices;
+    }
+    if (!Array.isArray(data)) throw new Error('JSON must be a list of prices or { prices: [...] }');
+    rows = data.map(p => {
+      const priceKey = Object.keys(p).find(k => /_per_kWh$/i.test(k));
+      return {
+        start: p.start ?? p.time ?? p.time_start,
+        end: p.end ?? p.timeEnd ?? p.time_end,
+        price: p.price ?? p.priceExVat ?? (priceKey ? p[priceKey] : undefined)
+      };
+    });
+  } else {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const delimiter = lines[0].includes(';') ? ';' : lines[0].includes('\t') ? '\t' : ',';
+    const split = (line) => line.split(delimiter).map(v => v.trim().replace(/^"|"$/g, ''));
+    const header = split(lines[0]).map(h => h.toLowerCase());
+    const column = (...names) => header.findIndex(h => names.includes(h));
+
+    const startCol = column('start', 'time', 'time_start', 'timestamp');
+    const endCol = column('end', 'time_end');
+    let priceCol = column('price', 'price_kwh', 'price_ex_vat');
+    let divisor = 1;
+    if (priceCol === -1 && column('price_inc_vat') !== -1) {
+      priceCol = column('price_inc_vat');
+      vatIncluded = true;
     }
+    if (priceCol === -1 && column('price_mwh') !== -1) {
+      priceCol = column('price_mwh');
+      divisor = 1000;
+    }
+    if (startCol === -1 || priceCol === -1) {
+      throw new Error('CSV header needs a start/time column and a price column');
+    }
+
+    rows = lines.slice(1).map(line => {
+      const values = split(line);
+      const price = values[priceCol];
+      return {
+        start: values[startCol],
+        end: endCol !== -1 ? values[endCol] : undefined,
+        price: price === undefined || price === '' ? NaN
+          : Number(delimiter === ';' ? price.replace(',', '.') : price) / divisor
+      };
+    });
   }
 
-  // Add new alerts to history (keep last 100)
-  if (alerts.length > 0) {
-    alertHistory.push(...alerts);
-    if (alertHistory.length > 100) {
-      alertHistory = alertHistory.slice(-100);
-    }
+  const periods = rows.map((row, idx) => {
+    if (row.start === undefined || row.start === null || row.start === '') throw new Error(`Row ${idx + 1}: missing start time`);
+    const price = Number(row.price);
+    if (!Number.isFinite(price)) throw new Error(`Row ${idx + 1}: invalid price`);
+    if (Math.abs(price) > 100) throw new Error(`Row ${idx + 1}: price ${price} looks like per MWh (use a price_mwh column)`);
+    return {
+      start: parseImportTime(row.start, timeZone),
+      end: row.end ? parseImportTime(row.end, timeZone) : null,
+      price: vatIncluded ? price / (1 + vatRate) : price
+    };
+  }).sort((a, b) => a.start - b.start);
+
+  if (periods.length === 0) throw new Error('No prices found');
+
+  // Missing end times run to the next period; the last one reuses the previous length
+  return periods.map((p, idx) => {
+    const next = periods[idx + 1];
+    const previous = periods[idx - 1];
+    const fallbackMs = previous ? p.start - previous.start : 60 * 60 * 1000;
+    const end = p.end || (next ? next.start : new Date(p.start.getTime() + fallbackMs));
+    if (end <= p.start) throw new Error(`Period at ${p.start.toISOString()} ends before it starts`);
+    return { start: p.start.toISOString(), end: end.toISOString(), price: p.price };
+  });
+}
+
+/**
+ * Store imported periods for a zone, replacing earlier imports with the same start.
+ * Periods that ended more than two days ago are dropped.
+ */
+async function importPrices(zone, periods, source) {
+  const cutoff = Date.now() - 2 * 24 * 60 * 60 * 1000;
+  const starts = new Set(periods.map(p => new Date(p.start).getTime()));
+  const importedAt = new Date().toISOString();
+  priceImports.zones[zone] = [
+    ...(priceImports.zones[zone] || []).filter(p => new Date(p.end) > cutoff && !starts.has(new Date(p.start).getTime())),
+    ...periods.map(p => ({ ...p, source, importedAt }))
+  ].sort((a, b) => new Date(a.start) - new Date(b.start));
+  await savePriceImports();
+
+  // Refresh the cache right away if the prices are for the zone we show
+  if (electricityPriceCache.zone === zone && ELECTRICITY_ZONES[electricityPriceCache.country]?.zones[zone]) {
+    await applyPriceSeries(electricityPriceCache.country, zone);
   }
+}
 
-  return alerts;
+/**
+ * Price zone named at the start of an import file name (e.g. "NO5-2026-01-15.csv")
+ */
+function getZoneFromFilename(filename, country) {
+  const name = filename.toUpperCase();
+  return Object.keys(ELECTRICITY_ZONES[country]?.zones || {})
+    .find(zone => name.startsWith(`${zone}-`) || name.startsWith(`${zone}_`) || name.startsWith(`${zone}.`)) || null;
 }
 
-async function getMinerStats(ip, config = {}) {
+/**
+ * Import every CSV/JSON file in the watch directory. Imported files move to
+ * imported/, files that fail to parse get a .failed suffix.
+ */
+async function scanPriceImportDir() {
+  let files;
   try {
-    console.log(`Getting stats from miner at ${ip}`);
-    
-    // Try to get data from Braiins OS GraphQL API (has temperature/fan data)
-    let graphqlData = null;
-    let httpApiData = null;
-    
+    files = await fs.readdir(PRICE_IMPORT_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('Failed to read price import directory:', err.message);
+    return;
+  }
+
+  const config = await loadConfig();
+  const country = config.country || 'norway';
+  for (const file of files.filter(f => /\.(csv|json)$/i.test(f))) {
+    const filePath = path.join(PRICE_IMPORT_DIR, file);
     try {
-      graphqlData = await fetchBraiinsGraphQL(ip);
-    } catch (e) {
-      console.log('GraphQL not available:', e.message);
+      const zone = getZoneFromFilename(file, country) || config.electricityZone || 'NO5';
+      const periods = parsePriceImport(await fs.readFile(filePath, 'utf8'), {
+        format: file.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+        timeZone: resolveTimezone(config, country),
+        vatRate: getZoneVatRate(country, zone)
+      });
+      await importPrices(zone, periods, file);
+      await fs.rename(filePath, path.join(PRICE_IMPORT_DIR, 'imported', file));
+      console.log(`📄 Imported ${periods.length} price periods for ${zone} from ${file}`);
+    } catch (err) {
+      console.error(`Failed to import prices from ${file}:`, err.message);
+      await fs.rename(filePath, `${filePath}.failed`).catch(() => {});
     }
-    
-    // Try HTTP API as fallback
-    if (!graphqlData) {
-      try {
-        httpApiData = await fetchBraiinsHTTPApi(ip);
-      } catch (e) {
-        console.log('HTTP API not available:', e.message);
-      }
-    }
-    
-    // Try to get all BOSminer data for debug stats
-    let devs = null;
-    let tempsCmd = null;
-    let fansCmd = null;
-    let devdetailsCmd = null;
-    let tunerstatusCmd = null;
-    let restApiData = null;
+  }
+}
 
-    try {
-      // Fetch all BOSminer commands in parallel
-      [devs, tempsCmd, fansCmd, devdetailsCmd, tunerstatusCmd] = await Promise.all([
-        sendCGMinerCommand(ip, { command: 'devs' }).catch(e => { console.log('devs error:', e.message); return null; }),
-        sendCGMinerCommand(ip, { command: 'temps' }).catch(e => { console.log('temps error:', e.message); return null; }),
-        sendCGMinerCommand(ip, { command: 'fans' }).catch(e => { console.log('fans error:', e.message); return null; }),
-        sendCGMinerCommand(ip, { command: 'devdetails' }).catch(e => { console.log('devdetails error:', e.message); return null; }),
-        sendCGMinerCommand(ip, { command: 'tunerstatus' }).catch(e => { console.log('tunerstatus error:', e.message); return null; })
-      ]);
-    } catch (e) {
-      console.log('Error fetching extended BOSminer commands:', e.message);
-    }
+/**
+ * Watch PRICE_IMPORT_DIR for new price files (scans once a minute where
+ * file system events aren't available, e.g. some network mounts)
+ */
+async function startPriceImportWatcher() {
+  try {
+    await fs.mkdir(path.join(PRICE_IMPORT_DIR, 'imported'), { recursive: true });
+  } catch (err) {
+    console.error('Failed to create price import directory:', err.message);
+    return;
+  }
 
-    // Try to fetch REST API data
-    try {
-      restApiData = await fetchBraiinsRestApiStats(ip);
-    } catch (e) {
-      console.log('REST API not available:', e.message);
-    }
+  const pollInstead = (err) => {
+    console.error(`Cannot watch ${PRICE_IMPORT_DIR} (${err.message}), scanning every minute`);
+    setInterval(scanPriceImportDir, 60 * 1000);
+  };
+  try {
+    const watcher = fsSync.watch(PRICE_IMPORT_DIR, () => {
+      // Give writers a moment to finish the file
+      clearTimeout(priceImportScanTimer);
+      priceImportScanTimer = setTimeout(scanPriceImportDir, 2000);
+    });
+    // A watch can also fail later (directory removed, network mount gone)
+    watcher.on('error', (err) => {
+      watcher.close();
+      pollInstead(err);
+    });
+  } catch (err) {
+    pollInstead(err);
+  }
+  await scanPriceImportDir();
+}
 
-    const [summary, stats, pools] = await Promise.all([
-      sendCGMinerCommand(ip, { command: 'summary' }),
-      sendCGMinerCommand(ip, { command: 'stats' }),
-      sendCGMinerCommand(ip, { command: 'pools' })
-    ]);
+function getFallbackPrice(config) {
+  return typeof config.fallbackPrice === 'number' ? config.fallbackPrice : FALLBACK_ELECTRICITY_PRICE;
+}
 
-    const summaryData = summary.SUMMARY?.[0] || {};
+/**
+ * Where the current spot price comes from:
+ *   live     - fetched from the price provider
+ *   stale    - cached provider price, but the last fetch failed
+ *   imported - uploaded or watch-directory price
+ *   fallback - no price covers now; profit uses the fallback price
+ */
+function getPriceStatus(config, now = new Date()) {
+  const { prices = [], fetchedAt, lastFetchError, lastFetchErrorAt } = electricityPriceCache;
+  const current = findPricePeriod(prices, now);
+  const status = { fetchedAt, lastFetchError: lastFetchError || null, lastFetchErrorAt: lastFetchErrorAt || null };
+
+  if (!current) {
+    return { ...status, state: 'fallback', fallbackPrice: getFallbackPrice(config) };
+  }
+  if (current.source === 'import') {
+    return { ...status, state: 'imported', importSource: current.importSource };
+  }
+  return { ...status, state: lastFetchError ? 'stale' : 'live' };
+}
+
+async function fetchBTCPrice() {
+  try {
+    const url = 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,nok,eur,sek,dkk';
+    const data = await httpsGet(url);
     
-    // Log ALL stats entries for debugging
-    console.log('=== RAW STATS RESPONSE ===');
-    console.log('Number of STATS entries:', stats.STATS?.length || 0);
-    if (stats.STATS) {
-      stats.STATS.forEach((s, idx) => {
-        console.log(`\n--- STATS[${idx}] keys:`, Object.keys(s || {}).join(', '));
-        // Log all numeric values to help identify temp/fan fields
-        if (s && typeof s === 'object') {
-          const numericFields = Object.entries(s)
-            .filter(([k, v]) => typeof v === 'number')
-            .map(([k, v]) => `${k}=${v}`);
-          console.log(`  Numeric fields:`, numericFields.join(', '));
-        }
-      });
+    if (data.bitcoin) {
+      btcPriceCache = {
+        priceUSD: data.bitcoin.usd,
+        priceNOK: data.bitcoin.nok,
+        priceEUR: data.bitcoin.eur,
+        priceSEK: data.bitcoin.sek,
+        priceDKK: data.bitcoin.dkk,
+        fetchedAt: new Date().toISOString()
+      };
+      
+      console.log(`BTC price updated: $${btcPriceCache.priceUSD.toLocaleString()} / ${btcPriceCache.priceNOK.toLocaleString()} NOK`);
     }
     
-    // Also log devs response if available
-    if (devs?.DEVS) {
-      console.log('\n=== RAW DEVS RESPONSE ===');
-      devs.DEVS.forEach((d, idx) => {
-        console.log(`--- DEVS[${idx}]:`, JSON.stringify(d).substring(0, 500));
-      });
-    }
+    return btcPriceCache;
+  } catch (err) {
+    console.error('Failed to fetch BTC price:', err.message);
+    return btcPriceCache;
+  }
+}
+
+async function fetchNetworkStats() {
+  try {
+    const statsUrl = 'https://api.blockchain.info/stats';
+    const stats = await httpsGet(statsUrl);
     
-    // Collect ALL stats data from all STATS entries
-    let allStatsData = {};
-    let statsData = {};
-    if (stats.STATS) {
-      // Merge all stats entries to find temperature data
-      for (const s of stats.STATS) {
-        if (s && typeof s === 'object') {
-          // Add all keys to allStatsData for debugging
-          Object.assign(allStatsData, s);
-          
-          const hasTemp = Object.keys(s).some(k => k.toLowerCase().includes('temp'));
-          const hasFan = Object.keys(s).some(k => k.toLowerCase().includes('fan'));
-          const hasChain = Object.keys(s).some(k => k.toLowerCase().includes('chain'));
-          const hasBoard = Object.keys(s).some(k => k.toLowerCase().includes('board'));
-          
-          if (hasTemp || hasFan || hasChain || hasBoard) {
-            // Merge this entry into statsData
-            Object.assign(statsData, s);
-          }
-        }
-      }
-      // If still empty, use the largest STATS entry (most keys)
-      if (Object.keys(statsData).length === 0) {
-        statsData = stats.STATS.reduce((best, current) => {
-          if (!current || typeof current !== 'object') return best;
-          return Object.keys(current).length > Object.keys(best).length ? current : best;
-        }, {});
-      }
+    if (stats && stats.difficulty) {
+      const hashrateEHs = stats.hash_rate / 1e9;
+      
+      networkStatsCache = {
+        difficulty: stats.difficulty,
+        hashrate: hashrateEHs,
+        hashrateFormatted: `${hashrateEHs.toFixed(2)} EH/s`,
+        blockHeight: stats.n_blocks_total,
+        blockReward: 3.125,
+        blocksPerDay: 144,
+        marketPriceUSD: stats.market_price_usd,
+        fetchedAt: new Date().toISOString()
+      };
+      
+      console.log(`Network stats updated: Difficulty ${(networkStatsCache.difficulty / 1e12).toFixed(2)}T, Hashrate ${networkStatsCache.hashrateFormatted}`);
     }
     
-    // Also check devs for temperature data
-    let devsData = {};
-    if (devs?.DEVS) {
-      for (const d of devs.DEVS) {
-        if (d && typeof d === 'object') {
-          Object.assign(devsData, d);
-        }
+    return networkStatsCache;
+  } catch (err) {
+    console.error('Failed to fetch network stats:', err.message);
+    return networkStatsCache;
+  }
+}
+
+/**
+ * BTC price in the given currency, with rough fallbacks until CoinGecko responds
+ */
+function getBtcPriceForCurrency(currency) {
+  const fallbacks = { NOK: 1000000, SEK: 1000000, DKK: 650000, EUR: 90000, USD: 95000 };
+  return btcPriceCache[`price${currency}`] || fallbacks[currency] || fallbacks.NOK;
+}
+
+/**
+ * Price mode for the configured country, falling back to the country's default
+ * when the saved mode is not offered there (e.g. norgespris outside Norway)
+ */
+function resolvePriceMode(config) {
+  const countryConfig = ELECTRICITY_ZONES[config.country || 'norway'] || ELECTRICITY_ZONES.norway;
+  if (config.priceMode === 'contract' && !getActiveContract(config)) return countryConfig.defaultPriceMode;
+  return countryConfig.priceModes.includes(config.priceMode) ? config.priceMode : countryConfig.defaultPriceMode;
+}
+
+/**
+ * VAT rate of a price zone (zone override, else the country's rate)
+ */
+function getZoneVatRate(country, zone) {
+  const countryConfig = ELECTRICITY_ZONES[country] || ELECTRICITY_ZONES.norway;
+  const zoneConfig = countryConfig.zones[zone];
+  return zoneConfig?.vatRate !== undefined ? zoneConfig.vatRate : countryConfig.vatRate;
+}
+
+// ============================================================================
+// Electricity Contracts
+// ============================================================================
+
+// User-defined retail contracts (config.contracts, selected by config.contractId):
+//   { id, name, type: 'spot' | 'fixed',
+//     markup,          // spot contracts: påslag per kWh on top of spot
+//     fixedPrice,      // fixed contracts: energy price per kWh
+//     elCertificate,   // el-certificate charge per kWh
+//     monthlyFee,      // fixed fee per month (fastbeløp)
+//     vatIncluded,     // amounts above include VAT (default false)
+//     stromstotte }    // Norway: strømstøtte still applies to the spot price
+const CONTRACT_TYPES = ['spot', 'fixed'];
+
+function getActiveContract(config) {
+  if (!Array.isArray(config.contracts)) return null;
+  return config.contracts.find(c => c.id === config.contractId) || null;
+}
+
+function validateContract(contract) {
+  if (!contract || typeof contract !== 'object') return 'Contract must be an object';
+  if (!contract.id || !contract.name) return 'Contract needs an id and a name';
+  if (!CONTRACT_TYPES.includes(contract.type)) return `Contract ${contract.name}: type must be ${CONTRACT_TYPES.join(' or ')}`;
+  if (contract.type === 'fixed' && !(contract.fixedPrice >= 0)) return `Contract ${contract.name}: fixed contracts need a fixedPrice`;
+  for (const field of ['markup', 'elCertificate', 'monthlyFee']) {
+    if (contract[field] !== undefined && typeof contract[field] !== 'number') return `Contract ${contract.name}: ${field} must be a number`;
+  }
+  return null;
+}
+
+/**
+ * Contract amounts converted to prices incl. VAT for the configured zone
+ * @returns {object|null} - { id, name, type, markup, fixedPrice, elCertificate, monthlyFee, stromstotte }
+ */
+function getContractPricing(config) {
+  const contract = getActiveContract(config);
+  if (!contract) return null;
+
+  const country = config.country || 'norway';
+  const vatMultiplier = contract.vatIncluded ? 1 : 1 + getZoneVatRate(country, config.electricityZone || 'NO5');
+  const countryConfig = ELECTRICITY_ZONES[country] || ELECTRICITY_ZONES.norway;
+
+  return {
+    id: contract.id,
+    name: contract.name,
+    type: contract.type,
+    markup: (contract.markup || 0) * vatMultiplier,
+    fixedPrice: contract.type === 'fixed' ? contract.fixedPrice * vatMultiplier : null,
+    elCertificate: (contract.elCertificate || 0) * vatMultiplier,
+    monthlyFee: (contract.monthlyFee || 0) * vatMultiplier,
+    stromstotte: !!contract.stromstotte && countryConfig.priceModes.includes('stromstotteavtale')
+  };
+}
+
+/**
+ * Whether strømstøtte is deducted: the støtteavtale mode, or a contract that keeps it
+ */
+function hasStromstotte(config) {
+  const priceMode = resolvePriceMode(config);
+  return priceMode === 'stromstotteavtale' || (priceMode === 'contract' && getContractPricing(config).stromstotte);
+}
+
+/**
+ * The contract's fixed monthly fee per day of the current month (0 without a contract)
+ */
+function getDailyFixedFee(config, now = Date.now()) {
+  if (resolvePriceMode(config) !== 'contract') return 0;
+  const month = getMonthBounds(now, resolveTimezone(config));
+  const days = Math.round((month.end - month.start) / (24 * 60 * 60 * 1000));
+  return getContractPricing(config).monthlyFee / days;
+}
+
+// ============================================================================
+// Grid Tariff Functions
+// ============================================================================
+
+/**
+ * Easter Sunday for a Gregorian year (anonymous Gregorian algorithm)
+ * @returns {object} - { month (1-12), day }
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+const holidayCache = new Map();
+
+/**
+ * Norwegian public holidays (helligdager) for a year, keyed by 'YYYY-MM-DD'
+ */
+function getNorwegianHolidays(year) {
+  const cacheKey = `NO-${year}`;
+  if (holidayCache.has(cacheKey)) {
+    return holidayCache.get(cacheKey);
+  }
+
+  const easter = getEasterSunday(year);
+  const fromEaster = (offset, name) => {
+    const date = new Date(Date.UTC(year, easter.month - 1, easter.day + offset));
+    return [date.toISOString().substring(0, 10), name];
+  };
+  const fixed = (month, day, name) => [`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`, name];
+
+  const holidays = new Map([
+    fixed(1, 1, 'Første nyttårsdag'),
+    fromEaster(-3, 'Skjærtorsdag'),
+    fromEaster(-2, 'Langfredag'),
+    fromEaster(0, 'Første påskedag'),
+    fromEaster(1, 'Andre påskedag'),
+    fixed(5, 1, 'Arbeidernes dag'),
+    fixed(5, 17, 'Grunnlovsdag'),
+    fromEaster(39, 'Kristi himmelfartsdag'),
+    fromEaster(49, 'Første pinsedag'),
+    fromEaster(50, 'Andre pinsedag'),
+    fixed(12, 25, 'Første juledag'),
+    fixed(12, 26, 'Andre juledag')
+  ]);
+
+  holidayCache.set(cacheKey, holidays);
+  return holidays;
+}
+
+const HOLIDAY_CALENDARS = {
+  NO: getNorwegianHolidays
+};
+
+/**
+ * Name of the public holiday on a local calendar day, or null
+ */
+function getHolidayName(calendar, local) {
+  const getHolidays = HOLIDAY_CALENDARS[calendar];
+  if (!getHolidays) return null;
+  const key = `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+  return getHolidays(local.year).get(key) || null;
+}
+
+function parseClockMinutes(value) {
+  const [hours, minutes] = String(value || '00:00').split(':').map(n => parseInt(n) || 0);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a local time falls inside a tariff period. Windows may wrap midnight
+ * (22:00-06:00); from === to means the whole day.
+ */
+function matchesTariffPeriod(period, local, isHoliday) {
+  if (period.excludeHolidays && isHoliday) return false;
+  if (Array.isArray(period.days) && !period.days.includes(local.weekday)) return false;
+
+  const minute = local.hour * 60 + local.minute;
+  const from = parseClockMinutes(period.from);
+  const to = parseClockMinutes(period.to);
+  if (from === to) return true;
+  return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+}
+
+/**
+ * The legacy two-rate tariff built from gridFeeWeekdayDay / gridFeeWeekendNight
+ * (weekdays 06-22 vs. nights and weekends, amounts incl. everything)
+ */
+function buildSimpleGridTariff(config) {
+  return {
+    id: 'simple',
+    name: 'Enkel (dag/natt)',
+    vatIncluded: true,
+    periods: [
+      { id: 'day', name: 'Dag', days: [1, 2, 3, 4, 5], from: '06:00', to: '22:00' }
+    ],
+    defaultPeriod: { id: 'offpeak', name: 'Natt/helg' },
+    seasons: [
+      {
+        id: 'all',
+        name: 'Hele året',
+        months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+        rates: { day: config.gridFeeWeekdayDay || 0.50, offpeak: config.gridFeeWeekendNight || 0.30 }
       }
+    ],
+    components: {}
+  };
+}
+
+/**
+ * Tariff selected in config.gridTariff: a preset, a custom tariff, or the simple day/night rates
+ */
+function resolveGridTariff(config) {
+  const selection = config.gridTariff || {};
+  if (selection.preset === 'custom' && selection.tariff) {
+    return { id: 'custom', name: selection.tariff.name || 'Egendefinert', ...selection.tariff };
+  }
+  if (GRID_TARIFF_PRESETS[selection.preset]) {
+    return { id: selection.preset, ...GRID_TARIFF_PRESETS[selection.preset] };
+  }
+  return buildSimpleGridTariff(config);
+}
+
+/**
+ * Check a custom tariff's shape before saving it
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateGridTariff(tariff) {
+  if (!tariff || typeof tariff !== 'object') return 'Tariff must be an object';
+  if (!Array.isArray(tariff.seasons) || tariff.seasons.length === 0) return 'Tariff needs at least one season';
+  if (!tariff.defaultPeriod?.id) return 'Tariff needs a defaultPeriod with an id';
+
+  const clock = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const periodIds = [tariff.defaultPeriod.id];
+  for (const period of tariff.periods || []) {
+    if (!period.id) return 'Every period needs an id';
+    if (!clock.test(period.from) || !clock.test(period.to)) return `Period ${period.id} needs from/to as HH:MM`;
+    if (period.days && (!Array.isArray(period.days) || period.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return `Period ${period.id} days must be weekday numbers 0-6`;
     }
-    
-    // Log what we're working with
-    console.log('\n=== MERGED STATS DATA ===');
-    console.log('Keys:', Object.keys(statsData).join(', '));
-    console.log('Full data:', JSON.stringify(statsData, null, 2).substring(0, 3000));
-    
-    if (Object.keys(devsData).length > 0) {
-      console.log('\n=== MERGED DEVS DATA ===');
-      console.log('Keys:', Object.keys(devsData).join(', '));
+    periodIds.push(period.id);
+  }
+
+  const coveredMonths = new Set();
+  for (const season of tariff.seasons) {
+    if (!season.id || !Array.isArray(season.months)) return 'Every season needs an id and months';
+    season.months.forEach(m => coveredMonths.add(m));
+    for (const id of periodIds) {
+      if (typeof season.rates?.[id] !== 'number') return `Season ${season.id} has no rate for period ${id}`;
     }
-    
-    const poolData = pools.POOLS?.[0] || {};
+  }
+  if (coveredMonths.size !== 12) return 'Seasons must cover all 12 months';
 
-    // Calculate hashrate in TH/s - extract all available time ranges
-    // Braiins OS uses MHS (megahash) format, not GHS
-    const mhs5s = summaryData['MHS 5s'] || 0;
-    const mhs1m = summaryData['MHS 1m'] || 0;
-    const mhs15m = summaryData['MHS 15m'] || 0;
-    const mhs24h = summaryData['MHS 24h'] || 0;
-    const mhsAv = summaryData['MHS av'] || 0;
+  if (tariff.holidays && !HOLIDAY_CALENDARS[tariff.holidays]) return `Unknown holiday calendar: ${tariff.holidays}`;
+  return null;
+}
 
-    // Convert MHS to TH/s (divide by 1,000,000)
-    const hashrate = mhs5s / 1000000;
-    const hashrate1m = mhs1m / 1000000;
-    const hashrate15m = mhs15m / 1000000;
-    const hashrate24h = mhs24h / 1000000;
-    const hashrateAv = mhsAv / 1000000;
+/**
+ * Grid fee at a point in time, split into its parts
+ * @param {object} config - Configuration (gridTariff, timezone, country, electricityZone)
+ * @param {Date} date - Optional date to check (defaults to now)
+ * @returns {object} - { total, energy, components, vat, periodId, periodName, seasonId, holiday, tariffId, tariffName }
+ */
+function getGridFeeBreakdown(config, date = new Date()) {
+  const tariff = resolveGridTariff(config);
+  const local = getZonedDateParts(date, resolveTimezone(config));
+  const holiday = tariff.holidays ? getHolidayName(tariff.holidays, local) : null;
+
+  const period = (tariff.periods || []).find(p => matchesTariffPeriod(p, local, !!holiday)) || tariff.defaultPeriod;
+  const season = tariff.seasons.find(s => s.months.includes(local.month)) || tariff.seasons[0];
+
+  const energy = season.rates[period.id] || 0;
+  let components = 0;
+  for (const value of Object.values(tariff.components || {})) {
+    components += typeof value === 'number' ? value : (value?.[season.id] || 0);
+  }
 
-    // Extract temperatures - prefer GraphQL data, fall back to CGMiner
-    let temps = { board1: null, board2: null, board3: null, chip: null };
-    let fans = { speed1: null, speed2: null, speed3: null, speed4: null };
+  const vatRate = tariff.vatIncluded ? 0 : getZoneVatRate(config.country || 'norway', config.electricityZone || 'NO5');
+  const vat = (energy + components) * vatRate;
+
+  return {
+    total: energy + components + vat,
+    energy,
+    components,
+    vat,
+    periodId: period.id,
+    periodName: period.name || period.id,
+    seasonId: season.id,
+    holiday,
+    tariffId: tariff.id,
+    tariffName: tariff.name
+  };
+}
+
+/**
+ * Determine grid fee for a point in time using the configured tariff
+ * @param {object} config - Configuration with gridTariff (or gridFeeWeekdayDay and gridFeeWeekendNight)
+ * @param {Date} date - Optional date to check (defaults to now)
+ * @returns {number} - The applicable grid fee
+ */
+function getGridFeeForTime(config, date = new Date()) {
+  return getGridFeeBreakdown(config, date).total;
+}
+
+/**
+ * Effective electricity price right now: spot (or fixed) base price after any
+ * subsidy, plus the grid fee from the configured tariff
+ */
+function getEffectivePrice(config, date = new Date()) {
+  const currentPeriod = findPricePeriod(electricityPriceCache.prices || [], date);
+  const rawSpotPrice = currentPeriod ? currentPeriod.priceIncVat : getFallbackPrice(config);
+  const gridFeeBreakdown = getGridFeeBreakdown(config, date);
+  const gridFee = gridFeeBreakdown.total;
+  const priceMode = resolvePriceMode(config);
+
+  let basePrice;
+  let subsidyApplied = false;
+  let subsidyAmount = 0;
+  let subsidyCapReached = false;
+  let norgesprisCapReached = false;
+  const contract = priceMode === 'contract' ? getContractPricing(config) : null;
+
+  if (priceMode === 'norgespris') {
+    // Norgespris: Fixed 0.50 NOK/kWh + grid fees, spot once the month's volume is used up
+    const norgespris = getNorgesprisSummary(config, date.getTime());
+    norgesprisCapReached = norgespris.capReached;
+    basePrice = norgesprisCapReached ? rawSpotPrice : norgespris.priceIncVat;
+  } else if (priceMode === 'stromstotteavtale' || contract) {
+    // Strømstøtteavtale: Spot price with state subsidy above the threshold in effect today,
+    // until the month's subsidised volume is used up. Contracts price energy their own way
+    // and may keep the subsidy, which is always calculated from the spot price.
+    if (hasStromstotte(config)) {
+      const subsidy = calculateStromstotte(rawSpotPrice, config, date);
+      const month = getMonthBounds(date.getTime(), resolveTimezone(config));
+      subsidyCapReached = energyLedger.month === month.key && energyLedger.subsidyEligibleKwh >= subsidy.rule.monthlyCapKwh;
+
+      if (subsidy.amount > 0 && !subsidyCapReached) {
+        subsidyAmount = subsidy.amount;
+        subsidyApplied = true;
+      }
+    }
+    const energyPrice = !contract ? rawSpotPrice
+      : (contract.type === 'fixed' ? contract.fixedPrice : rawSpotPrice + contract.markup) + contract.elCertificate;
+    basePrice = energyPrice - subsidyAmount;
+  } else {
+    // Plain spot price (countries without a Norwegian-style support scheme)
+    basePrice = rawSpotPrice;
+  }
+
+  return {
+    rawSpotPrice,
+    basePrice,
+    gridFee,
+    gridPeriod: gridFeeBreakdown.periodName,
+    gridTariffName: gridFeeBreakdown.tariffName,
+    holiday: gridFeeBreakdown.holiday,
+    effectivePrice: basePrice + gridFee,
+    subsidyApplied,
+    subsidyAmount,
+    subsidyCapReached,
+    norgesprisCapReached,
+    priceStatus: getPriceStatus(config, date),
+    contract,
+    dailyFixedFee: getDailyFixedFee(config, date.getTime()),
+    priceMode,
+    periodStart: currentPeriod ? currentPeriod.time : null,
+    periodEnd: currentPeriod ? currentPeriod.timeEnd : null
+  };
+}
+
+/**
+ * Calculate mining profitability and efficiency metrics
+ * @param {number} electricityPricePerKWh - The effective price (spot or spot+grid fee)
+ * @param {number} dailyFixedCost - This miner's share of fixed contract fees per day
+ */
+function calculateEfficiency(hashrateTHs, powerWatts, electricityPricePerKWh, btcPrice, currency = 'NOK', dailyFixedCost = 0) {
+  const networkHashrateEHs = networkStatsCache.hashrate || 700;
+  const blockReward = networkStatsCache.blockReward || 3.125;
+  const blocksPerDay = networkStatsCache.blocksPerDay || 144;
+  
+  const hashrateEHs = hashrateTHs / 1000000;
+  const dailyBTCEstimate = (hashrateEHs / networkHashrateEHs) * blockReward * blocksPerDay;
+  
+  const powerKW = powerWatts / 1000;
+  const dailyKWh = powerKW * 24;
+  const dailyEnergyCost = dailyKWh * electricityPricePerKWh;
+  const dailyElectricityCost = dailyEnergyCost + dailyFixedCost;
+  
+  const dailyEarnings = dailyBTCEstimate * btcPrice;
+  const dailyProfit = dailyEarnings - dailyElectricityCost;
+  
+  const efficiency = hashrateTHs / powerKW;
+  const costPerTH = dailyElectricityCost / hashrateTHs;
+  const hashprice = dailyEarnings / hashrateTHs;
+  
+  const heatOutputKWh = dailyKWh;
+  // Fixed fees are paid with or without the miners, so the heating comparison uses energy cost only
+  const equivalentHeatPumpCost = dailyKWh / 3.5 * electricityPricePerKWh;
+  const heatingSavings = equivalentHeatPumpCost - dailyEnergyCost + dailyEarnings;
+  
+  const effectiveMultiplier = dailyEarnings / dailyEnergyCost;
+  const effectiveSCOP = 1 / (1 - Math.min(effectiveMultiplier, 0.99));
+  
+  return {
+    powerKW,
+    dailyKWh,
+    dailyBTCEstimate,
+    dailyEarnings,
+    hourlyEarnings: dailyEarnings / 24,
+    dailyEnergyCost,
+    dailyFixedCost,
+    dailyElectricityCost,
+    hourlyElectricityCost: dailyElectricityCost / 24,
+    dailyProfit,
+    hourlyProfit: dailyProfit / 24,
+    isProfitable: dailyProfit > 0,
+    efficiency,
+    costPerTH,
+    hashprice,
+    networkHashrate: networkHashrateEHs,
+    networkDifficulty: networkStatsCache.difficulty,
+    heatOutputKWh,
+    equivalentHeatPumpCost,
+    heatingSavings,
+    effectiveSCOP: Math.min(effectiveSCOP, 10),
+    breakevenBTCPrice: dailyElectricityCost / dailyBTCEstimate,
+    currentBTCPrice: btcPrice,
+    currency
+  };
+}
+
+// ============================================================================
+// Miner Communication Functions
+// ============================================================================
+
+async function sendCGMinerCommand(ip, command) {
+  return new Promise((resolve, reject) => {
+    const client = net.connect(4028, ip, () => {
+      const request = JSON.stringify(command);
+      console.log(`Sending to ${ip}:4028:`, request);
+      client.write(request);
+    });
+
+    let data = '';
     
-    // Try GraphQL data first (most reliable for Braiins OS)
-    if (graphqlData?.data) {
-      console.log('=== PROCESSING GRAPHQL DATA ===');
-      console.log('Raw GraphQL data:', JSON.stringify(graphqlData.data, null, 2));
-      
-      // Handle bosminer.info.fans and bosminer.info.tempCtrl format (BOSer)
-      if (graphqlData.data.bosminer?.info) {
-        const info = graphqlData.data.bosminer.info;
-        console.log('Found bosminer.info format');
-        
-        // Extract fans - FanInfo has: name, speed, rpm
-        if (info.fans && Array.isArray(info.fans)) {
-          console.log('Found fans array:', JSON.stringify(info.fans));
-          info.fans.forEach((fan, idx) => {
-            if (fan.rpm !== undefined && fan.rpm !== null) {
-              fans[`speed${idx + 1}`] = fan.rpm;
-            } else if (fan.speed !== undefined && fan.speed !== null) {
-              fans[`speed${idx + 1}`] = fan.speed;
-            }
-          });
-        }
+    client.on('data', (chunk) => {
+      data += chunk.toString();
+    });
+
+    client.on('end', () => {
+      try {
+        const cleaned = data.replace(/\0/g, '');
+        console.log(`Response from ${ip}:`, cleaned.substring(0, 500) + '...');
+        const parsed = JSON.parse(cleaned);
+        resolve(parsed);
+      } catch (err) {
+        reject(new Error('Failed to parse miner response: ' + err.message));
+      }
+    });
+
+    client.on('error', (err) => {
+      console.error(`Connection error to ${ip}:4028:`, err.message);
+      reject(new Error('Connection error: ' + err.message));
+    });
+
+    client.setTimeout(10000, () => {
+      client.destroy();
+      reject(new Error('Connection timeout - miner not responding on port 4028'));
+    });
+  });
+}
+
+/**
+ * Extract temperature from various possible field names in Braiins OS stats
+ * Checks multiple data sources: stats, devs, and all stats combined
+ */
+function extractTemperatures(statsData, devsData = {}, allStatsData = {}) {
+  // Merge all data sources for searching
+  const combinedData = { ...allStatsData, ...statsData, ...devsData };
+  
+  // Debug: Log all keys to help identify the correct field names
+  console.log('Combined data keys for temp search:', Object.keys(combinedData).join(', '));
+  
+  const temps = {
+    board1: null,
+    board2: null,
+    board3: null,
+    chip: null
+  };
+  
+  // List all numeric fields for debugging
+  const numericFields = {};
+  for (const [key, value] of Object.entries(combinedData)) {
+    if (typeof value === 'number') {
+      numericFields[key] = value;
+    }
+  }
+  console.log('All numeric fields:', JSON.stringify(numericFields, null, 2));
+  
+  // Common Braiins OS field patterns for S19 series
+  // Pattern 1: temp_chip_X, temp_pcb_X
+  if (combinedData.temp_chip_1 !== undefined) {
+    temps.board1 = combinedData.temp_pcb_1 || combinedData.temp_chip_1;
+    temps.board2 = combinedData.temp_pcb_2 || combinedData.temp_chip_2;
+    temps.board3 = combinedData.temp_pcb_3 || combinedData.temp_chip_3;
+    temps.chip = Math.max(
+      combinedData.temp_chip_1 || 0,
+      combinedData.temp_chip_2 || 0,
+      combinedData.temp_chip_3 || 0
+    );
+    console.log('Found temps using pattern: temp_chip_X');
+  }
+  // Pattern 2: temp1, temp2, temp3 (older format)
+  else if (combinedData.temp1 !== undefined) {
+    temps.board1 = combinedData.temp1;
+    temps.board2 = combinedData.temp2;
+    temps.board3 = combinedData.temp3;
+    temps.chip = combinedData.temp || Math.max(temps.board1 || 0, temps.board2 || 0, temps.board3 || 0);
+    console.log('Found temps using pattern: temp1/temp2/temp3');
+  }
+  // Pattern 3: temp2_1, temp2_2, temp2_3 (some Antminer models)
+  else if (combinedData.temp2_1 !== undefined) {
+    temps.board1 = combinedData.temp2_1;
+    temps.board2 = combinedData.temp2_2;
+    temps.board3 = combinedData.temp2_3;
+    temps.chip = Math.max(temps.board1 || 0, temps.board2 || 0, temps.board3 || 0);
+    console.log('Found temps using pattern: temp2_X');
+  }
+  // Pattern 4: Temperature field from devs
+  else if (combinedData.Temperature !== undefined) {
+    temps.chip = combinedData.Temperature;
+    console.log('Found temps using pattern: Temperature (devs)');
+  }
+  // Pattern 5: Check for chain_ prefixed fields
+  else if (Object.keys(combinedData).some(k => k.startsWith('chain_'))) {
+    for (let i = 1; i <= 3; i++) {
+      const tempKey = `chain_temp${i}` || `chain${i}_temp`;
+      if (combinedData[tempKey] !== undefined) {
+        temps[`board${i}`] = combinedData[tempKey];
+      }
+    }
+    console.log('Found temps using pattern: chain_tempX');
+  }
+  
+  // Pattern 6: Search for any field containing 'temp' (fallback)
+  if (temps.chip === null) {
+    const tempFields = [];
+    for (const [key, value] of Object.entries(combinedData)) {
+      if (typeof value === 'number' && key.toLowerCase().includes('temp') && value > 0 && value < 150) {
+        tempFields.push({ key, value });
+        console.log(`Found potential temperature field: ${key} = ${value}`);
         
-        // Extract temperature from tempCtrl - TempCtrlInfo has: targetC, hotC, dangerousC
-        if (info.tempCtrl) {
-          console.log('Found tempCtrl:', JSON.stringify(info.tempCtrl));
-          // Use targetC as the operating temperature
-          if (info.tempCtrl.targetC !== undefined && info.tempCtrl.targetC !== null) {
-            temps.chip = info.tempCtrl.targetC;
-          }
-          // hotC and dangerousC are thresholds, not current temps
-          if (info.tempCtrl.hotC !== undefined) {
-            console.log('Hot threshold:', info.tempCtrl.hotC);
-          }
-          if (info.tempCtrl.dangerousC !== undefined) {
-            console.log('Dangerous threshold:', info.tempCtrl.dangerousC);
-          }
+        if (key.toLowerCase().includes('chip')) {
+          temps.chip = value;
+        } else if (key.includes('1') && temps.board1 === null) {
+          temps.board1 = value;
+        } else if (key.includes('2') && temps.board2 === null) {
+          temps.board2 = value;
+        } else if (key.includes('3') && temps.board3 === null) {
+          temps.board3 = value;
         }
-        
-        // Extract actual temperatures from workSolver.temperatures
-        // Temperature type has: name, degreesC
-        if (info.workSolver?.temperatures && Array.isArray(info.workSolver.temperatures)) {
-          console.log('Found workSolver.temperatures:', JSON.stringify(info.workSolver.temperatures));
-          info.workSolver.temperatures.forEach((temp, idx) => {
-            if (temp.degreesC !== undefined && temp.degreesC !== null) {
-              const name = (temp.name || '').toLowerCase();
-              // Try to identify board vs chip temps
-              if (name.includes('board') || name.includes('pcb') || name.includes('hashboard')) {
-                const boardNum = name.match(/\d+/)?.[0] || (idx + 1);
-                temps[`board${boardNum}`] = temp.degreesC;
-              } else if (name.includes('chip')) {
-                temps.chip = temp.degreesC;
-              } else {
-                // Default: first 3 are boards, any after might be chip
-                if (idx < 3) {
-                  temps[`board${idx + 1}`] = temp.degreesC;
-                } else if (temps.chip === null) {
-                  temps.chip = temp.degreesC;
-                }
-              }
-            }
+      }
+    }
+    if (tempFields.length > 0) {
+      console.log('Found temps using pattern: search for *temp*');
+    }
+  }
+  
+  // Pattern 7: Look for fields that might be temperatures by value range (20-100°C typical)
+  if (temps.chip === null) {
+    const potentialTemps = [];
+    for (const [key, value] of Object.entries(combinedData)) {
+      // Skip known non-temperature fields
+      const skipKeys = ['elapsed', 'uptime', 'accepted', 'rejected', 'hw', 'diff', 'power', 'watt', 'freq', 'rate', 'speed', 'rpm', 'ghs', 'mhs', 'ths'];
+      const keyLower = key.toLowerCase();
+      if (typeof value === 'number' && value >= 20 && value <= 100 && 
+          !skipKeys.some(skip => keyLower.includes(skip))) {
+        potentialTemps.push({ key, value });
+      }
+    }
+    if (potentialTemps.length > 0) {
+      console.log('Potential temperature fields by value range:', potentialTemps);
+    }
+  }
+  
+  // If we still have no chip temp, use the max of board temps
+  if (temps.chip === null && (temps.board1 || temps.board2 || temps.board3)) {
+    temps.chip = Math.max(temps.board1 || 0, temps.board2 || 0, temps.board3 || 0);
+  }
+  
+  console.log('Final extracted temperatures:', temps);
+  return temps;
+}
+
+/**
+ * Extract fan speeds from stats data
+ */
+function extractFanSpeeds(statsData, devsData = {}, allStatsData = {}) {
+  const combinedData = { ...allStatsData, ...statsData, ...devsData };
+  
+  const fans = {
+    speed1: null,
+    speed2: null,
+    speed3: null,
+    speed4: null
+  };
+  
+  // Common patterns
+  if (combinedData.fan1 !== undefined) {
+    fans.speed1 = combinedData.fan1;
+    fans.speed2 = combinedData.fan2;
+    fans.speed3 = combinedData.fan3;
+    fans.speed4 = combinedData.fan4;
+    console.log('Found fans using pattern: fan1/fan2/fan3/fan4');
+  } else if (combinedData.fan_speed_in !== undefined) {
+    fans.speed1 = combinedData.fan_speed_in;
+    fans.speed2 = combinedData.fan_speed_out;
+    console.log('Found fans using pattern: fan_speed_in/out');
+  } else if (combinedData.Fan1 !== undefined) {
+    fans.speed1 = combinedData.Fan1;
+    fans.speed2 = combinedData.Fan2;
+    fans.speed3 = combinedData.Fan3;
+    fans.speed4 = combinedData.Fan4;
+    console.log('Found fans using pattern: Fan1/Fan2/Fan3/Fan4');
+  } else if (combinedData['Fan Speed In'] !== undefined) {
+    fans.speed1 = combinedData['Fan Speed In'];
+    fans.speed2 = combinedData['Fan Speed Out'];
+    console.log('Found fans using pattern: Fan Speed In/Out');
+  }
+  
+  // Search for fan fields if not found
+  if (fans.speed1 === null) {
+    for (const [key, value] of Object.entries(combinedData)) {
+      if (typeof value === 'number' && key.toLowerCase().includes('fan') && value > 0) {
+        console.log(`Found potential fan field: ${key} = ${value}`);
+        if (fans.speed1 === null && (key.includes('1') || key.toLowerCase().includes('in'))) {
+          fans.speed1 = value;
+        } else if (fans.speed2 === null && (key.includes('2') || key.toLowerCase().includes('out'))) {
+          fans.speed2 = value;
+        } else if (fans.speed3 === null && key.includes('3')) {
+          fans.speed3 = value;
+        } else if (fans.speed4 === null && key.includes('4')) {
+          fans.speed4 = value;
+        }
+      }
+    }
+  }
+  
+  // Look for RPM values that might be fans (typically 1000-10000 range)
+  if (fans.speed1 === null) {
+    const potentialFans = [];
+    for (const [key, value] of Object.entries(combinedData)) {
+      if (typeof value === 'number' && value >= 500 && value <= 10000 && 
+          (key.toLowerCase().includes('rpm') || key.toLowerCase().includes('speed'))) {
+        potentialFans.push({ key, value });
+      }
+    }
+    if (potentialFans.length > 0) {
+      console.log('Potential fan fields by value range:', potentialFans);
+    }
+  }
+  
+  console.log('Final extracted fan speeds:', fans);
+  return fans;
+}
+
+// ============================================================================
+// Alert System
+// ============================================================================
+
+/**
+ * Hashrate (TH/s) the low-hashrate alert compares against: the miner's configured
+ * expectedHashrate, else an estimate from the power draw. Null when neither is known
+ */
+function getExpectedHashrate(miner, stats) {
+  if (miner?.expectedHashrate > 0) return miner.expectedHashrate;
+  const perKw = getMinerDriver(miner).hashratePerKw;
+  return perKw && stats.powerDraw > 0 ? perKw * stats.powerDraw / 1000 : null;
+}
+
+/**
+ * Check miner stats against alert thresholds and create alerts
+ * @param {Object} stats - Miner statistics
+ * @param {Object} alertConfig - Alert configuration
+ * @param {string} minerName - Name of the miner
+ * @returns {Array} Array of triggered alerts
+ */
+function checkAlerts(stats, alertConfig, minerName) {
+  if (!alertConfig || !alertConfig.enabled) {
+    return [];
+  }
+
+  const alerts = [];
+  const now = Date.now();
+  const cooldownMs = (alertConfig.cooldownMinutes || 15) * 60 * 1000;
+
+  // Helper to check if we should fire an alert (respects cooldown)
+  const shouldAlert = (alertKey) => {
+    const lastTime = lastAlertTimes[alertKey];
+    if (!lastTime || (now - lastTime) > cooldownMs) {
+      lastAlertTimes[alertKey] = now;
+      return true;
+    }
+    return false;
+  };
+
+  // A paused or rebooting miner is expected to be quiet: no offline or low-hashrate alerts
+  const quiet = !!stats.pause?.paused || MAINTENANCE_BUSY.includes(stats.maintenance?.status);
+
+  // Check if miner is offline
+  if (alertConfig.minerOffline?.enabled && stats.error && !quiet) {
+    const alertKey = `${stats.minerIp}_offline`;
+    if (shouldAlert(alertKey)) {
+      alerts.push({
+        id: Date.now() + Math.random(),
+        timestamp: new Date().toISOString(),
+        type: 'offline',
+        severity: 'critical',
+        minerName: minerName,
+        minerIp: stats.minerIp,
+        message: `Miner "${minerName}" is offline or unreachable`,
+        details: stats.error
+      });
+    }
+  }
+
+  // Only check other alerts if miner is online
+  if (!stats.error) {
+    // Check high temperature
+    if (alertConfig.highTemp?.enabled && stats.temperature) {
+      const threshold = alertConfig.highTemp.threshold || 80;
+      if (stats.temperature >= threshold) {
+        const alertKey = `${stats.minerIp}_hightemp`;
+        if (shouldAlert(alertKey)) {
+          alerts.push({
+            id: Date.now() + Math.random(),
+            timestamp: new Date().toISOString(),
+            type: 'highTemp',
+            severity: stats.temperature >= threshold + 5 ? 'critical' : 'warning',
+            minerName: minerName,
+            minerIp: stats.minerIp,
+            message: `High temperature on "${minerName}": ${stats.temperature}°C`,
+            details: `Temperature ${stats.temperature}°C exceeds threshold of ${threshold}°C`,
+            value: stats.temperature,
+            threshold: threshold
           });
-          
-          // Set chip to max board temp if not explicitly found
-          if (temps.chip === null) {
-            const boardTemps = [temps.board1, temps.board2, temps.board3].filter(t => t !== null);
-            if (boardTemps.length > 0) {
-              temps.chip = Math.max(...boardTemps);
-            }
-          }
         }
       }
-      
-      // Handle multiple possible GraphQL response formats
-      
-      // Format 1: bosminer.hashChains with temperature objects
-      if (graphqlData.data.bosminer?.hashChains) {
-        console.log('Found bosminer.hashChains format');
-        const chains = graphqlData.data.bosminer.hashChains;
-        chains.forEach((chain, idx) => {
-          if (chain.temperature) {
-            if (chain.temperature.board !== undefined) {
-              temps[`board${idx + 1}`] = chain.temperature.board;
-            }
-            if (chain.temperature.chip !== undefined) {
-              if (temps.chip === null || chain.temperature.chip > temps.chip) {
-                temps.chip = chain.temperature.chip;
-              }
-            }
-          }
-          if (typeof chain.temperature === 'number') {
-            temps[`board${idx + 1}`] = chain.temperature;
-          }
-          if (chain.fanRpm !== undefined) {
-            fans[`speed${idx + 1}`] = chain.fanRpm;
-          }
-        });
-        // Also check for fans array in bosminer
-        if (graphqlData.data.bosminer.fans) {
-          graphqlData.data.bosminer.fans.forEach((f, idx) => {
-            if (f.rpm !== undefined) {
-              fans[`speed${idx + 1}`] = f.rpm;
-            }
+    }
+
+    // Check low hashrate
+    if (alertConfig.lowHashrate?.enabled && stats.hashrate && !quiet) {
+      const thresholdPercent = alertConfig.lowHashrate.threshold || 80;
+      const expectedHashrate = getExpectedHashrate(configuredMiners[stats.minerIp], stats);
+
+      const minHashrate = expectedHashrate * (thresholdPercent / 100);
+      if (expectedHashrate && stats.hashrate < minHashrate) {
+        const alertKey = `${stats.minerIp}_lowhash`;
+        if (shouldAlert(alertKey)) {
+          alerts.push({
+            id: Date.now() + Math.random(),
+            timestamp: new Date().toISOString(),
+            type: 'lowHashrate',
+            severity: 'warning',
+            minerName: minerName,
+            minerIp: stats.minerIp,
+            message: `Low hashrate on "${minerName}": ${stats.hashrate.toFixed(1)} TH/s`,
+            details: `Hashrate ${stats.hashrate.toFixed(1)} TH/s is below ${thresholdPercent}% of expected (${minHashrate.toFixed(1)} TH/s)`,
+            value: stats.hashrate,
+            threshold: minHashrate
           });
         }
       }
-      
-      // Format 2: Direct temperatures/fans arrays
-      if (graphqlData.data.temperatures && Array.isArray(graphqlData.data.temperatures)) {
-        console.log('Found temperatures array format');
-        graphqlData.data.temperatures.forEach((t, idx) => {
-          if (t.celsius !== undefined && t.celsius !== null) {
-            const name = (t.name || '').toLowerCase();
-            if (name.includes('board') || name.includes('pcb') || name.includes('hashboard')) {
-              const boardNum = name.match(/\d+/)?.[0] || (idx + 1);
-              temps[`board${boardNum}`] = t.celsius;
-            } else if (name.includes('chip')) {
-              temps.chip = t.celsius;
-            } else {
-              if (idx < 3) temps[`board${idx + 1}`] = t.celsius;
-            }
+    }
+
+    // Check high reject rate
+    if (alertConfig.highRejectRate?.enabled && stats.accepted !== undefined && stats.rejected !== undefined) {
+      const total = stats.accepted + stats.rejected;
+      if (total > 100) { // Only check if we have enough samples
+        const rejectRate = (stats.rejected / total) * 100;
+        const threshold = alertConfig.highRejectRate.threshold || 5;
+        if (rejectRate >= threshold) {
+          const alertKey = `${stats.minerIp}_rejects`;
+          if (shouldAlert(alertKey)) {
+            alerts.push({
+              id: Date.now() + Math.random(),
+              timestamp: new Date().toISOString(),
+              type: 'highRejectRate',
+              severity: rejectRate >= threshold * 2 ? 'critical' : 'warning',
+              minerName: minerName,
+              minerIp: stats.minerIp,
+              message: `High reject rate on "${minerName}": ${rejectRate.toFixed(1)}%`,
+              details: `Reject rate ${rejectRate.toFixed(1)}% exceeds threshold of ${threshold}%`,
+              value: rejectRate,
+              threshold: threshold
+            });
           }
-        });
+        }
       }
-      
-      if (graphqlData.data.fans && Array.isArray(graphqlData.data.fans)) {
-        console.log('Found fans array format');
-        graphqlData.data.fans.forEach((f, idx) => {
-          if (f.rpm !== undefined && f.rpm !== null) {
-            fans[`speed${idx + 1}`] = f.rpm;
-          }
-        });
+    }
+  }
+
+  // Add new alerts to history (keep last 100)
+  if (alerts.length > 0) {
+    alertHistory.push(...alerts);
+    if (alertHistory.length > 100) {
+      alertHistory = alertHistory.slice(-100);
+    }
+  }
+
+  return alerts;
+}
+
+// ============================================================================
+// Miner Drivers
+// ============================================================================
+// Each firmware is a driver in MINER_DRIVERS, and config.miners[].driver records
+// which one a miner uses. Every method takes the miner's IP first; optional
+// methods can be left out, and `capabilities` tells the API and the dashboard
+// what the firmware supports.
+//
+//   detect(ip)               -> true when this firmware answers at ip
+//   getStats(ip, miner)      -> hardware stats, see normalizeMinerStats()
+//   setPower(ip, watts)      -> send a power target; throws if the miner rejects it
+//   readPowerTarget(ip)      -> the power target the miner reports, or null
+//   pause(ip, paused)        -> { success, action, via?, error? }
+//   reboot(ip, action, body) -> 'reboot', 'restart' or 'locate': { success, via?, error? }
+//   getPools(ip) / setPools(ip, groups)
+//
+// `hashratePerKw` (TH/s per kW drawn) estimates the expected hashrate for the
+// low-hashrate alert when a miner has no expectedHashrate of its own.
+//
+// Firmware without a power target sets `presets` (profile name -> firmware
+// settings plus the expected draw in `watts`, e.g. { frequency, coreVoltage, watts }
+// on AxeOS) and implements:
+//
+//   validatePreset(preset)   -> error message for the firmware settings, or null
+//   applyPreset(ip, preset)  -> send the settings; throws if the miner rejects them
+//   readPreset(ip)           -> the same settings as the miner reports them, or null
+
+// AxeOS presets for a BM1366/BM1368/BM1370 Bitaxe; watts is the expected draw, used by
+// the heating planner and peak guard. Override them per miner in config.miners[].presets
+const AXEOS_PRESETS = {
+  low: { frequency: 400, coreVoltage: 1100, watts: 10 },
+  medium: { frequency: 490, coreVoltage: 1166, watts: 13 },
+  high: { frequency: 575, coreVoltage: 1200, watts: 17 }
+};
+
+// Stock Antminer work modes: low power and normal; watts are typical for an S19-class miner
+const ANTMINER_PRESETS = {
+  low: { minerMode: 3, watts: 2400 },
+  medium: { minerMode: 0, watts: 3250 }
+};
+
+// LuxOS ships a "default" profile on every model; add the model's others per miner
+const LUXOS_PRESETS = {
+  medium: { profile: 'default', watts: 3250 }
+};
+
+// VNish autotune presets are named after their wattage; the list differs per model
+const VNISH_PRESETS = {
+  low: { preset: '2400', watts: 2400 },
+  medium: { preset: '2800', watts: 2800 },
+  high: { preset: '3200', watts: 3200 }
+};
+
+const MINER_DRIVERS = {
+  braiins: {
+    id: 'braiins',
+    name: 'Braiins OS',
+    capabilities: { powerTarget: true, presets: false, pause: true, reboot: true, restart: true, locate: true, pools: true, boardTemps: true },
+    hashratePerKw: 34,
+    detect: detectBraiinsOS,
+    getStats: fetchBraiinsStats,
+    setPower: braiinsSendPowerTarget,
+    readPowerTarget: braiinsReadPowerTarget,
+    pause: braiinsSetPaused,
+    reboot: braiinsMaintenanceCommand,
+    getPools: braiinsGetPools,
+    setPools: braiinsSetPools
+  },
+  whatsminer: {
+    id: 'whatsminer',
+    name: 'Whatsminer (MicroBT)',
+    capabilities: { powerTarget: true, presets: false, pause: true, reboot: true, restart: true, locate: true, pools: false, boardTemps: true },
+    hashratePerKw: 30,
+    detect: detectWhatsminer,
+    getStats: fetchWhatsminerStats,
+    setPower: whatsminerSendPowerTarget,
+    readPowerTarget: whatsminerReadPowerTarget,
+    pause: whatsminerSetPaused,
+    reboot: whatsminerMaintenanceCommand
+  },
+  bitaxe: {
+    id: 'bitaxe',
+    name: 'Bitaxe / AxeOS',
+    capabilities: { powerTarget: false, presets: true, pause: false, reboot: true, restart: false, locate: false, pools: false, boardTemps: false },
+    presets: AXEOS_PRESETS,
+    validatePreset: validateAxeOSPreset,
+    detect: detectAxeOS,
+    getStats: fetchAxeOSStats,
+    applyPreset: axeosApplyPreset,
+    readPreset: axeosReadPreset,
+    reboot: axeosMaintenanceCommand
+  },
+  luxos: {
+    id: 'luxos',
+    name: 'LuxOS',
+    capabilities: { powerTarget: false, presets: true, pause: true, reboot: true, restart: true, locate: true, pools: false, boardTemps: true },
+    hashratePerKw: 34,
+    presets: LUXOS_PRESETS,
+    validatePreset: validateLuxOSPreset,
+    detect: detectLuxOS,
+    getStats: fetchLuxOSStats,
+    applyPreset: luxosApplyPreset,
+    readPreset: luxosReadPreset,
+    pause: luxosSetPaused,
+    reboot: luxosMaintenanceCommand
+  },
+  vnish: {
+    id: 'vnish',
+    name: 'VNish',
+    capabilities: { powerTarget: false, presets: true, pause: true, reboot: true, restart: true, locate: true, pools: false, boardTemps: true },
+    hashratePerKw: 34,
+    presets: VNISH_PRESETS,
+    validatePreset: validateVNishPreset,
+    detect: detectVNish,
+    getStats: fetchVNishStats,
+    applyPreset: vnishApplyPreset,
+    readPreset: vnishReadPreset,
+    pause: vnishSetPaused,
+    reboot: vnishMaintenanceCommand
+  },
+  // Last: the stock web interface is the fallback when no custom firmware answers
+  antminer: {
+    id: 'antminer',
+    name: 'Antminer (stock firmware)',
+    capabilities: { powerTarget: false, presets: true, pause: true, reboot: true, restart: false, locate: true, pools: false, boardTemps: true },
+    hashratePerKw: 34,
+    presets: ANTMINER_PRESETS,
+    validatePreset: validateAntminerPreset,
+    detect: detectAntminer,
+    getStats: fetchAntminerStats,
+    applyPreset: antminerApplyPreset,
+    readPreset: antminerReadPreset,
+    pause: antminerSetPaused,
+    reboot: antminerMaintenanceCommand
+  }
+};
+
+const DEFAULT_MINER_DRIVER = 'braiins';
+
+// ip -> config.miners entry, refreshed whenever the config is loaded or saved,
+// so driver methods that only get an IP can find the miner's driver and credentials
+let configuredMiners = {};
+
+function indexMinerDrivers(config) {
+  configuredMiners = Object.fromEntries((config.miners || []).map(m => [m.ip, m]));
+}
+
+// The password a driver logs in with: the miner's own, or the firmware default
+function getMinerPassword(ip, fallback) {
+  return configuredMiners[ip]?.password || fallback;
+}
+
+function getMinerDriver(miner) {
+  return MINER_DRIVERS[miner?.driver] || MINER_DRIVERS[DEFAULT_MINER_DRIVER];
+}
+
+function getDriverForIp(ip) {
+  return getMinerDriver(configuredMiners[ip]);
+}
+
+/**
+ * Ask each driver in turn whether it recognises the miner; returns the driver id or null
+ */
+async function detectMinerDriver(ip) {
+  for (const driver of Object.values(MINER_DRIVERS)) {
+    try {
+      if (await driver.detect(ip)) return driver.id;
+    } catch (err) {
+      console.log(`${driver.name} detection failed for ${ip}:`, err.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * The stats shape every driver returns; fields a firmware doesn't report get neutral defaults
+ */
+function normalizeMinerStats(raw = {}) {
+  const accepted = raw.acceptedShares || 0;
+  const rejected = raw.rejectedShares || 0;
+  const fans = raw.fans || {};
+  return {
+    hashrate: raw.hashrate || 0,
+    hashrate1m: raw.hashrate1m ?? null,
+    hashrate15m: raw.hashrate15m ?? null,
+    hashrate24h: raw.hashrate24h ?? null,
+    hashrateAv: raw.hashrateAv ?? null,
+    temperature: raw.temperature ?? null,
+    powerDraw: raw.powerDraw ?? 0,
+    uptime: raw.uptime || 0,
+    boards: (raw.boards || []).map(board => ({ temp: board.temp ?? null, chipTemp: board.chipTemp ?? null })),
+    fans: {
+      speed1: fans.speed1 ?? null,
+      speed2: fans.speed2 ?? null,
+      speed3: fans.speed3 ?? null,
+      speed4: fans.speed4 ?? null
+    },
+    poolStatus: raw.poolStatus || 'Disconnected',
+    poolUrl: raw.poolUrl || 'Not connected',
+    acceptedShares: accepted,
+    rejectedShares: rejected,
+    rejectRate: raw.rejectRate ?? (accepted > 0 ? (rejected / (accepted + rejected)) * 100 : 0),
+    bestDifficulty: raw.bestDifficulty ?? null,
+    bestSessionDifficulty: raw.bestSessionDifficulty ?? null,
+    _debug: raw._debug || {}
+  };
+}
+
+/**
+ * BOSminer names itself in the CGMiner `version` reply; the REST login is the fallback
+ */
+async function detectBraiinsOS(ip) {
+  try {
+    const version = await sendCGMinerCommand(ip, { command: 'version' });
+    if (/bosminer|braiins/i.test(JSON.stringify(version))) return true;
+  } catch (err) {
+    console.log('version command error:', err.message);
+  }
+  return !!(await braiinsRestAuth(ip));
+}
+
+/**
+ * Braiins OS stats over the gRPC public API when the miner serves it, else the
+ * older GraphQL/LuCI/CGMiner/REST paths
+ */
+async function fetchBraiinsStats(ip) {
+  try {
+    return await fetchBraiinsGrpcStats(ip);
+  } catch (err) {
+    console.log(`gRPC stats unavailable for ${ip} (${err.message}), using CGMiner/REST`);
+    return fetchBraiinsMinerStats(ip);
+  }
+}
+
+/**
+ * Hardware stats from a Braiins OS miner: GraphQL, the LuCI HTTP API, BOSminer
+ * (CGMiner API) and the REST API, merged into the normalized driver shape
+ */
+async function fetchBraiinsMinerStats(ip) {
+  try {
+    console.log(`Getting stats from miner at ${ip}`);
+    
+    // Try to get data from Braiins OS GraphQL API (has temperature/fan data)
+    let graphqlData = null;
+    let httpApiData = null;
+    
+    try {
+      graphqlData = await fetchBraiinsGraphQL(ip);
+    } catch (e) {
+      console.log('GraphQL not available:', e.message);
+    }
+    
+    // Try HTTP API as fallback
+    if (!graphqlData) {
+      try {
+        httpApiData = await fetchBraiinsHTTPApi(ip);
+      } catch (e) {
+        console.log('HTTP API not available:', e.message);
       }
-      
-      // Format 3: miner.hashboards
-      if (graphqlData.data.miner?.hashboards) {
-        console.log('Found miner.hashboards format');
-        graphqlData.data.miner.hashboards.forEach((board, idx) => {
-          if (board.temperature !== undefined) {
-            temps[`board${idx + 1}`] = board.temperature;
-          }
-          if (board.chipTemperature !== undefined) {
-            if (temps.chip === null || board.chipTemperature > temps.chip) {
-              temps.chip = board.chipTemperature;
-            }
+    }
+    
+    // Try to get all BOSminer data for debug stats
+    let devs = null;
+    let tempsCmd = null;
+    let fansCmd = null;
+    let devdetailsCmd = null;
+    let tunerstatusCmd = null;
+    let restApiData = null;
+
+    try {
+      // Fetch all BOSminer commands in parallel
+      [devs, tempsCmd, fansCmd, devdetailsCmd, tunerstatusCmd] = await Promise.all([
+        sendCGMinerCommand(ip, { command: 'devs' }).catch(e => { console.log('devs error:', e.message); return null; }),
+        sendCGMinerCommand(ip, { command: 'temps' }).catch(e => { console.log('temps error:', e.message); return null; }),
+        sendCGMinerCommand(ip, { command: 'fans' }).catch(e => { console.log('fans error:', e.message); return null; }),
+        sendCGMinerCommand(ip, { command: 'devdetails' }).catch(e => { console.log('devdetails error:', e.message); return null; }),
+        sendCGMinerCommand(ip, { command: 'tunerstatus' }).catch(e => { console.log('tunerstatus error:', e.message); return null; })
+      ]);
+    } catch (e) {
+      console.log('Error fetching extended BOSminer commands:', e.message);
+    }
+
+    // Try to fetch REST API data
+    try {
+      restApiData = await fetchBraiinsRestApiStats(ip);
+    } catch (e) {
+      console.log('REST API not available:', e.message);
+    }
+
+    const [summary, stats, pools] = await Promise.all([
+      sendCGMinerCommand(ip, { command: 'summary' }),
+      sendCGMinerCommand(ip, { command: 'stats' }),
+      sendCGMinerCommand(ip, { command: 'pools' })
+    ]);
+
+    const summaryData = summary.SUMMARY?.[0] || {};
+    
+    // Log ALL stats entries for debugging
+    console.log('=== RAW STATS RESPONSE ===');
+    console.log('Number of STATS entries:', stats.STATS?.length || 0);
+    if (stats.STATS) {
+      stats.STATS.forEach((s, idx) => {
+        console.log(`\n--- STATS[${idx}] keys:`, Object.keys(s || {}).join(', '));
+        // Log all numeric values to help identify temp/fan fields
+        if (s && typeof s === 'object') {
+          const numericFields = Object.entries(s)
+            .filter(([k, v]) => typeof v === 'number')
+            .map(([k, v]) => `${k}=${v}`);
+          console.log(`  Numeric fields:`, numericFields.join(', '));
+        }
+      });
+    }
+    
+    // Also log devs response if available
+    if (devs?.DEVS) {
+      console.log('\n=== RAW DEVS RESPONSE ===');
+      devs.DEVS.forEach((d, idx) => {
+        console.log(`--- DEVS[${idx}]:`, JSON.stringify(d).substring(0, 500));
+      });
+    }
+    
+    // Collect ALL stats data from all STATS entries
+    let allStatsData = {};
+    let statsData = {};
+    if (stats.STATS) {
+      // Merge all stats entries to find temperature data
+      for (const s of stats.STATS) {
+        if (s && typeof s === 'object') {
+          // Add all keys to allStatsData for debugging
+          Object.assign(allStatsData, s);
+          
+          const hasTemp = Object.keys(s).some(k => k.toLowerCase().includes('temp'));
+          const hasFan = Object.keys(s).some(k => k.toLowerCase().includes('fan'));
+          const hasChain = Object.keys(s).some(k => k.toLowerCase().includes('chain'));
+          const hasBoard = Object.keys(s).some(k => k.toLowerCase().includes('board'));
+          
+          if (hasTemp || hasFan || hasChain || hasBoard) {
+            // Merge this entry into statsData
+            Object.assign(statsData, s);
           }
-        });
-        if (graphqlData.data.miner.fans) {
-          graphqlData.data.miner.fans.forEach((f, idx) => {
-            if (f.rpm !== undefined) {
-              fans[`speed${idx + 1}`] = f.rpm;
-            }
-          });
         }
       }
-      
-      // Format 4: Tuner chain state
-      if (graphqlData.data.bosminer?.info?.workSolver?.tuner?.chainTunerState) {
-        console.log('Found tuner chainTunerState format');
-        const states = graphqlData.data.bosminer.info.workSolver.tuner.chainTunerState;
-        if (Array.isArray(states)) {
-          states.forEach((state, idx) => {
-            if (state.temperature !== undefined) {
-              temps[`board${idx + 1}`] = state.temperature;
-            }
-          });
+      // If still empty, use the largest STATS entry (most keys)
+      if (Object.keys(statsData).length === 0) {
+        statsData = stats.STATS.reduce((best, current) => {
+          if (!current || typeof current !== 'object') return best;
+          return Object.keys(current).length > Object.keys(best).length ? current : best;
+        }, {});
+      }
+    }
+    
+    // Also check devs for temperature data
+    let devsData = {};
+    if (devs?.DEVS) {
+      for (const d of devs.DEVS) {
+        if (d && typeof d === 'object') {
+          Object.assign(devsData, d);
+        }
+      }
+    }
+    
+    // Log what we're working with
+    console.log('\n=== MERGED STATS DATA ===');
+    console.log('Keys:', Object.keys(statsData).join(', '));
+    console.log('Full data:', JSON.stringify(statsData, null, 2).substring(0, 3000));
+    
+    if (Object.keys(devsData).length > 0) {
+      console.log('\n=== MERGED DEVS DATA ===');
+      console.log('Keys:', Object.keys(devsData).join(', '));
+    }
+    
+    const poolData = pools.POOLS?.[0] || {};
+
+    // Calculate hashrate in TH/s - extract all available time ranges
+    // Braiins OS uses MHS (megahash) format, not GHS
+    const mhs5s = summaryData['MHS 5s'] || 0;
+    const mhs1m = summaryData['MHS 1m'] || 0;
+    const mhs15m = summaryData['MHS 15m'] || 0;
+    const mhs24h = summaryData['MHS 24h'] || 0;
+    const mhsAv = summaryData['MHS av'] || 0;
+
+    // Convert MHS to TH/s (divide by 1,000,000)
+    const hashrate = mhs5s / 1000000;
+    const hashrate1m = mhs1m / 1000000;
+    const hashrate15m = mhs15m / 1000000;
+    const hashrate24h = mhs24h / 1000000;
+    const hashrateAv = mhsAv / 1000000;
+
+    // Extract temperatures - prefer GraphQL data, fall back to CGMiner
+    let temps = { board1: null, board2: null, board3: null, chip: null };
+    let fans = { speed1: null, speed2: null, speed3: null, speed4: null };
+    
+    // Try GraphQL data first (most reliable for Braiins OS)
+    if (graphqlData?.data) {
+      console.log('=== PROCESSING GRAPHQL DATA ===');
+      console.log('Raw GraphQL data:', JSON.stringify(graphqlData.data, null, 2));
+      
+      // Handle bosminer.info.fans and bosminer.info.tempCtrl format (BOSer)
+      if (graphqlData.data.bosminer?.info) {
+        const info = graphqlData.data.bosminer.info;
+        console.log('Found bosminer.info format');
+        
+        // Extract fans - FanInfo has: name, speed, rpm
+        if (info.fans && Array.isArray(info.fans)) {
+          console.log('Found fans array:', JSON.stringify(info.fans));
+          info.fans.forEach((fan, idx) => {
+            if (fan.rpm !== undefined && fan.rpm !== null) {
+              fans[`speed${idx + 1}`] = fan.rpm;
+            } else if (fan.speed !== undefined && fan.speed !== null) {
+              fans[`speed${idx + 1}`] = fan.speed;
+            }
+          });
+        }
+        
+        // Extract temperature from tempCtrl - TempCtrlInfo has: targetC, hotC, dangerousC
+        if (info.tempCtrl) {
+          console.log('Found tempCtrl:', JSON.stringify(info.tempCtrl));
+          // Use targetC as the operating temperature
+          if (info.tempCtrl.targetC !== undefined && info.tempCtrl.targetC !== null) {
+            temps.chip = info.tempCtrl.targetC;
+          }
+          // hotC and dangerousC are thresholds, not current temps
+          if (info.tempCtrl.hotC !== undefined) {
+            console.log('Hot threshold:', info.tempCtrl.hotC);
+          }
+          if (info.tempCtrl.dangerousC !== undefined) {
+            console.log('Dangerous threshold:', info.tempCtrl.dangerousC);
+          }
+        }
+        
+        // Extract actual temperatures from workSolver.temperatures
+        // Temperature type has: name, degreesC
+        if (info.workSolver?.temperatures && Array.isArray(info.workSolver.temperatures)) {
+          console.log('Found workSolver.temperatures:', JSON.stringify(info.workSolver.temperatures));
+          info.workSolver.temperatures.forEach((temp, idx) => {
+            if (temp.degreesC !== undefined && temp.degreesC !== null) {
+              const name = (temp.name || '').toLowerCase();
+              // Try to identify board vs chip temps
+              if (name.includes('board') || name.includes('pcb') || name.includes('hashboard')) {
+                const boardNum = name.match(/\d+/)?.[0] || (idx + 1);
+                temps[`board${boardNum}`] = temp.degreesC;
+              } else if (name.includes('chip')) {
+                temps.chip = temp.degreesC;
+              } else {
+                // Default: first 3 are boards, any after might be chip
+                if (idx < 3) {
+                  temps[`board${idx + 1}`] = temp.degreesC;
+                } else if (temps.chip === null) {
+                  temps.chip = temp.degreesC;
+                }
+              }
+            }
+          });
+          
+          // Set chip to max board temp if not explicitly found
+          if (temps.chip === null) {
+            const boardTemps = [temps.board1, temps.board2, temps.board3].filter(t => t !== null);
+            if (boardTemps.length > 0) {
+              temps.chip = Math.max(...boardTemps);
+            }
+          }
+        }
+      }
+      
+      // Handle multiple possible GraphQL response formats
+      
+      // Format 1: bosminer.hashChains with temperature objects
+      if (graphqlData.data.bosminer?.hashChains) {
+        console.log('Found bosminer.hashChains format');
+        const chains = graphqlData.data.bosminer.hashChains;
+        chains.forEach((chain, idx) => {
+          if (chain.temperature) {
+            if (chain.temperature.board !== undefined) {
+              temps[`board${idx + 1}`] = chain.temperature.board;
+            }
+            if (chain.temperature.chip !== undefined) {
+              if (temps.chip === null || chain.temperature.chip > temps.chip) {
+                temps.chip = chain.temperature.chip;
+              }
+            }
+          }
+          if (typeof chain.temperature === 'number') {
+            temps[`board${idx + 1}`] = chain.temperature;
+          }
+          if (chain.fanRpm !== undefined) {
+            fans[`speed${idx + 1}`] = chain.fanRpm;
+          }
+        });
+        // Also check for fans array in bosminer
+        if (graphqlData.data.bosminer.fans) {
+          graphqlData.data.bosminer.fans.forEach((f, idx) => {
+            if (f.rpm !== undefined) {
+              fans[`speed${idx + 1}`] = f.rpm;
+            }
+          });
+        }
+      }
+      
+      // Format 2: Direct temperatures/fans arrays
+      if (graphqlData.data.temperatures && Array.isArray(graphqlData.data.temperatures)) {
+        console.log('Found temperatures array format');
+        graphqlData.data.temperatures.forEach((t, idx) => {
+          if (t.celsius !== undefined && t.celsius !== null) {
+            const name = (t.name || '').toLowerCase();
+            if (name.includes('board') || name.includes('pcb') || name.includes('hashboard')) {
+              const boardNum = name.match(/\d+/)?.[0] || (idx + 1);
+              temps[`board${boardNum}`] = t.celsius;
+            } else if (name.includes('chip')) {
+              temps.chip = t.celsius;
+            } else {
+              if (idx < 3) temps[`board${idx + 1}`] = t.celsius;
+            }
+          }
+        });
+      }
+      
+      if (graphqlData.data.fans && Array.isArray(graphqlData.data.fans)) {
+        console.log('Found fans array format');
+        graphqlData.data.fans.forEach((f, idx) => {
+          if (f.rpm !== undefined && f.rpm !== null) {
+            fans[`speed${idx + 1}`] = f.rpm;
+          }
+        });
+      }
+      
+      // Format 3: miner.hashboards
+      if (graphqlData.data.miner?.hashboards) {
+        console.log('Found miner.hashboards format');
+        graphqlData.data.miner.hashboards.forEach((board, idx) => {
+          if (board.temperature !== undefined) {
+            temps[`board${idx + 1}`] = board.temperature;
+          }
+          if (board.chipTemperature !== undefined) {
+            if (temps.chip === null || board.chipTemperature > temps.chip) {
+              temps.chip = board.chipTemperature;
+            }
+          }
+        });
+        if (graphqlData.data.miner.fans) {
+          graphqlData.data.miner.fans.forEach((f, idx) => {
+            if (f.rpm !== undefined) {
+              fans[`speed${idx + 1}`] = f.rpm;
+            }
+          });
+        }
+      }
+      
+      // Format 4: Tuner chain state
+      if (graphqlData.data.bosminer?.info?.workSolver?.tuner?.chainTunerState) {
+        console.log('Found tuner chainTunerState format');
+        const states = graphqlData.data.bosminer.info.workSolver.tuner.chainTunerState;
+        if (Array.isArray(states)) {
+          states.forEach((state, idx) => {
+            if (state.temperature !== undefined) {
+              temps[`board${idx + 1}`] = state.temperature;
+            }
+          });
+        }
+      }
+      
+      // Format 5: bosminer.hashboards with stats
+      if (graphqlData.data.bosminer?.hashboards) {
+        console.log('Found bosminer.hashboards format');
+        graphqlData.data.bosminer.hashboards.forEach((board, idx) => {
+          if (board.stats?.temp !== undefined) {
+            temps[`board${idx + 1}`] = board.stats.temp;
+          }
+        });
+      }
+      
+      // Set chip temp to max board temp if not explicitly provided
+      if (temps.chip === null) {
+        const boardTemps = [temps.board1, temps.board2, temps.board3].filter(t => t !== null);
+        if (boardTemps.length > 0) {
+          temps.chip = Math.max(...boardTemps);
+        }
+      }
+      
+      console.log('Extracted from GraphQL - temps:', temps, 'fans:', fans);
+    }
+    
+    // Try HTTP API data if GraphQL didn't work
+    if (httpApiData && temps.chip === null) {
+      console.log('=== TRYING HTTP API DATA ===');
+      console.log('HTTP API data:', JSON.stringify(httpApiData, null, 2).substring(0, 1000));
+      
+      // Try to extract from various HTTP API response formats
+      if (httpApiData.temp) {
+        temps.chip = httpApiData.temp;
+      }
+      if (httpApiData.temp1) temps.board1 = httpApiData.temp1;
+      if (httpApiData.temp2) temps.board2 = httpApiData.temp2;
+      if (httpApiData.temp3) temps.board3 = httpApiData.temp3;
+      if (httpApiData.fan1) fans.speed1 = httpApiData.fan1;
+      if (httpApiData.fan2) fans.speed2 = httpApiData.fan2;
+    }
+    
+    // Try TEMPS command from BOSminer (most reliable for newer Braiins OS)
+    if (tempsCmd?.TEMPS && Array.isArray(tempsCmd.TEMPS)) {
+      console.log('=== PROCESSING TEMPS COMMAND ===');
+      console.log('TEMPS data:', JSON.stringify(tempsCmd.TEMPS));
+
+      const tempBoards = [];
+      const tempChips = [];
+
+      tempsCmd.TEMPS.forEach((tempEntry, idx) => {
+        if (tempEntry.Board !== undefined && tempEntry.Board !== null) {
+          temps[`board${idx + 1}`] = tempEntry.Board;
+          tempBoards.push(tempEntry.Board);
+        }
+        if (tempEntry.Chip !== undefined && tempEntry.Chip !== null) {
+          tempChips.push(tempEntry.Chip);
+        }
+      });
+
+      // Set chip temp to max of all chip temps
+      if (tempChips.length > 0) {
+        temps.chip = Math.max(...tempChips);
+      }
+
+      console.log('Extracted from TEMPS command - temps:', temps);
+    }
+
+    // Try FANS command from BOSminer (most reliable for newer Braiins OS)
+    if (fansCmd?.FANS && Array.isArray(fansCmd.FANS)) {
+      console.log('=== PROCESSING FANS COMMAND ===');
+      console.log('FANS data:', JSON.stringify(fansCmd.FANS));
+
+      fansCmd.FANS.forEach((fanEntry, idx) => {
+        if (fanEntry.RPM !== undefined && fanEntry.RPM !== null) {
+          fans[`speed${idx + 1}`] = fanEntry.RPM;
+        }
+      });
+
+      console.log('Extracted from FANS command - fans:', fans);
+    }
+
+    // Fall back to CGMiner stats/devs data if GraphQL/HTTP API didn't provide temps
+    if (temps.chip === null || temps.chip === 0) {
+      console.log('=== FALLING BACK TO CGMINER DATA ===');
+      temps = extractTemperatures(statsData, devsData, allStatsData);
+      fans = extractFanSpeeds(statsData, devsData, allStatsData);
+    }
+
+    console.log('Final temperatures:', temps);
+    console.log('Final fans:', fans);
+
+    // Get power from stats or estimate
+    const power = statsData.Power || statsData.power || statsData.power_limit || 
+                  summaryData.Power || Math.round(hashrate * 34) || 3250;
+
+    // Calculate reject rate
+    const accepted = poolData.Accepted || 0;
+    const rejected = poolData.Rejected || 0;
+    const rejectRate = accepted > 0 ? (rejected / (accepted + rejected)) * 100 : 0;
+
+    return {
+      // Basic stats
+      hashrate,
+      hashrate1m,
+      hashrate15m,
+      hashrate24h,
+      hashrateAv,
+      temperature: temps.chip,
+      powerDraw: power,
+      uptime: summaryData.Elapsed || 0,
+      boards: [
+        { temp: temps.board1, chipTemp: tempsCmd?.TEMPS?.[0]?.Chip || null },
+        { temp: temps.board2, chipTemp: tempsCmd?.TEMPS?.[1]?.Chip || null },
+        { temp: temps.board3, chipTemp: tempsCmd?.TEMPS?.[2]?.Chip || null }
+      ],
+      fans: {
+        speed1: fans.speed1,
+        speed2: fans.speed2,
+        speed3: fans.speed3,
+        speed4: fans.speed4
+      },
+      poolStatus: poolData.Status === 'Alive' ? 'Connected' : 'Disconnected',
+      poolUrl: poolData.URL || 'Not connected',
+      acceptedShares: accepted,
+      rejectedShares: rejected,
+      rejectRate,
+
+      // Debug info - all available API data
+      _debug: {
+        // GraphQL API
+        graphqlAvailable: graphqlData?.data ? true : false,
+        graphqlRootFields: graphqlData?._availableFields || [],
+        graphqlBosminerFields: graphqlData?._bosminerFields || [],
+        graphqlBosFields: graphqlData?._bosFields || [],
+        graphqlTemps: graphqlData?.data?.temperatures || graphqlData?.data?.bosminer?.hashChains || [],
+        graphqlFans: graphqlData?.data?.fans || graphqlData?.data?.bosminer?.fans || [],
+        graphqlRawData: graphqlData?.data ? JSON.stringify(graphqlData.data).substring(0, 500) : null,
+
+        // HTTP API
+        httpApiAvailable: httpApiData ? true : false,
+
+        // BOSminer Commands
+        bosminer: {
+          summary: summaryData,
+          stats: stats,
+          pools: pools,
+          devs: devs,
+          temps: tempsCmd,
+          fans: fansCmd,
+          devdetails: devdetailsCmd,
+          tunerstatus: tunerstatusCmd
+        },
+
+        // REST API
+        restApiAvailable: restApiData?.authenticated || false,
+        restApi: restApiData,
+
+        // Legacy debug fields
+        statsEntryCount: stats.STATS?.length || 0,
+        allNumericFields: Object.entries(allStatsData)
+          .filter(([k, v]) => typeof v === 'number')
+          .map(([k, v]) => `${k}=${v}`)
+          .slice(0, 30),
+        devsNumericFields: Object.entries(devsData)
+          .filter(([k, v]) => typeof v === 'number')
+          .map(([k, v]) => `${k}=${v}`)
+          .slice(0, 20),
+        tempFields: Object.entries({ ...allStatsData, ...devsData })
+          .filter(([k, v]) => typeof v === 'number' && k.toLowerCase().includes('temp'))
+          .map(([k, v]) => `${k}=${v}`),
+        fanFields: Object.entries({ ...allStatsData, ...devsData })
+          .filter(([k, v]) => typeof v === 'number' && k.toLowerCase().includes('fan'))
+          .map(([k, v]) => `${k}=${v}`)
+      }
+    };
+  } catch (err) {
+    console.error('Braiins OS stats error:', err);
+    throw err;
+  }
+}
+
+// ============================================================================
+// Whatsminer Driver
+// ============================================================================
+// MicroBT's btminer answers CGMiner-style read commands on port 4028 (summary,
+// edevs, pools) but names its fields differently. Write commands need the
+// miner's admin password: get_token returns salts, the password is hashed with
+// MD5-crypt into an AES-256-ECB key and a signed token, and the command travels
+// encrypted as { enc: 1, data }. The API must be enabled in WhatsMinerTool.
+
+const WHATSMINER_DEFAULT_PASSWORD = 'admin';
+const WHATSMINER_READBACK_ATTEMPTS = 4;
+const WHATSMINER_READBACK_DELAY_MS = 5000;
+
+const WHATSMINER_MAINTENANCE = {
+  reboot: { cmd: 'reboot' },
+  restart: { cmd: 'restart_btminer' },
+  locate: { cmd: 'set_led', on: { color: 'red', period: 1000, duration: 500, start: 0 }, off: { param: 'auto' } }
+};
+
+const MD5_CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * MD5-crypt ("$1$salt$hash", as crypt(3) and `openssl passwd -1`), which btminer uses for its tokens
+ */
+function md5Crypt(password, salt) {
+  const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+  const pw = Buffer.from(password);
+  const saltText = salt.slice(0, 8);
+  const saltBuf = Buffer.from(saltText);
+
+  const alternate = md5(pw, saltBuf, pw);
+  const parts = [pw, Buffer.from('$1$'), saltBuf];
+  for (let left = pw.length; left > 0; left -= 16) {
+    parts.push(alternate.subarray(0, Math.min(16, left)));
+  }
+  for (let bits = pw.length; bits > 0; bits >>= 1) {
+    parts.push(bits & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+  }
+  let digest = md5(...parts);
+
+  for (let round = 0; round < 1000; round++) {
+    const roundParts = [round & 1 ? pw : digest];
+    if (round % 3) roundParts.push(saltBuf);
+    if (round % 7) roundParts.push(pw);
+    roundParts.push(round & 1 ? digest : pw);
+    digest = md5(...roundParts);
+  }
+
+  const encode = (value, chars) => {
+    let out = '';
+    for (let i = 0; i < chars; i++, value >>= 6) out += MD5_CRYPT_ALPHABET[value & 0x3f];
+    return out;
+  };
+  const hash = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]]
+    .map(([a, b, c]) => encode((digest[a] << 16) | (digest[b] << 8) | digest[c], 4))
+    .join('') + encode(digest[11], 2);
+  return `$1$${saltText}$${hash}`;
+}
+
+function whatsminerError(reply) {
+  const status = Array.isArray(reply?.STATUS) ? reply.STATUS[0] : reply;
+  return `${status?.Msg || 'no answer'}${status?.Code !== undefined ? ` (code ${status.Code})` : ''}`;
+}
+
+/**
+ * Unencrypted read command; throws when btminer answers with an error status
+ */
+async function whatsminerRead(ip, command) {
+  const reply = await sendCGMinerCommand(ip, { command });
+  const status = Array.isArray(reply.STATUS) ? reply.STATUS[0] : reply;
+  if (status?.STATUS === 'E') {
+    throw new Error(`Whatsminer ${command} failed: ${whatsminerError(reply)}`);
+  }
+  return reply;
+}
+
+/**
+ * Encrypted write command, signed with a fresh token from get_token
+ */
+async function whatsminerWrite(ip, cmd, params = {}) {
+  const password = getMinerPassword(ip, WHATSMINER_DEFAULT_PASSWORD);
+
+  const tokenReply = await sendCGMinerCommand(ip, { cmd: 'get_token' });
+  const { time, salt, newsalt } = tokenReply?.Msg || {};
+  if (!time || !salt || !newsalt) {
+    throw new Error(`Whatsminer get_token failed: ${whatsminerError(tokenReply)}`);
+  }
+  const key = md5Crypt(password, salt).split('$')[3];
+  const token = md5Crypt(key + time, newsalt).split('$')[3];
+  const aesKey = crypto.createHash('sha256').update(key).digest();
+
+  // btminer pads with NUL bytes rather than PKCS#7
+  const plain = Buffer.from(JSON.stringify({ cmd, ...params, token }));
+  const padded = Buffer.concat([plain, Buffer.alloc((16 - (plain.length % 16)) % 16)]);
+  const cipher = crypto.createCipheriv('aes-256-ecb', aesKey, null).setAutoPadding(false);
+  const data = Buffer.concat([cipher.update(padded), cipher.final()]).toString('base64');
+
+  const reply = await sendCGMinerCommand(ip, { enc: 1, data });
+  let result = reply;
+  if (typeof reply.enc === 'string') {
+    const decipher = crypto.createDecipheriv('aes-256-ecb', aesKey, null).setAutoPadding(false);
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(reply.enc, 'base64')), decipher.final()]);
+    result = JSON.parse(decrypted.toString().replace(/\0/g, ''));
+  }
+  if (result.STATUS !== 'S') {
+    throw new Error(`Whatsminer ${cmd} failed: ${whatsminerError(result)}`);
+  }
+  return result;
+}
+
+/**
+ * btminer reports its API and firmware version in get_version
+ */
+async function detectWhatsminer(ip) {
+  const reply = await sendCGMinerCommand(ip, { cmd: 'get_version' });
+  return !!(reply?.Msg?.api_ver || reply?.Msg?.fw_ver) || /whatsminer|btminer/i.test(JSON.stringify(reply));
+}
+
+/**
+ * Hardware stats from btminer's summary, edevs (one entry per hashboard) and pools
+ */
+async function fetchWhatsminerStats(ip) {
+  console.log(`Getting Whatsminer stats from ${ip}`);
+  const summaryReply = await whatsminerRead(ip, 'summary');
+  const summary = summaryReply.SUMMARY?.[0] || {};
+
+  let devs = [];
+  try {
+    devs = (await whatsminerRead(ip, 'edevs')).DEVS || [];
+  } catch (err) {
+    console.log('Whatsminer edevs error:', err.message);
+  }
+
+  let pools = [];
+  try {
+    pools = (await whatsminerRead(ip, 'pools')).POOLS || [];
+  } catch (err) {
+    console.log('Whatsminer pools error:', err.message);
+  }
+  const pool = pools.find(p => p['Stratum Active']) || pools.find(p => p.Status === 'Alive') || {};
+
+  const terahash = (field) => typeof summary[field] === 'number' ? summary[field] / 1000000 : null;
+
+  return {
+    hashrate: terahash('MHS 5s') || 0,
+    hashrate1m: terahash('MHS 1m'),
+    hashrate15m: terahash('MHS 15m'),
+    hashrateAv: terahash('MHS av'),
+    temperature: summary['Chip Temp Max'] ?? summary.Temperature ?? null,
+    powerDraw: summary.Power ?? summary.Power_RT ?? 0,
+    uptime: summary.Elapsed || 0,
+    boards: devs.map(dev => ({
+      temp: dev.Temperature ?? null,
+      chipTemp: dev['Chip Temp Max'] ?? dev['Chip Temp Avg'] ?? null
+    })),
+    fans: {
+      speed1: summary['Fan Speed In'] ?? null,
+      speed2: summary['Fan Speed Out'] ?? null
+    },
+    poolStatus: pool.Status === 'Alive' ? 'Connected' : 'Disconnected',
+    poolUrl: pool.URL || 'Not connected',
+    acceptedShares: summary.Accepted ?? pool.Accepted ?? 0,
+    rejectedShares: summary.Rejected ?? pool.Rejected ?? 0,
+    _debug: {
+      whatsminer: { summary: summaryReply, edevs: devs, pools }
+    }
+  };
+}
+
+async function whatsminerSendPowerTarget(ip, watts) {
+  try {
+    await whatsminerWrite(ip, 'adjust_power_limit', { power_limit: String(watts) });
+  } catch (err) {
+    // Some firmware restarts btminer before it answers; the readback decides
+    if (!isDroppedConnection(err.message)) throw err;
+  }
+}
+
+/**
+ * The power limit from summary. adjust_power_limit restarts btminer on most
+ * firmware, so the API is given a little while to come back
+ */
+async function whatsminerReadPowerTarget(ip) {
+  for (let attempt = 1; attempt <= WHATSMINER_READBACK_ATTEMPTS; attempt++) {
+    try {
+      const watts = (await whatsminerRead(ip, 'summary')).SUMMARY?.[0]?.['Power Limit'];
+      return typeof watts === 'number' && watts > 0 ? watts : null;
+    } catch (err) {
+      console.log(`Whatsminer power limit readback error (attempt ${attempt}/${WHATSMINER_READBACK_ATTEMPTS}):`, err.message);
+      if (attempt < WHATSMINER_READBACK_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, WHATSMINER_READBACK_DELAY_MS));
+      }
+    }
+  }
+  return null;
+}
+
+async function whatsminerSetPaused(ip, paused) {
+  const action = paused ? 'pause' : 'resume';
+  try {
+    await whatsminerWrite(ip, paused ? 'power_off' : 'power_on', paused ? { respbefore: 'true' } : {});
+    return { success: true, action, via: 'whatsminer' };
+  } catch (err) {
+    return { success: false, action, error: err.message };
+  }
+}
+
+async function whatsminerMaintenanceCommand(ip, action, body = null) {
+  const definition = WHATSMINER_MAINTENANCE[action];
+  const params = action === 'locate' ? (body?.enable === false ? definition.off : definition.on) : {};
+  try {
+    await whatsminerWrite(ip, definition.cmd, params);
+    return { success: true, via: 'whatsminer' };
+  } catch (err) {
+    if (MAINTENANCE_ACTIONS[action].healthCheck && isDroppedConnection(err.message)) {
+      return { success: true, via: 'whatsminer' };
+    }
+    return { success: false, error: err.message };
+  }
+}
+
+// ============================================================================
+// AxeOS Driver (Bitaxe, NerdQAxe)
+// ============================================================================
+// Small single-ASIC miners running AxeOS/ESP-Miner serve a JSON API over plain
+// HTTP: GET /api/system/info for stats, PATCH /api/system for settings and
+// POST /api/system/restart. They are tuned by ASIC frequency (MHz) and core
+// voltage (mV) instead of a power target, so their profiles are presets. New
+// settings take effect after a restart, which takes a few seconds.
+
+const AXEOS_FREQUENCY_RANGE = { min: 100, max: 1000 };  // MHz
+const AXEOS_VOLTAGE_RANGE = { min: 1000, max: 1400 };   // mV
+const AXEOS_READBACK_ATTEMPTS = 4;
+const AXEOS_READBACK_DELAY_MS = 5000;
+
+/**
+ * JSON request to AxeOS (no authentication); throws on HTTP or connection errors
+ */
+async function axeosRequest(ip, method, endpoint, body = null) {
+  const response = await braiinsRestAction(ip, endpoint, null, body, method);
+  if (!response.ok) {
+    throw new Error(`AxeOS ${method} ${endpoint} failed (${response.status ? `HTTP ${response.status}` : response.error})`);
+  }
+  return response.body;
+}
+
+async function detectAxeOS(ip) {
+  const info = await axeosRequest(ip, 'GET', '/api/system/info');
+  return !!info && typeof info === 'object' && ('ASICModel' in info || 'hashRate' in info);
+}
+
+/**
+ * Hardware stats from /api/system/info. hashRate is in GH/s; the ASIC has one
+ * temperature and the voltage regulator (vrTemp) stands in for the board
+ */
+async function fetchAxeOSStats(ip) {
+  console.log(`Getting AxeOS stats from ${ip}`);
+  const info = await axeosRequest(ip, 'GET', '/api/system/info');
+  if (!info || typeof info !== 'object') {
+    throw new Error('AxeOS returned no system info');
+  }
+
+  const terahash = (value) => typeof value === 'number' ? value / 1000 : null;
+  const hashrate = terahash(info.hashRate) || 0;
+  const stratumUrl = info.isUsingFallbackStratum ? info.fallbackStratumURL : info.stratumURL;
+  const stratumPort = info.isUsingFallbackStratum ? info.fallbackStratumPort : info.stratumPort;
+
+  return {
+    hashrate,
+    hashrate1m: terahash(info.hashRate_1m) ?? hashrate,
+    hashrate15m: terahash(info.hashRate_10m),
+    hashrate24h: terahash(info.hashRate_1d),
+    temperature: info.temp ?? null,
+    powerDraw: typeof info.power === 'number' ? Math.round(info.power * 10) / 10 : 0,
+    uptime: info.uptimeSeconds || 0,
+    boards: [{ temp: info.vrTemp ?? null, chipTemp: info.temp ?? null }],
+    fans: { speed1: info.fanrpm ?? null, speed2: info.fan2rpm ?? null },
+    // AxeOS doesn't report the pool connection; hashing means it is connected
+    poolStatus: hashrate > 0 ? 'Connected' : 'Disconnected',
+    poolUrl: stratumUrl ? `${stratumUrl}${stratumPort ? `:${stratumPort}` : ''}` : 'Not connected',
+    acceptedShares: info.sharesAccepted || 0,
+    rejectedShares: info.sharesRejected || 0,
+    bestDifficulty: info.bestDiff ?? null,
+    bestSessionDifficulty: info.bestSessionDiff ?? null,
+    _debug: {
+      axeos: info
+    }
+  };
+}
+
+async function axeosApplyPreset(ip, preset) {
+  await axeosRequest(ip, 'PATCH', '/api/system', {
+    frequency: preset.frequency,
+    coreVoltage: preset.coreVoltage
+  });
+  await axeosRequest(ip, 'POST', '/api/system/restart');
+}
+
+/**
+ * Frequency and core voltage from system info, waiting for the restart to finish
+ */
+async function axeosReadPreset(ip) {
+  for (let attempt = 1; attempt <= AXEOS_READBACK_ATTEMPTS; attempt++) {
+    try {
+      const info = await axeosRequest(ip, 'GET', '/api/system/info');
+      if (typeof info?.frequency !== 'number' || typeof info?.coreVoltage !== 'number') return null;
+      return { frequency: info.frequency, coreVoltage: info.coreVoltage };
+    } catch (err) {
+      console.log(`AxeOS preset readback error (attempt ${attempt}/${AXEOS_READBACK_ATTEMPTS}):`, err.message);
+      if (attempt < AXEOS_READBACK_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, AXEOS_READBACK_DELAY_MS));
+      }
+    }
+  }
+  return null;
+}
+
+function validateAxeOSPreset({ frequency, coreVoltage }) {
+  if (!(Number.isInteger(frequency) && frequency >= AXEOS_FREQUENCY_RANGE.min && frequency <= AXEOS_FREQUENCY_RANGE.max)) {
+    return `frequency must be ${AXEOS_FREQUENCY_RANGE.min}-${AXEOS_FREQUENCY_RANGE.max} MHz`;
+  }
+  if (!(Number.isInteger(coreVoltage) && coreVoltage >= AXEOS_VOLTAGE_RANGE.min && coreVoltage <= AXEOS_VOLTAGE_RANGE.max)) {
+    return `coreVoltage must be ${AXEOS_VOLTAGE_RANGE.min}-${AXEOS_VOLTAGE_RANGE.max} mV`;
+  }
+  return null;
+}
+
+async function axeosMaintenanceCommand(ip, action) {
+  try {
+    await axeosRequest(ip, 'POST', '/api/system/restart');
+    return { success: true, via: 'axeos' };
+  } catch (err) {
+    if (isDroppedConnection(err.message)) return { success: true, via: 'axeos' };
+    return { success: false, error: err.message };
+  }
+}
+
+// ============================================================================
+// Stock Antminer Driver (Bitmain firmware)
+// ============================================================================
+// Bitmain's own firmware serves JSON from CGI scripts on port 80 behind HTTP
+// digest authentication (root/root by default): stats.cgi, pools.cgi,
+// get_system_info.cgi, get/set_miner_conf.cgi, blink.cgi and reboot.cgi. There is
+// no power target; the work mode ("miner-mode") picks normal, low-power or
+// sleep, so profiles are presets of a work mode. The firmware doesn't measure
+// power either, so the active preset's watts stand in for the draw.
+
+const ANTMINER_DEFAULT_USER = 'root';
+const ANTMINER_DEFAULT_PASSWORD = 'root';
+const ANTMINER_SLEEP_MODE = 1;
+// 0 = normal, 2 = high performance and 3 = low power, where the model has them
+const ANTMINER_WORK_MODES = [0, 2, 3];
+
+/**
+ * One HTTP request to the miner; resolves { status, headers, body } with the raw body
+ */
+function minerHttpRequest(ip, method, endpoint, headers = {}, payload = '') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: ip,
+      port: 80,
+      path: endpoint,
+      method,
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(payload) },
+      timeout: 10000
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error(`Request timeout for ${endpoint}`));
+    });
+    req.end(payload);
+  });
+}
+
+/**
+ * Authorization header answering an HTTP digest challenge (RFC 7616, MD5 with qop=auth)
+ */
+function buildDigestAuth(challenge, method, uri, username, password) {
+  const params = {};
+  for (const [, key, value] of challenge.matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)) {
+    params[key] = value;
+  }
+  const md5 = (text) => crypto.createHash('md5').update(text).digest('hex');
+  const ha1 = md5(`${username}:${params.realm}:${password}`);
+  const ha2 = md5(`${method}:${uri}`);
+  const nc = '00000001';
+  const cnonce = crypto.randomBytes(8).toString('hex');
+  const qop = params.qop ? 'auth' : null;
+  const response = qop
+    ? md5(`${ha1}:${params.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : md5(`${ha1}:${params.nonce}:${ha2}`);
+
+  return [
+    `Digest username="${username}"`,
+    `realm="${params.realm}"`,
+    `nonce="${params.nonce}"`,
+    `uri="${uri}"`,
+    'algorithm=MD5',
+    `response="${response}"`,
+    ...(params.opaque ? [`opaque="${params.opaque}"`] : []),
+    ...(qop ? [`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`] : [])
+  ].join(', ');
+}
+
+/**
+ * JSON request to a stock Antminer CGI script, answering the digest challenge
+ */
+async function antminerCgi(ip, endpoint, body = null) {
+  const method = body ? 'POST' : 'GET';
+  const payload = body ? JSON.stringify(body) : '';
+  const headers = body ? { 'Content-Type': 'application/json' } : {};
+
+  let response = await minerHttpRequest(ip, method, endpoint, headers, payload);
+  const challenge = response.headers['www-authenticate'];
+  if (response.status === 401 && /^digest/i.test(challenge || '')) {
+    const password = getMinerPassword(ip, ANTMINER_DEFAULT_PASSWORD);
+    const authorization = buildDigestAuth(challenge, method, endpoint, ANTMINER_DEFAULT_USER, password);
+    response = await minerHttpRequest(ip, method, endpoint, { ...headers, Authorization: authorization }, payload);
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Antminer ${endpoint} failed (HTTP ${response.status})`);
+  }
+  try {
+    return JSON.parse(response.body);
+  } catch (err) {
+    return response.body;
+  }
+}
+
+async function detectAntminer(ip) {
+  const info = await antminerCgi(ip, '/cgi-bin/get_system_info.cgi');
+  return /antminer/i.test(info?.minertype || '');
+}
+
+/**
+ * Hardware stats from stats.cgi (hashrate, fans, per-chain temperatures) and pools.cgi
+ */
+async function fetchAntminerStats(ip, miner) {
+  console.log(`Getting stock Antminer stats from ${ip}`);
+  const statsReply = await antminerCgi(ip, '/cgi-bin/stats.cgi');
+  const stats = statsReply?.STATS?.[0];
+  if (!stats) {
+    throw new Error('Antminer stats.cgi returned no stats');
+  }
+
+  let pools = [];
+  try {
+    pools = (await antminerCgi(ip, '/cgi-bin/pools.cgi'))?.POOLS || [];
+  } catch (err) {
+    console.log('Antminer pools.cgi error:', err.message);
+  }
+  const pool = [...pools].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0)).find(p => p.status === 'Alive') || {};
+
+  const divisor = { 'MH/s': 1000000, 'GH/s': 1000, 'TH/s': 1 }[stats.rate_unit || 'GH/s'] || 1000;
+  const terahash = (value) => typeof value === 'number' ? value / divisor : null;
+  const max = (values) => {
+    const numbers = (values || []).filter(v => typeof v === 'number' && v > 0);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  };
+  const chains = stats.chain || [];
+  const fans = stats.fan || [];
+  const chipTemps = chains.map(chain => max(chain.temp_chip));
+
+  return {
+    hashrate: terahash(stats.rate_5s) || 0,
+    hashrate15m: terahash(stats.rate_30m),
+    hashrateAv: terahash(stats.rate_avg),
+    temperature: max(chipTemps),
+    powerDraw: getMinerPowerProfiles(miner)[miner?.powerProfile] ?? 0,
+    uptime: stats.elapsed || 0,
+    boards: chains.map((chain, i) => ({ temp: max(chain.temp_pcb), chipTemp: chipTemps[i] })),
+    fans: { speed1: fans[0] ?? null, speed2: fans[1] ?? null, speed3: fans[2] ?? null, speed4: fans[3] ?? null },
+    poolStatus: pool.url ? 'Connected' : 'Disconnected',
+    poolUrl: pool.url || 'Not connected',
+    acceptedShares: pool.accepted || 0,
+    rejectedShares: pool.rejected || 0,
+    _debug: {
+      antminer: { stats: statsReply, pools }
+    }
+  };
+}
+
+/**
+ * Change the work mode. set_miner_conf.cgi replaces the whole configuration, so
+ * the pools and fan settings are sent back as they are
+ */
+async function antminerSetWorkMode(ip, mode) {
+  const conf = await antminerCgi(ip, '/cgi-bin/get_miner_conf.cgi');
+  if (!conf || typeof conf !== 'object') {
+    throw new Error('Could not read the Antminer configuration');
+  }
+  const reply = await antminerCgi(ip, '/cgi-bin/set_miner_conf.cgi', {
+    'bitmain-fan-ctrl': conf['bitmain-fan-ctrl'] ?? false,
+    'bitmain-fan-pwm': conf['bitmain-fan-pwm'] ?? '100',
+    'freq-level': conf['bitmain-freq-level'] ?? '100',
+    'miner-mode': mode,
+    pools: (conf.pools || []).map(p => ({ url: p.url, user: p.user, pass: p.pass }))
+  });
+  if (reply?.stats === 'error') {
+    throw new Error(`Antminer rejected work mode ${mode}: ${reply.msg || 'error'}`);
+  }
+}
+
+async function antminerApplyPreset(ip, preset) {
+  await antminerSetWorkMode(ip, preset.minerMode);
+}
+
+async function antminerReadPreset(ip) {
+  const conf = await antminerCgi(ip, '/cgi-bin/get_miner_conf.cgi');
+  const mode = Number(conf?.['bitmain-work-mode']);
+  return Number.isInteger(mode) ? { minerMode: mode } : null;
+}
+
+function validateAntminerPreset({ minerMode }) {
+  return ANTMINER_WORK_MODES.includes(minerMode) ? null : `minerMode must be one of ${ANTMINER_WORK_MODES.join(', ')}`;
+}
+
+/**
+ * Pause puts the miner to sleep; resume goes back to the active profile's work mode
+ */
+async function antminerSetPaused(ip, paused) {
+  const action = paused ? 'pause' : 'resume';
+  const miner = configuredMiners[ip];
+  const mode = paused ? ANTMINER_SLEEP_MODE : (getMinerPresets(miner)?.[miner?.powerProfile]?.minerMode ?? 0);
+  try {
+    await antminerSetWorkMode(ip, mode);
+    return { success: true, action, via: 'cgi' };
+  } catch (err) {
+    return { success: false, action, error: err.message };
+  }
+}
+
+async function antminerMaintenanceCommand(ip, action, body = null) {
+  try {
+    if (action === 'locate') {
+      await antminerCgi(ip, '/cgi-bin/blink.cgi', { blink: body?.enable !== false });
+    } else {
+      await antminerCgi(ip, '/cgi-bin/reboot.cgi');
+    }
+    return { success: true, via: 'cgi' };
+  } catch (err) {
+    if (action === 'reboot' && isDroppedConnection(err.message)) return { success: true, via: 'cgi' };
+    return { success: false, error: err.message };
+  }
+}
+
+// ============================================================================
+// LuxOS Driver
+// ============================================================================
+// Luxor's firmware extends the CGMiner API on port 4028. Reads need nothing
+// extra; write commands need a session from `logon`, passed as the first
+// parameter. Power is tuned by named profiles (`profiles` lists the ones the
+// model has), so profiles are presets of a LuxOS profile name. With ATM
+// (automatic thermal management) enabled, LuxOS may move off the chosen profile.
+
+/**
+ * Read command; throws when LuxOS answers with an error status
+ */
+async function luxosRead(ip, command, parameter) {
+  const reply = await sendCGMinerCommand(ip, parameter === undefined ? { command } : { command, parameter });
+  const status = reply.STATUS?.[0];
+  if (status?.STATUS === 'E') {
+    throw new Error(`LuxOS ${command} failed: ${status.Msg || 'error'}`);
+  }
+  return reply;
+}
+
+/**
+ * Run a write command inside a session. LuxOS allows one session at a time, so an
+ * open one (from `session`) is reused and left open for whoever owns it
+ */
+async function luxosWrite(ip, command, args = []) {
+  let sessionId;
+  let ownSession = true;
+  try {
+    sessionId = (await luxosRead(ip, 'logon')).SESSION?.[0]?.SessionID;
+  } catch (err) {
+    sessionId = (await luxosRead(ip, 'session')).SESSION?.[0]?.SessionID;
+    ownSession = false;
+  }
+  if (!sessionId) {
+    throw new Error('LuxOS did not open a session');
+  }
+
+  try {
+    return await luxosRead(ip, command, [sessionId, ...args].join(','));
+  } finally {
+    if (ownSession) {
+      try {
+        await luxosRead(ip, 'logoff', sessionId);
+      } catch (err) {
+        console.log('LuxOS logoff error:', err.message);
+      }
+    }
+  }
+}
+
+async function detectLuxOS(ip) {
+  const version = await sendCGMinerCommand(ip, { command: 'version' });
+  return !!version.VERSION?.[0]?.LUXminer || /luxminer|luxos/i.test(JSON.stringify(version));
+}
+
+/**
+ * LuxOS reports hashrate as MHS or GHS depending on the release
+ */
+function cgminerTerahash(row, period) {
+  if (typeof row[`MHS ${period}`] === 'number') return row[`MHS ${period}`] / 1000000;
+  if (typeof row[`GHS ${period}`] === 'number') return row[`GHS ${period}`] / 1000;
+  return null;
+}
+
+/**
+ * Hardware stats from summary, temps, fans, power and pools
+ */
+async function fetchLuxOSStats(ip) {
+  console.log(`Getting LuxOS stats from ${ip}`);
+  const summaryReply = await luxosRead(ip, 'summary');
+  const summary = summaryReply.SUMMARY?.[0] || {};
+
+  const optional = async (command, key) => {
+    try {
+      return (await luxosRead(ip, command))[key] || [];
+    } catch (err) {
+      console.log(`LuxOS ${command} error:`, err.message);
+      return [];
+    }
+  };
+  const temps = await optional('temps', 'TEMPS');
+  const fans = await optional('fans', 'FANS');
+  const power = await optional('power', 'POWER');
+  const pools = await optional('pools', 'POOLS');
+  const pool = pools.find(p => p['Stratum Active']) || pools.find(p => p.Status === 'Alive') || {};
+
+  const boards = temps.map(entry => {
+    const readings = ['TopLeft', 'TopRight', 'BottomLeft', 'BottomRight', 'Board']
+      .map(key => entry[key])
+      .filter(v => typeof v === 'number' && v > 0);
+    return {
+      temp: readings.length > 0 ? Math.max(...readings) : null,
+      chipTemp: typeof entry.Chip === 'number' ? entry.Chip : null
+    };
+  });
+  const boardMax = boards.map(b => b.chipTemp ?? b.temp).filter(v => v != null);
+
+  return {
+    hashrate: cgminerTerahash(summary, '5s') || 0,
+    hashrate1m: cgminerTerahash(summary, '1m'),
+    hashrate15m: cgminerTerahash(summary, '15m') ?? cgminerTerahash(summary, '30m'),
+    hashrateAv: cgminerTerahash(summary, 'av'),
+    temperature: boardMax.length > 0 ? Math.max(...boardMax) : null,
+    powerDraw: power[0]?.Watts ?? 0,
+    uptime: summary.Elapsed || 0,
+    boards,
+    fans: Object.fromEntries(fans.slice(0, 4).map((fan, i) => [`speed${i + 1}`, fan.RPM ?? null])),
+    poolStatus: pool.Status === 'Alive' ? 'Connected' : 'Disconnected',
+    poolUrl: pool.URL || 'Not connected',
+    acceptedShares: pool.Accepted ?? summary.Accepted ?? 0,
+    rejectedShares: pool.Rejected ?? summary.Rejected ?? 0,
+    _debug: {
+      luxos: { summary: summaryReply, temps, fans, power, pools }
+    }
+  };
+}
+
+async function luxosApplyPreset(ip, preset) {
+  await luxosWrite(ip, 'profileset', [preset.profile]);
+}
+
+async function luxosReadPreset(ip) {
+  const config = (await luxosRead(ip, 'config')).CONFIG?.[0];
+  if (config?.Profile) return { profile: config.Profile };
+  const devs = (await luxosRead(ip, 'devs')).DEVS || [];
+  return devs[0]?.Profile ? { profile: devs[0].Profile } : null;
+}
+
+function validateLuxOSPreset({ profile }) {
+  return typeof profile === 'string' && /^[\w.+-]{1,32}$/.test(profile) ? null : 'profile must be a LuxOS profile name';
+}
+
+async function luxosSetPaused(ip, paused) {
+  const action = paused ? 'pause' : 'resume';
+  try {
+    await luxosWrite(ip, 'curtail', [paused ? 'sleep' : 'wakeup']);
+    return { success: true, action, via: 'luxos' };
+  } catch (err) {
+    return { success: false, action, error: err.message };
+  }
+}
+
+const LUXOS_MAINTENANCE = {
+  reboot: { command: 'rebootdevice', args: () => [] },
+  restart: { command: 'resetminer', args: () => [] },
+  locate: { command: 'ledset', args: (body) => ['red', body?.enable === false ? 'off' : 'blink'] }
+};
+
+async function luxosMaintenanceCommand(ip, action, body = null) {
+  const definition = LUXOS_MAINTENANCE[action];
+  try {
+    await luxosWrite(ip, definition.command, definition.args(body));
+    return { success: true, via: 'luxos' };
+  } catch (err) {
+    if (MAINTENANCE_ACTIONS[action].healthCheck && isDroppedConnection(err.message)) {
+      return { success: true, via: 'luxos' };
+    }
+    return { success: false, error: err.message };
+  }
+}
+
+// ============================================================================
+// VNish Driver
+// ============================================================================
+// Anthill's VNish firmware has a REST API on port 80 under /api/v1. Reads are
+// open; writes need a bearer token from POST /api/v1/unlock with the web
+// password (admin by default). Power is tuned by autotune presets named after
+// their wattage (GET /api/v1/autotune/presets lists the ones the model has).
+
+const VNISH_DEFAULT_PASSWORD = 'admin';
+
+async function vnishGet(ip, endpoint) {
+  return axeosRequest(ip, 'GET', endpoint);
+}
+
+/**
+ * Write request with a fresh token; throws when the miner refuses it
+ */
+async function vnishWrite(ip, endpoint, body = null) {
+  const unlock = await braiinsRestAction(ip, '/api/v1/unlock', null, { pw: getMinerPassword(ip, VNISH_DEFAULT_PASSWORD) }, 'POST');
+  const token = unlock.body?.token;
+  if (!token) {
+    throw new Error(`VNish unlock failed (${unlock.status ? `HTTP ${unlock.status}` : unlock.error})`);
+  }
+  const response = await braiinsRestAction(ip, endpoint, token, body, 'POST');
+  if (!response.ok) {
+    throw new Error(`VNish ${endpoint} failed (${response.status ? `HTTP ${response.status}` : response.error})`);
+  }
+  return response.body;
+}
+
+async function detectVNish(ip) {
+  const info = await vnishGet(ip, '/api/v1/info');
+  return /vnish/i.test(info?.fw_name || JSON.stringify(info || ''));
+}
+
+/**
+ * Hardware stats from /api/v1/summary: instant hashrate in TH/s, measured power,
+ * per-chain PCB and chip temperatures, fans and pools
+ */
+async function fetchVNishStats(ip) {
+  console.log(`Getting VNish stats from ${ip}`);
+  const reply = await vnishGet(ip, '/api/v1/summary');
+  const miner = reply?.miner;
+  if (!miner) {
+    throw new Error('VNish returned no summary');
+  }
+
+  const chains = miner.chains || [];
+  const fans = miner.cooling?.fans || [];
+  const pools = miner.pools || [];
+  const pool = pools.find(p => p.status === 'working' || p.status === 'active') || {};
+  const hashrate = miner.instant_hashrate ?? (typeof miner.hr_realtime === 'number' ? miner.hr_realtime / 1000 : 0);
+
+  return {
+    hashrate: hashrate || 0,
+    hashrateAv: miner.average_hashrate ?? null,
+    temperature: miner.chip_temp?.max ?? null,
+    powerDraw: miner.power_usage ?? miner.power_consumption ?? 0,
+    uptime: miner.miner_status?.miner_state_time || 0,
+    boards: chains.map(chain => ({ temp: chain.pcb_temp?.max ?? null, chipTemp: chain.chip_temp?.max ?? null })),
+    fans: Object.fromEntries(fans.slice(0, 4).map((fan, i) => [`speed${i + 1}`, fan.rpm ?? null])),
+    poolStatus: pool.url ? 'Connected' : 'Disconnected',
+    poolUrl: pool.url || 'Not connected',
+    acceptedShares: pool.accepted || 0,
+    rejectedShares: pool.rejected || 0,
+    bestDifficulty: miner.best_share ?? null,
+    _debug: {
+      vnish: reply
+    }
+  };
+}
+
+async function vnishApplyPreset(ip, preset) {
+  await vnishWrite(ip, '/api/v1/settings', { miner: { overclock: { preset: preset.preset } } });
+}
+
+async function vnishReadPreset(ip) {
+  const settings = await vnishGet(ip, '/api/v1/settings');
+  const preset = settings?.miner?.overclock?.preset;
+  return preset ? { preset: String(preset) } : null;
+}
+
+function validateVNishPreset({ preset }) {
+  return typeof preset === 'string' && /^[\w.-]{1,32}$/.test(preset) ? null : 'preset must be a VNish autotune preset name';
+}
+
+async function vnishSetPaused(ip, paused) {
+  const action = paused ? 'pause' : 'resume';
+  try {
+    await vnishWrite(ip, `/api/v1/mining/${paused ? 'stop' : 'start'}`);
+    return { success: true, action, via: 'vnish' };
+  } catch (err) {
+    return { success: false, action, error: err.message };
+  }
+}
+
+const VNISH_MAINTENANCE = {
+  reboot: '/api/v1/system/reboot',
+  restart: '/api/v1/mining/restart',
+  // Toggles the LEDs; the same call switches them off again
+  locate: '/api/v1/find-miner'
+};
+
+async function vnishMaintenanceCommand(ip, action) {
+  try {
+    await vnishWrite(ip, VNISH_MAINTENANCE[action]);
+    return { success: true, via: 'vnish' };
+  } catch (err) {
+    if (MAINTENANCE_ACTIONS[action].healthCheck && isDroppedConnection(err.message)) {
+      return { success: true, via: 'vnish' };
+    }
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Stats for one miner: hardware stats from its driver, plus price, BTC and
+ * efficiency figures that are the same for every firmware
+ */
+async function getMinerStats(ip, config = {}) {
+  const miner = (config.miners || []).find(m => m.ip === ip);
+  const driver = getMinerDriver(miner);
+
+  let hardware;
+  try {
+    hardware = normalizeMinerStats(await driver.getStats(ip, miner));
+  } catch (err) {
+    console.error(`getMinerStats error (${driver.name}):`, err.message);
+    throw new Error(`Failed to get miner stats: ${err.message}`);
+  }
+
+  const { hashrate, powerDraw: power } = hardware;
+  const powerProfile = config.currentProfile || 'medium';
+
+  // Get currency based on country
+  const countryConfig = ELECTRICITY_ZONES[config.country || 'norway'];
+  const currency = countryConfig?.currency || 'NOK';
+
+  // Get BTC price in the right currency
+  const btcPrice = getBtcPriceForCurrency(currency);
+
+  // Calculate effective electricity price based on pricing mode
+  const pricing = getEffectivePrice(config);
+  const effectivePrice = pricing.effectivePrice;
+
+  // Calculate efficiency metrics with effective price; contract fees are shared between the miners
+  const dailyFixedCost = pricing.dailyFixedFee / Math.max(1, (config.miners || []).length);
+  const efficiency = calculateEfficiency(hashrate, power, effectivePrice, btcPrice, currency, dailyFixedCost);
+
+  return {
+    ...hardware,
+    efficiencyWPerTH: power / hashrate, // W/TH efficiency
+    driver: driver.id,
+    capabilities: driver.capabilities,
+    powerProfile,
+
+    // Electricity data with both prices
+    electricity: {
+      ...pricing,
+      currentPrice: effectivePrice, // For backward compatibility
+      avgPrice: electricityPriceCache.avgPrice,
+      minPrice: electricityPriceCache.minPrice,
+      maxPrice: electricityPriceCache.maxPrice,
+      zone: electricityPriceCache.zone,
+      zoneName: electricityPriceCache.zoneName,
+      country: electricityPriceCache.country,
+      currency: electricityPriceCache.currency,
+      vatRate: electricityPriceCache.vatRate,
+      prices: electricityPriceCache.prices,
+      resolutionMinutes: electricityPriceCache.resolutionMinutes,
+      timezone: resolveTimezone(config),
+      updatedAt: electricityPriceCache.fetchedAt
+    },
+
+    // BTC price
+    btcPrice: {
+      usd: btcPriceCache.priceUSD,
+      nok: btcPriceCache.priceNOK,
+      eur: btcPriceCache.priceEUR,
+      sek: btcPriceCache.priceSEK,
+      dkk: btcPriceCache.priceDKK,
+      updatedAt: btcPriceCache.fetchedAt
+    },
+
+    // Network stats
+    network: {
+      difficulty: networkStatsCache.difficulty,
+      hashrate: networkStatsCache.hashrate,
+      hashrateFormatted: networkStatsCache.hashrateFormatted,
+      blockHeight: networkStatsCache.blockHeight,
+      blockReward: networkStatsCache.blockReward,
+      updatedAt: networkStatsCache.fetchedAt
+    },
+
+    // Efficiency metrics
+    efficiency
+  };
+}
+
+// Default watts for the built-in profiles. A miner can override them and add its
+// own named profiles in config.miners[].profiles, and limit targets with powerLimits.
+const POWER_PROFILE_WATTS = {
+  low: 2000,
+  medium: 3250,
+  high: 3500
+};
+
+/**
+ * A miner's named power profiles in watts: low/medium/high plus its own. For
+ * firmware tuned by presets it is each preset's expected draw
+ */
+function getMinerPowerProfiles(miner) {
+  const presets = getMinerPresets(miner);
+  if (presets) {
+    return Object.fromEntries(Object.entries(presets).map(([name, preset]) => [name, preset.watts]));
+  }
+  return { ...POWER_PROFILE_WATTS, ...miner?.profiles };
+}
+
+/**
+ * Presets for drivers that use them (the driver's defaults plus
+ * config.miners[].presets), or null for firmware with power targets
+ */
+function getMinerPresets(miner) {
+  const defaults = getMinerDriver(miner).presets;
+  return defaults ? { ...defaults, ...miner?.presets } : null;
+}
+
+/**
+ * Allowed power target range for a miner, by default the span of its profiles
+ */
+function getMinerPowerLimits(miner) {
+  const watts = Object.values(getMinerPowerProfiles(miner));
+  return {
+    minW: miner?.powerLimits?.minW ?? Math.min(...watts),
+    maxW: miner?.powerLimits?.maxW ?? Math.max(...watts)
+  };
+}
+
+/**
+ * Current power target in watts: a custom target or the active profile's watts
+ */
+function getMinerPowerTarget(miner) {
+  if (miner?.powerProfile === 'custom' && miner.powerTargetW) return miner.powerTargetW;
+  return getMinerPowerProfiles(miner)[miner?.powerProfile] ?? POWER_PROFILE_WATTS.medium;
+}
+
+function validateMinerPower(profiles, powerLimits) {
+  if (profiles !== undefined && (typeof profiles !== 'object' || Array.isArray(profiles))) return 'profiles must be an object of name: watts';
+  for (const [name, watts] of Object.entries(profiles || {})) {
+    if (!/^[a-z0-9][a-z0-9_-]{0,19}$/i.test(name) || name === 'custom') return `Invalid profile name: ${name}`;
+    if (!(typeof watts === 'number' && watts > 0)) return `Profile ${name} needs a positive wattage`;
+  }
+  if (powerLimits) {
+    if (!(typeof powerLimits.minW === 'number' && powerLimits.minW > 0)) return 'powerLimits.minW must be a positive number';
+    if (!(typeof powerLimits.maxW === 'number' && powerLimits.maxW >= powerLimits.minW)) return 'powerLimits.maxW must be at least minW';
+    for (const [name, watts] of Object.entries(getMinerPowerProfiles({ profiles }))) {
+      if (watts < powerLimits.minW || watts > powerLimits.maxW) {
+        return `Profile ${name} (${watts} W) is outside ${powerLimits.minW}-${powerLimits.maxW} W`;
+      }
+    }
+  }
+  return null;
+}
+
+function validateMinerPresets(presets, driver) {
+  if (typeof presets !== 'object' || Array.isArray(presets)) return 'presets must be an object of name: settings';
+  for (const [name, preset] of Object.entries(presets)) {
+    if (!/^[a-z0-9][a-z0-9_-]{0,19}$/i.test(name) || name === 'custom') return `Invalid preset name: ${name}`;
+    if (!preset || typeof preset !== 'object') return `Preset ${name} must be an object`;
+    if (!(typeof preset.watts === 'number' && preset.watts > 0)) return `Preset ${name} needs its expected power draw in watts`;
+    const presetError = driver.validatePreset(preset);
+    if (presetError) return `Preset ${name}: ${presetError}`;
+  }
+  return null;
+}
+
+// A power change only counts once the miner reports the new target back
+const POWER_SET_ATTEMPTS = 2;
+const POWER_VERIFY_DELAY_MS = 3000;
+const POWER_READBACK_TOLERANCE_W = 10;
+const POWER_SETTLE_TOLERANCE = 0.05; // measured power within 5% of the target
+
+/**
+ * Send a power target over gRPC, or BOSminer when gRPC isn't available; throws
+ * when the miner rejects it
+ */
+async function braiinsSendPowerTarget(ip, watts) {
+  try {
+    await braiinsGrpcSetPowerTarget(ip, watts);
+    return;
+  } catch (err) {
+    console.log(`gRPC power target failed for ${ip} (${err.message}), using BOSminer`);
+  }
+
+  const response = await sendCGMinerCommand(ip, {
+    command: 'ascset',
+    parameter: `0,power,${watts}`
+  });
+  const status = response.STATUS?.[0];
+  if (status?.STATUS === 'E') {
+    throw new Error(status.Msg || 'Miner rejected the power target');
+  }
+}
+
+/**
+ * Read the active power target from the miner: gRPC tuner state first, then
+ * BOSminer tunerstatus, then the Braiins REST tuner state. Returns watts, or
+ * null when none answers
+ */
+async function braiinsReadPowerTarget(ip) {
+  try {
+    const watts = await braiinsGrpcReadPowerTarget(ip);
+    if (watts) return watts;
+  } catch (err) {
+    console.log('gRPC tuner state readback error:', err.message);
+  }
+
+  try {
+    const tuner = await sendCGMinerCommand(ip, { command: 'tunerstatus' });
+    const watts = tuner.TUNERSTATUS?.[0]?.PowerLimit;
+    if (typeof watts === 'number' && watts > 0) return watts;
+  } catch (err) {
+    console.log('tunerstatus readback error:', err.message);
+  }
+
+  const token = await braiinsRestAuth(ip);
+  const tunerState = await braiinsRestFetch(ip, '/api/v1/performance/tuner-state', token);
+  const target = tunerState?.mode_state?.powertargetmodestate?.current_target ||
+                 tunerState?.modeState?.powerTargetModeState?.currentTarget;
+  const watts = target?.watt ?? target?.watts;
+  return typeof watts === 'number' && watts > 0 ? watts : null;
+}
+
+/**
+ * Send a power target through the miner's driver and confirm it by reading it back
+ */
+async function setPowerTarget(ip, targetPower) {
+  const driver = getDriverForIp(ip);
+  if (!driver.setPower) {
+    return { success: false, status: 'failed', power: targetPower, error: `${driver.name} does not support power targets` };
+  }
+
+  const state = {
+    status: 'pending',
+    targetW: targetPower,
+    confirmedW: null,
+    measuredW: null,
+    settled: false,
+    attempts: 0,
+    error: null,
+    requestedAt: new Date().toISOString()
+  };
+  powerChangeState[ip] = state;
+
+  while (state.attempts < POWER_SET_ATTEMPTS) {
+    state.attempts++;
+    try {
+      await driver.setPower(ip, targetPower);
+
+      // Give the tuner a moment to pick up the new target before reading it back
+      await new Promise(resolve => setTimeout(resolve, POWER_VERIFY_DELAY_MS));
+      const readback = await driver.readPowerTarget(ip);
+      state.confirmedW = readback;
+
+      if (readback === null) {
+        state.error = 'Could not read the power target back from the miner';
+      } else if (Math.abs(readback - targetPower) <= POWER_READBACK_TOLERANCE_W) {
+        state.status = 'applied';
+        state.error = null;
+        state.appliedAt = new Date().toISOString();
+        console.log(`Power target set to ${targetPower}W (miner reports ${readback}W)`);
+        return { success: true, status: 'applied', power: targetPower, confirmedPower: readback };
+      } else {
+        state.error = `Miner reports ${readback}W instead of ${targetPower}W`;
+      }
+    } catch (err) {
+      state.error = err.message;
+    }
+    console.log(`Power target ${targetPower}W on ${ip} not confirmed (attempt ${state.attempts}/${POWER_SET_ATTEMPTS}): ${state.error}`);
+  }
+
+  state.status = 'failed';
+  console.error(`setPowerTarget failed for ${ip}: ${state.error}`);
+  return { success: false, status: 'failed', power: targetPower, confirmedPower: state.confirmedW, error: state.error };
+}
+
+/**
+ * Latest power change for a miner, with the measured power once tuning settles
+ */
+function getPowerChangeStatus(ip, measuredPower) {
+  const state = powerChangeState[ip];
+  if (!state) return null;
+
+  if (state.status === 'applied' && typeof measuredPower === 'number') {
+    state.measuredW = measuredPower;
+    if (!state.settled && Math.abs(measuredPower - state.targetW) <= state.targetW * POWER_SETTLE_TOLERANCE) {
+      state.settled = true;
+      state.settledAt = new Date().toISOString();
+    }
+  }
+  return { ...state };
+}
+
+// "frequency 490, coreVoltage 1166" for logs and errors
+const describePreset = (settings) => Object.entries(settings)
+  .filter(([key]) => key !== 'watts')
+  .map(([key, value]) => `${key} ${value}`)
+  .join(', ');
+
+/**
+ * Send a preset through the miner's driver and confirm it by reading it back.
+ * Tracked like a power target, with the preset's expected watts
+ */
+async function setPowerPreset(ip, name, preset) {
+  const driver = getDriverForIp(ip);
+  if (!preset) {
+    return { success: false, status: 'failed', preset: name, error: `Unknown preset: ${name}` };
+  }
+  const state = {
+    status: 'pending',
+    preset: name,
+    targetW: preset.watts,
+    confirmedW: null,
+    measuredW: null,
+    settled: false,
+    attempts: 0,
+    error: null,
+    requestedAt: new Date().toISOString()
+  };
+  powerChangeState[ip] = state;
+
+  while (state.attempts < POWER_SET_ATTEMPTS) {
+    state.attempts++;
+    try {
+      await driver.applyPreset(ip, preset);
+
+      await new Promise(resolve => setTimeout(resolve, POWER_VERIFY_DELAY_MS));
+      const readback = await driver.readPreset(ip);
+
+      const matches = readback && Object.keys(preset)
+        .filter(key => key !== 'watts')
+        .every(key => String(readback[key]) === String(preset[key]));
+
+      if (!readback) {
+        state.error = 'Could not read the preset settings back from the miner';
+      } else if (matches) {
+        state.status = 'applied';
+        state.confirmedW = preset.watts;
+        state.error = null;
+        state.appliedAt = new Date().toISOString();
+        console.log(`Preset ${name} set on ${ip} (${describePreset(preset)})`);
+        return { success: true, status: 'applied', power: preset.watts, preset: name };
+      } else {
+        state.error = `Miner reports ${describePreset(readback)} instead of ${describePreset(preset)}`;
+      }
+    } catch (err) {
+      state.error = err.message;
+    }
+    console.log(`Preset ${name} on ${ip} not confirmed (attempt ${state.attempts}/${POWER_SET_ATTEMPTS}): ${state.error}`);
+  }
+
+  state.status = 'failed';
+  console.error(`setPowerPreset failed for ${ip}: ${state.error}`);
+  return { success: false, status: 'failed', power: preset.watts, preset: name, error: state.error };
+}
+
+/**
+ * Set a named profile, using the miner's own wattage (or preset) for it
+ */
+async function setPowerProfile(ip, profile, miner) {
+  const presets = getMinerPresets(miner);
+  const result = presets
+    ? await setPowerPreset(ip, profile, presets[profile])
+    : await setPowerTarget(ip, getMinerPowerProfiles(miner)[profile]);
+  return { ...result, profile };
+}
+
+/**
+ * Start a power change from the poll without waiting for its readback, so one slow
+ * or unresponsive miner doesn't hold up stats for all of them. Progress shows in
+ * powerChangeState; onDone(result) runs once the change is confirmed or has failed.
+ * Returns false while an earlier change on the miner is still being verified
+ */
+function startPowerChange(ip, apply, onDone = () => {}) {
+  if (isPowerChangePending(ip)) return false;
+  apply()
+    .then(onDone)
+    .catch(err => console.error(`Power change on ${ip} failed:`, err.message));
+  return true;
+}
+
+function isPowerChangePending(ip) {
+  return powerChangeState[ip]?.status === 'pending';
+}
+
+// ============================================================================
+// Pause and Sleep Windows
+// ============================================================================
+// A paused miner stops hashing but stays reachable, so it is not "offline".
+// Reasons, strongest first: a manual pause (config.miners[].paused), a recurring
+// sleep window (config.miners[].sleepWindows) or a "pause" price rule. Resuming
+// by hand during a sleep window or price pause holds until that window/rule ends.
+
+// Failed pause/resume commands are retried at most this often
+const PAUSE_RETRY_MS = 60 * 1000;
+
+async function loadPauseState() {
+  try {
+    pauseState = JSON.parse(await fs.readFile(PAUSE_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to load pause state:', err.message);
+    }
+  }
+}
+
+async function savePauseState() {
+  try {
+    await fs.writeFile(PAUSE_FILE, JSON.stringify(pauseState, null, 2));
+  } catch (err) {
+    console.error('Failed to save pause state:', err.message);
+  }
+}
+
+/**
+ * Pause or resume hashing: Braiins REST action first, BOSminer pause/resume as fallback
+ */
+async function setMinerPaused(ip, paused) {
+  const driver = getDriverForIp(ip);
+  if (!driver.pause) {
+    return { success: false, action: paused ? 'pause' : 'resume', error: `${driver.name} cannot pause mining` };
+  }
+  return driver.pause(ip, paused);
+}
+
+/**
+ * Pause or resume hashing: Braiins REST actions, BOSminer pause/resume as fallback
+ */
+async function braiinsSetPaused(ip, paused) {
+  const action = paused ? 'pause' : 'resume';
+
+  const token = await braiinsRestAuth(ip);
+  if (token) {
+    const response = await braiinsRestAction(ip, `/api/v1/actions/${action}`, token);
+    if (response.ok) return { success: true, action, via: 'rest' };
+  }
+
+  try {
+    const response = await sendCGMinerCommand(ip, { command: action });
+    const status = response.STATUS?.[0];
+    if (status?.STATUS === 'E') {
+      throw new Error(status.Msg || `Miner rejected ${action}`);
+    }
+    return { success: true, action, via: 'cgminer' };
+  } catch (err) {
+    return { success: false, action, error: err.message };
+  }
+}
+
+function validateSleepWindows(windows) {
+  if (!Array.isArray(windows)) return 'sleepWindows must be a list';
+  const clock = /^([01]\d|2[0-3]):[0-5]\d$/;
+  for (const window of windows) {
+    if (!clock.test(window.from) || !clock.test(window.to)) return 'Sleep windows need from and to as HH:MM';
+    if (window.days !== undefined && !(Array.isArray(window.days) && window.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      return 'Sleep window days must be weekday numbers (0 = Sunday)';
+    }
+  }
+  return null;
+}
+
+/**
+ * Why a miner should be paused right now: 'manual', 'sleep', 'price' or null
+ */
+function getPauseReason(miner, timeZone, now = Date.now()) {
+  if (!miner) return null;
+  if (miner.paused) return 'manual';
+  const local = getZonedDateParts(new Date(now), timeZone);
+  if ((miner.sleepWindows || []).some(window => matchesTariffPeriod(window, local, false))) return 'sleep';
+  if (autoProfileState[miner.ip]?.pauseRequested) return 'price';
+  return null;
+}
+
+function isMinerPaused(ip) {
+  return !!pauseState[ip]?.paused;
+}
+
+/**
+ * Pause or resume every miner whose reason changed (runs each poll, after the price scheduler)
+ */
+async function runPauseControl(config, minersStats, now = Date.now()) {
+  const timeZone = resolveTimezone(config);
+  let changed = false;
+
+  for (const stats of minersStats) {
+    const miner = config.miners.find(m => m.ip === stats.minerIp);
+    const state = pauseState[stats.minerIp] = { paused: false, reason: null, override: null, ...pauseState[stats.minerIp] };
+    let reason = getPauseReason(miner, timeZone, now);
+
+    // A manual resume holds until the sleep window or price pause behind it ends
+    if (state.override && reason !== state.override) {
+      state.override = null;
+      changed = true;
+    }
+    if (reason && reason === state.override) reason = null;
+
+    if (pauseCommands[stats.minerIp]) {
+      stats.pause = { ...state, pending: pauseCommands[stats.minerIp] };
+      continue;
+    }
+    if (!!reason === state.paused) {
+      if (state.paused && state.reason !== reason) {
+        state.reason = reason;
+        changed = true;
+      }
+      state.error = null;
+      stats.pause = { ...state };
+      continue;
+    }
+    if (state.error && now - (state.lastAttemptAt || 0) < PAUSE_RETRY_MS) continue;
+
+    // Sent in the background like power changes, so an unreachable miner doesn't hold up
+    // the poll. The state object is rebuilt each poll; the result goes to the current one
+    state.lastAttemptAt = now;
+    pauseCommands[stats.minerIp] = reason ? 'pause' : 'resume';
+    setMinerPaused(stats.minerIp, !!reason)
+      .then(result => {
+        const current = pauseState[stats.minerIp];
+        if (result.success) {
+          Object.assign(current, { paused: !!reason, reason, since: new Date(now).toISOString(), error: null });
+          console.log(reason ? `⏸️  ${stats.minerName} paused (${reason})` : `▶️  ${stats.minerName} resumed`);
+          appendAudit({
+            source: 'scheduler',
+            action: reason ? 'miner.pause' : 'miner.resume',
+            target: { ip: stats.minerIp, name: stats.minerName },
+            details: { reason }
+          });
+        } else {
+          current.error = result.error;
+          console.error(`Failed to ${result.action} ${stats.minerName}: ${result.error}`);
+        }
+      })
+      .catch(err => {
+        pauseState[stats.minerIp].error = err.message;
+        console.error(`Pause control on ${stats.minerName} failed:`, err.message);
+      })
+      .finally(() => {
+        delete pauseCommands[stats.minerIp];
+        return savePauseState();
+      });
+    stats.pause = { ...state, pending: pauseCommands[stats.minerIp] };
+    changed = true;
+  }
+
+  if (changed) await savePauseState();
+}
+
+/**
+ * Pause or resume a miner by hand. The caller saves the config
+ */
+async function setManualPause(config, miner, paused, now = Date.now()) {
+  if (pauseCommands[miner.ip]) {
+    return { success: false, busy: true, action: paused ? 'pause' : 'resume', error: `a ${pauseCommands[miner.ip]} command is still running` };
+  }
+  const result = await setMinerPaused(miner.ip, paused);
+  if (!result.success) return result;
+
+  const state = pauseState[miner.ip] = { ...pauseState[miner.ip] };
+  if (paused) {
+    miner.paused = true;
+    state.override = null;
+  } else {
+    delete miner.paused;
+    state.override = getPauseReason(miner, resolveTimezone(config), now);
+  }
+  Object.assign(state, { paused, reason: paused ? 'manual' : null, since: new Date(now).toISOString(), error: null });
+  await savePauseState();
+  return result;
+}
+
+// ============================================================================
+// Pool Management
+// ============================================================================
+// Pools are organised in pool groups (Braiins OS splits hashrate between groups
+// by quota, and fails over between the pools inside a group in order). Changes
+// go through the REST API as one batch and are read back afterwards; without
+// REST access the CGMiner addpool/switchpool/removepool commands are used on a
+// single group.
+
+const STRATUM_URL_PATTERN = /^(stratum\+tcp|stratum\+ssl|stratum2\+tcp):\/\/([a-z0-9.-]+|\[[0-9a-f:]+\]):(\d{1,5})(\/[A-Za-z0-9]+)?$/i;
+
+function validateStratumUrl(url) {
+  const match = STRATUM_URL_PATTERN.exec(url || '');
+  if (!match) return `Invalid stratum URL: ${url || '(empty)'} (expected stratum+tcp://host:port)`;
+  const port = parseInt(match[3]);
+  if (port < 1 || port > 65535) return `Invalid port in ${url}`;
+  if (match[1].toLowerCase() === 'stratum2+tcp' && !match[4]) return `Stratum V2 URL needs the pool's public key: ${url}`;
+  return null;
+}
+
+function validateWorkerName(user) {
+  if (!user) return 'Worker name is required';
+  if (user.length > 128) return 'Worker name is too long';
+  // Commas separate CGMiner command arguments, whitespace is never valid
+  if (!/^[A-Za-z0-9._@+-]+$/.test(user)) return `Invalid worker name: ${user}`;
+  return null;
+}
+
+function validatePoolGroups(groups) {
+  if (!Array.isArray(groups) || groups.length === 0) return 'At least one pool group is required';
+  const names = new Set();
+  for (const group of groups) {
+    if (!group.name || typeof group.name !== 'string') return 'Every pool group needs a name';
+    if (names.has(group.name)) return `Duplicate pool group: ${group.name}`;
+    names.add(group.name);
+    if (group.quota != null && !(Number.isInteger(group.quota) && group.quota > 0)) return `Quota for ${group.name} must be a positive whole number`;
+    if (!Array.isArray(group.pools) || group.pools.length === 0) return `Pool group ${group.name} has no pools`;
+    if (!group.pools.some(pool => pool.enabled !== false)) return `Pool group ${group.name} has no enabled pools`;
+    for (const pool of group.pools) {
+      const error = validateStratumUrl(pool.url) || validateWorkerName(pool.user);
+      if (error) return error;
+      if (pool.password !== undefined && /[,\s]/.test(pool.password)) return 'Pool passwords cannot contain commas or spaces';
+    }
+  }
+  return null;
+}
+
+/**
+ * Pool groups in one shape, from either the REST API or CGMiner `pools`
+ */
+function normalizePoolGroups(restPools, cgminerPools) {
+  const restGroups = Array.isArray(restPools) ? restPools : restPools?.pool_groups || restPools?.poolGroups;
+  if (Array.isArray(restGroups)) {
+    return restGroups.map(group => ({
+      name: group.name,
+      quota: group.quota?.value ?? group.quota ?? undefined,
+      pools: (group.pools || []).map(pool => ({
+        url: pool.url,
+        user: pool.user || pool.username,
+        enabled: pool.enabled !== false
+      }))
+    }));
+  }
+
+  const pools = (cgminerPools?.POOLS || []).slice().sort((a, b) => (a.Priority ?? 0) - (b.Priority ?? 0));
+  return [{
+    name: 'Default',
+    pools: pools.map(pool => ({
+      url: pool.URL,
+      user: pool.User,
+      enabled: pool.Status !== 'Disabled',
+      id: pool.POOL,
+      status: pool.Status
+    }))
+  }];
+}
+
+async function getMinerPools(ip) {
+  const driver = getDriverForIp(ip);
+  if (!driver.getPools) {
+    throw new Error(`${driver.name} does not support pool management`);
+  }
+  return driver.getPools(ip);
+}
+
+async function braiinsGetPools(ip) {
+  const token = await braiinsRestAuth(ip);
+  if (token) {
+    const restPools = await braiinsRestFetch(ip, '/api/v1/pools/', token);
+    if (restPools) return { groups: normalizePoolGroups(restPools), via: 'rest' };
+  }
+  const cgminerPools = await sendCGMinerCommand(ip, { command: 'pools' });
+  return { groups: normalizePoolGroups(null, cgminerPools), via: 'cgminer' };
+}
+
+const samePools = (a, b) => JSON.stringify(a.map(g => g.pools.map(p => [p.url, p.user]))) ===
+  JSON.stringify(b.map(g => g.pools.map(p => [p.url, p.user])));
+
+/**
+ * Replace a miner's pool configuration and confirm it by reading it back
+ */
+async function setMinerPools(ip, groups) {
+  const driver = getDriverForIp(ip);
+  if (!driver.setPools) {
+    return { success: false, error: `${driver.name} does not support pool management` };
+  }
+  return driver.setPools(ip, groups);
+}
+
+async function braiinsSetPools(ip, groups) {
+  const token = await braiinsRestAuth(ip);
+  if (token) {
+    const response = await braiinsRestAction(ip, '/api/v1/pools/batch', token, groups.map(group => ({
+      name: group.name,
+      ...(group.quota ? { quota: group.quota } : {}),
+      pools: group.pools.map(pool => ({
+        url: pool.url,
+        user: pool.user,
+        password: pool.password || '',
+        enabled: pool.enabled !== false
+      }))
+    })));
+    if (!response.ok) {
+      return { success: false, error: `Miner rejected the pool configuration (HTTP ${response.status ?? 'error'})` };
+    }
+  } else {
+    if (groups.length > 1) {
+      return { success: false, error: 'Pool groups need the Braiins OS REST API; over CGMiner only one group is possible' };
+    }
+    try {
+      await setPoolsViaCGMiner(ip, groups[0].pools);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  // CGMiner only gets the enabled pools, so only those can be read back
+  const readback = await braiinsGetPools(ip);
+  const expected = readback.via === 'rest'
+    ? groups
+    : groups.map(group => ({ ...group, pools: group.pools.filter(pool => pool.enabled !== false) }));
+  if (!samePools(readback.groups, expected)) {
+    return { success: false, error: 'The miner reports a different pool configuration after the change', groups: readback.groups };
+  }
+  return { success: true, groups: readback.groups, via: readback.via };
+}
+
+/**
+ * Add the new pools, make the first one active, then remove the old ones
+ */
+async function setPoolsViaCGMiner(ip, pools) {
+  const check = (response, what) => {
+    const status = response.STATUS?.[0];
+    if (status?.STATUS === 'E') throw new Error(`${what}: ${status.Msg}`);
+    return response;
+  };
+
+  const before = await sendCGMinerCommand(ip, { command: 'pools' });
+  const oldIds = (before.POOLS || []).map(p => p.POOL);
+
+  for (const pool of pools.filter(p => p.enabled !== false)) {
+    check(await sendCGMinerCommand(ip, { command: 'addpool', parameter: `${pool.url},${pool.user},${pool.password || 'x'}` }), `addpool ${pool.url}`);
+  }
+
+  const after = await sendCGMinerCommand(ip, { command: 'pools' });
+  const added = (after.POOLS || []).filter(p => !oldIds.includes(p.POOL));
+  if (added.length > 0) {
+    check(await sendCGMinerCommand(ip, { command: 'switchpool', parameter: `${added[0].POOL}` }), 'switchpool');
+  }
+  // Highest id first so the remaining ids stay valid
+  for (const id of oldIds.sort((a, b) => b - a)) {
+    check(await sendCGMinerCommand(ip, { command: 'removepool', parameter: `${id}` }), `removepool ${id}`);
+  }
+}
+
+// ============================================================================
+// Maintenance Actions
+// ============================================================================
+// Reboot, restart of the mining daemon (bosminer) and locate (blink the LEDs).
+// A reboot or restart is followed by a health check in pollMiners(): the miner
+// has to go away (or report a fresh uptime) and hash again within the action's
+// timeout, and the time it took is reported on the card.
+
+const MAINTENANCE_ACTIONS = {
+  reboot: { timeoutMs: 15 * 60 * 1000, healthCheck: true },
+  restart: { timeoutMs: 5 * 60 * 1000, healthCheck: true },
+  // The LEDs are switched off again after the timeout
+  locate: { timeoutMs: 10 * 60 * 1000, healthCheck: false }
+};
+
+const BRAIINS_MAINTENANCE = {
+  reboot: { rest: '/api/v1/actions/reboot' },
+  restart: { rest: '/api/v1/actions/restart', cgminer: 'restart' },
+  locate: { rest: '/api/v1/actions/locate' }
+};
+
+const MAINTENANCE_BUSY = ['waiting', 'down', 'starting'];
+
+// A miner that is rebooting may drop the connection before it answers
+const isDroppedConnection = (error) => /socket hang up|ECONNRESET|EPIPE/i.test(error || '');
+
+async function sendMaintenanceCommand(ip, action, body = null) {
+  const driver = getDriverForIp(ip);
+  if (!driver.reboot || !driver.capabilities[action]) {
+    return { success: false, error: `${driver.name} does not support ${action}` };
+  }
+  return driver.reboot(ip, action, body);
+}
+
+async function braiinsMaintenanceCommand(ip, action, body = null) {
+  const definition = { ...BRAIINS_MAINTENANCE[action], ...MAINTENANCE_ACTIONS[action] };
+
+  const token = await braiinsRestAuth(ip);
+  if (token) {
+    const response = await braiinsRestAction(ip, definition.rest, token, body);
+    if (response.ok || (definition.healthCheck && isDroppedConnection(response.error))) {
+      return { success: true, via: 'rest' };
+    }
+    if (!definition.cgminer) {
+      return { success: false, error: `Miner rejected ${action} (HTTP ${response.status ?? response.error})` };
+    }
+  }
+
+  if (!definition.cgminer) {
+    return { success: false, error: `${action} needs the Braiins OS REST API` };
+  }
+  try {
+    const response = await sendCGMinerCommand(ip, { command: definition.cgminer });
+    const status = response.STATUS?.[0];
+    if (status?.STATUS === 'E') {
+      throw new Error(status.Msg || `Miner rejected ${action}`);
+    }
+    return { success: true, via: 'cgminer' };
+  } catch (err) {
+    if (isDroppedConnection(err.message)) return { success: true, via: 'cgminer' };
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Run a maintenance action and start tracking it ({ enable: false } switches locate off)
+ */
+async function runMaintenanceAction(miner, action, options = {}, now = Date.now()) {
+  const current = maintenanceState[miner.ip];
+  if (MAINTENANCE_BUSY.includes(current?.status)) {
+    return { success: false, busy: true, error: `${current.action} is still in progress` };
+  }
+
+  const enable = action === 'locate' ? options.enable !== false : undefined;
+  const result = await sendMaintenanceCommand(miner.ip, action, action === 'locate' ? { enable } : null);
+  if (!result.success) {
+    maintenanceState[miner.ip] = { action, status: 'failed', startedAt: now, error: result.error };
+    return { ...result, maintenance: maintenanceState[miner.ip] };
+  }
+
+  maintenanceState[miner.ip] = action === 'locate'
+    ? { action, status: enable ? 'active' : 'done', startedAt: now }
+    : { action, status: 'waiting', startedAt: now };
+  return { ...result, maintenance: maintenanceState[miner.ip] };
+}
+
+/**
+ * Follow running actions from this poll's stats and attach the status as stats.maintenance
+ */
+async function runMaintenanceChecks(config, minersStats, now = Date.now()) {
+  for (const stats of minersStats) {
+    const state = maintenanceState[stats.minerIp];
+    if (!state) continue;
+
+    const definition = MAINTENANCE_ACTIONS[state.action];
+    const elapsed = now - state.startedAt;
+    const name = stats.minerName || stats.minerIp;
+
+    if (state.status === 'active' && elapsed > definition.timeoutMs) {
+      const result = await sendMaintenanceCommand(stats.minerIp, 'locate', { enable: false });
+      if (result.success) state.status = 'done';
+    }
+
+    if (MAINTENANCE_BUSY.includes(state.status)) {
+      if (stats.error) {
+        if (state.status === 'waiting') {
+          state.status = 'down';
+          state.wentDownAt = now;
+        }
+      } else {
+        // A restart of bosminer can be quicker than one poll, so a fresh uptime counts too
+        const restarted = state.status !== 'waiting' || (stats.uptime > 0 && stats.uptime * 1000 < elapsed);
+        if (restarted && stats.hashrate > 0) {
+          state.status = 'back';
+          state.backAt = now;
+          state.durationMs = now - state.startedAt;
+          console.log(`🔧 ${name} is back after ${state.action} (${Math.round(state.durationMs / 1000)} s)`);
+        } else if (restarted) {
+          state.status = 'starting';
+        }
+      }
+
+      if (MAINTENANCE_BUSY.includes(state.status) && elapsed > definition.timeoutMs) {
+        state.status = 'timeout';
+        state.error = `No healthy response within ${Math.round(definition.timeoutMs / 60000)} min`;
+        console.log(`🔧 ${name}: ${state.action} timed out`);
+      }
+    }
+
+    stats.maintenance = { ...state };
+  }
+
+  // Forget actions for miners that were removed
+  const ips = new Set(config.miners.map(m => m.ip));
+  for (const ip of Object.keys(maintenanceState)) {
+    if (!ips.has(ip)) delete maintenanceState[ip];
+  }
+}
+
+// ============================================================================
+// Capacity Tariff (kapasitetsledd)
+// ============================================================================
+// Norwegian grid companies charge a monthly fixed fee set by the average of the
+// three highest hourly consumption peaks on different days. Consumption is
+// integrated from polled powerDraw (plus household load) into hourly kWh.
+
+// Approximate household steps (NOK/month incl. VAT); override with capacityTariff.steps
+const DEFAULT_CAPACITY_STEPS = [
+  { maxKw: 2, monthlyFee: 130 },
+  { maxKw: 5, monthlyFee: 200 },
+  { maxKw: 10, monthlyFee: 325 },
+  { maxKw: 15, monthlyFee: 450 },
+  { maxKw: 20, monthlyFee: 575 },
+  { maxKw: 25, monthlyFee: 700 },
+  { maxKw: 50, monthlyFee: 1250 },
+  { maxKw: 75, monthlyFee: 1900 },
+  { maxKw: 100, monthlyFee: 2550 },
+  { maxKw: null, monthlyFee: 5000 }
+];
+
+// Household load pushed via the API is trusted for this long before falling back to the configured estimate
+const HOUSEHOLD_LOAD_MAX_AGE = 2 * 60 * 1000;
+
+function getCapacityConfig(config) {
+  const capacity = config.capacityTariff || {};
+  return {
+    enabled: capacity.enabled !== false,
+    householdLoadW: capacity.householdLoadW || 0,
+    steps: Array.isArray(capacity.steps) && capacity.steps.length > 0 ? capacity.steps : DEFAULT_CAPACITY_STEPS,
+    guard: {
+      enabled: !!capacity.guard?.enabled,
+      profile: capacity.guard?.profile || 'low',
+      maxKw: capacity.guard?.maxKw || null,
+      marginKwh: capacity.guard?.marginKwh ?? 0.1
+    }
+  };
+}
+
+async function loadCapacityState() {
+  try {
+    const data = JSON.parse(await fs.readFile(CAPACITY_FILE, 'utf8'));
+    capacityState = {
+      ...capacityState,
+      month: data.month || null,
+      hours: data.hours || {},
+      guard: data.guard || capacityState.guard
+    };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to load capacity data:', err.message);
+    }
+  }
+}
+
+async function saveCapacityState() {
+  try {
+    const { month, hours, guard } = capacityState;
+    await fs.writeFile(CAPACITY_FILE, JSON.stringify({ month, hours, guard }, null, 2));
+  } catch (err) {
+    console.error('Failed to save capacity data:', err.message);
+  }
+}
+
+/**
+ * Household load in watts: a recent pushed reading, else the configured estimate
+ */
+function getHouseholdLoadW(capacityConfig, now = Date.now()) {
+  if (householdLoadReading && now - householdLoadReading.receivedAt < HOUSEHOLD_LOAD_MAX_AGE) {
+    return householdLoadReading.watts;
+  }
+  return capacityConfig.householdLoadW;
+}
+
+/**
+ * Step whose range contains the given average kW
+ */
+function getCapacityStepIndex(averageKw, steps) {
+  const index = steps.findIndex(step => step.maxKw === null || step.maxKw === undefined || averageKw <= step.maxKw);
+  return index === -1 ? steps.length - 1 : index;
+}
+
+/**
+ * Highest hour per day, sorted descending. `extraHour` lets the guard test a projected hour.
+ */
+function getDailyPeaks(hours, extraHour = null) {
+  const byDay = {};
+  const entries = Object.entries(hours).map(([start, h]) => ({ start, ...h }));
+  if (extraHour) {
+    const existing = entries.find(e => e.start === extraHour.start);
+    if (existing) existing.kWh = Math.max(existing.kWh, extraHour.kWh);
+    else entries.push(extraHour);
+  }
+  for (const entry of entries) {
+    if (!byDay[entry.day] || entry.kWh > byDay[entry.day].kWh) {
+      byDay[entry.day] = entry;
+    }
+  }
+  return Object.values(byDay).sort((a, b) => b.kWh - a.kWh);
+}
+
+/**
+ * Average of the top-3 daily peaks (fewer early in the month) and its tariff step
+ */
+function calculateCapacityStep(peaks, steps) {
+  const top = peaks.slice(0, 3);
+  const averageKw = top.length > 0 ? top.reduce((sum, p) => sum + p.kWh, 0) / top.length : 0;
+  const stepIndex = getCapacityStepIndex(averageKw, steps);
+  return { top, averageKw, stepIndex };
+}
+
+function getHourStart(now) {
+  return new Date(Math.floor(now / 3600000) * 3600000);
+}
+
+/**
+ * Add consumed energy to the hour it was used in
+ * @returns {string} - Key of the running hour
+ */
+function recordCapacityEnergy(kWh, timeZone, now = Date.now()) {
+  const local = getZonedDateParts(new Date(now), timeZone);
+  const month = `${local.year}-${String(local.month).padStart(2, '0')}`;
+
+  if (capacityState.month !== month) {
+    capacityState.month = month;
+    capacityState.hours = {};
+  }
+
+  const hourStart = getHourStart(now);
+  const key = hourStart.toISOString();
+  if (!capacityState.hours[key]) {
+    const hourLocal = getZonedDateParts(hourStart, timeZone);
+    capacityState.hours[key] = {
+      day: `${hourLocal.year}-${String(hourLocal.month).padStart(2, '0')}-${String(hourLocal.day).padStart(2, '0')}`,
+      kWh: 0
+    };
+  }
+  capacityState.hours[key].kWh += kWh;
+
+  return key;
+}
+
+/**
+ * Current month's peaks, step and the projection for the running hour
+ */
+function getCapacitySummary(config, now = Date.now()) {
+  const capacityConfig = getCapacityConfig(config);
+  const steps = capacityConfig.steps;
+  const hourStart = getHourStart(now);
+  const currentHour = capacityState.hours[hourStart.toISOString()];
+  const elapsedHours = (now - hourStart.getTime()) / 3600000;
+  const currentLoadW = minerStatsCache.miners
+    .filter(m => !m.error)
+    .reduce((sum, m) => sum + (m.powerDraw || 0), 0) + getHouseholdLoadW(capacityConfig, now);
+  const usedKwh = currentHour ? currentHour.kWh : 0;
+  const projectedKwh = usedKwh + (currentLoadW / 1000) * (1 - elapsedHours);
+
+  const { top, averageKw, stepIndex } = calculateCapacityStep(getDailyPeaks(capacityState.hours), steps);
+
+  return {
+    enabled: capacityConfig.enabled,
+    month: capacityState.month,
+    peaks: top.map(p => ({ start: p.start, day: p.day, kWh: p.kWh })),
+    averageKw,
+    step: { index: stepIndex, ...steps[stepIndex], minKw: stepIndex > 0 ? steps[stepIndex - 1].maxKw : 0 },
+    nextStep: steps[stepIndex + 1] ? { index: stepIndex + 1, ...steps[stepIndex + 1] } : null,
+    currentHour: {
+      start: hourStart.toISOString(),
+      usedKwh,
+      projectedKwh,
+      loadW: currentLoadW
+    },
+    householdLoadW: getHouseholdLoadW(capacityConfig, now),
+    guard: {
+      enabled: capacityConfig.guard.enabled,
+      profile: capacityConfig.guard.profile,
+      active: capacityState.guard.active,
+      loweredMiners: capacityState.guard.loweredMiners.map(m => m.name),
+      // Miners without the guard profile (preset firmware) are never lowered
+      missingProfile: (config.miners || [])
+        .filter(m => getMinerPowerProfiles(m)[capacityConfig.guard.profile] === undefined)
+        .map(m => m.name)
+    }
+  };
+}
+
+/**
+ * Lower miners before the running hour would raise the capacity step,
+ * and put them back on their own profile when the next hour starts
+ */
+async function runPeakGuard(config, minersStats, hourKey, now = Date.now()) {
+  const capacityConfig = getCapacityConfig(config);
+  const guardState = capacityState.guard;
+
+  // New hour (or guard switched off): restore what we lowered
+  if (guardState.active && (guardState.hour !== hourKey || !capacityConfig.guard.enabled)) {
+    for (const lowered of guardState.loweredMiners) {
+      const miner = config.miners.find(m => m.ip === lowered.ip);
+      const profile = miner?.powerProfile || lowered.previousProfile;
+      startPowerChange(lowered.ip, () => profile === 'custom'
+        ? setPowerTarget(lowered.ip, getMinerPowerTarget(miner))
+        : setPowerProfile(lowered.ip, profile, miner), result => {
+        if (!result.success) console.error(`🔌 Peak guard: could not restore ${lowered.name}: ${result.error}`);
+      });
+      console.log(`🔌 Peak guard: restoring ${lowered.name} to ${profile === 'custom' ? `${getMinerPowerTarget(miner)}W` : profile}`);
+      appendAudit({
+        source: 'peak-guard',
+        action: 'miner.power',
+        target: { ip: lowered.ip, name: lowered.name },
+        changes: { powerProfile: { old: capacityConfig.guard.profile, new: profile } },
+        details: { reason: 'hour ended' }
+      });
+    }
+    capacityState.guard = { active: false, hour: null, loweredMiners: [] };
+    await saveCapacityState();
+  }
+
+  if (!capacityConfig.guard.enabled || capacityState.guard.active) return;
+
+  const summary = getCapacitySummary(config, now);
+  const projected = { start: hourKey, day: capacityState.hours[hourKey].day, kWh: summary.currentHour.projectedKwh + capacityConfig.guard.marginKwh };
+  const projectedStep = calculateCapacityStep(getDailyPeaks(capacityState.hours, projected), capacityConfig.steps);
+  const exceedsStep = projectedStep.stepIndex > summary.step.index;
+  const exceedsCap = capacityConfig.guard.maxKw !== null && projected.kWh > capacityConfig.guard.maxKw;
+
+  if (!exceedsStep && !exceedsCap) return;
+
+  // Only miners running above their own wattage for the guard profile
+  const targets = minersStats.filter(m => {
+    const miner = config.miners.find(c => c.ip === m.minerIp);
+    return !m.error && !isMinerPaused(m.minerIp) && getMinerPowerTarget(miner) > getMinerPowerProfiles(miner)[capacityConfig.guard.profile];
+  });
+  if (targets.length === 0) return;
+
+  // Lowering can't wait for each miner's readback; a miner that fails to lower is logged
+  const lowered = targets.filter(stats => startPowerChange(stats.minerIp,
+    () => setPowerProfile(stats.minerIp, capacityConfig.guard.profile, config.miners.find(m => m.ip === stats.minerIp)),
+    result => {
+      if (!result.success) console.error(`⚠️  Peak guard: could not lower ${stats.minerName}: ${result.error}`);
+    }));
+  if (lowered.length === 0) return;
+
+  capacityState.guard = {
+    active: true,
+    hour: hourKey,
+    loweredMiners: lowered.map(m => ({ ip: m.minerIp, name: m.minerName, previousProfile: m.powerProfile })),
+    triggeredAt: new Date(now).toISOString(),
+    projectedKwh: projected.kWh
+  };
+  await saveCapacityState();
+
+  console.log(`⚠️  Peak guard: hour projected at ${projected.kWh.toFixed(2)} kWh ` +
+    `(step ${summary.step.index + 1} -> ${projectedStep.stepIndex + 1}), lowered ${lowered.map(m => m.minerName).join(', ')} to ${capacityConfig.guard.profile}`);
+  for (const stats of lowered) {
+    appendAudit({
+      source: 'peak-guard',
+      action: 'miner.power',
+      target: { ip: stats.minerIp, name: stats.minerName },
+      changes: { powerProfile: { old: stats.powerProfile, new: capacityConfig.guard.profile } },
+      details: { projectedKwh: projected.kWh, step: projectedStep.stepIndex + 1 }
+    });
+  }
+}
+
+// ============================================================================
+// Strømstøtte Ledger
+// ============================================================================
+
+/**
+ * Strømstøtte parameters in effect on the local date of `date`
+ */
+function getStromstotteRule(config, date = new Date()) {
+  const local = getZonedDateParts(date, resolveTimezone(config));
+  const dayKey = `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+  const rules = [...STROMSTOTTE_RULES, ...(Array.isArray(config.stromstotteRules) ? config.stromstotteRules : [])]
+    .filter(rule => rule.validFrom <= dayKey)
+    .sort((a, b) => a.validFrom.localeCompare(b.validFrom));
+  return rules[rules.length - 1] || STROMSTOTTE_RULES[0];
+}
+
+/**
+ * Subsidy per kWh for one price period
+ * @param {number} spotIncVat - Spot price incl. VAT for the period
+ * @returns {object} - { amount, thresholdIncVat, coverage, rule }
+ */
+function calculateStromstotte(spotIncVat, config, date = new Date()) {
+  const rule = getStromstotteRule(config, date);
+  const vatRate = getZoneVatRate(config.country || 'norway', config.electricityZone || 'NO5');
+  const thresholdIncVat = rule.thresholdExVat * (1 + vatRate);
+  const amount = spotIncVat > thresholdIncVat ? (spotIncVat - thresholdIncVat) * rule.coverage : 0;
+  return { amount, thresholdIncVat, coverage: rule.coverage, rule };
+}
+
+async function loadEnergyLedger() {
+  try {
+    energyLedger = { ...energyLedger, ...JSON.parse(await fs.readFile(LEDGER_FILE, 'utf8')) };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to load energy ledger:', err.message);
+    }
+  }
+}
+
+async function saveEnergyLedger() {
+  try {
+    await fs.writeFile(LEDGER_FILE, JSON.stringify(energyLedger, null, 2));
+  } catch (err) {
+    console.error('Failed to save energy ledger:', err.message);
+  }
+}
+
+/**
+ * Start and end of the local month containing `now`
+ */
+function getMonthBounds(now, timeZone) {
+  const local = getZonedDateParts(new Date(now), timeZone);
+  return {
+    key: `${local.year}-${String(local.month).padStart(2, '0')}`,
+    start: zonedTimeToDate(timeZone, local.year, local.month, 1),
+    end: zonedTimeToDate(timeZone, local.year, local.month + 1, 1)
+  };
+}
+
+/**
+ * Book consumed energy at the current spot price and subsidy
+ */
+function recordEnergyLedger(config, kWh, now = Date.now()) {
+  const month = getMonthBounds(now, resolveTimezone(config));
+  if (energyLedger.month !== month.key) {
+    energyLedger = {
+      month: month.key,
+      startedAt: new Date(now).toISOString(),
+      kWh: 0,
+      spotCost: 0,
+      subsidyEligibleKwh: 0,
+      subsidyAmount: 0,
+      norgesprisKwh: 0
+    };
+  }
+  if (kWh <= 0) return;
+
+  const period = findPricePeriod(electricityPriceCache.prices || [], new Date(now));
+  const spot = period ? period.priceIncVat : null;
+
+  energyLedger.kWh += kWh;
+  if (spot !== null) {
+    energyLedger.spotCost += kWh * spot;
+  }
+
+  if (resolvePriceMode(config) === 'norgespris') {
+    const capKwh = getNorgesprisConfig(config).monthlyCapKwh;
+    const used = energyLedger.norgesprisKwh || 0;
+    energyLedger.norgesprisKwh = used + Math.min(kWh, Math.max(0, capKwh - used));
+    if (used < capKwh && energyLedger.norgesprisKwh >= capKwh) {
+      energyLedger.norgesprisCapReachedAt = new Date(now).toISOString();
+      console.log(`🏠 Norgespris cap of ${capKwh} kWh reached, billing spot for the rest of ${energyLedger.month}`);
+    }
+  }
+
+  if (spot !== null && hasStromstotte(config)) {
+    const subsidy = calculateStromstotte(spot, config, new Date(now));
+    const eligibleKwh = Math.min(kWh, Math.max(0, subsidy.rule.monthlyCapKwh - energyLedger.subsidyEligibleKwh));
+    energyLedger.subsidyEligibleKwh += eligibleKwh;
+    energyLedger.subsidyAmount += eligibleKwh * subsidy.amount;
+  }
+}
+
+/**
+ * Month-to-date subsidy and a projection for the whole month from the rate so far
+ */
+function getSubsidySummary(config, now = Date.now()) {
+  const month = getMonthBounds(now, resolveTimezone(config));
+  const rule = getStromstotteRule(config, new Date(now));
+  const current = energyLedger.month === month.key;
+  const subsidyAmount = current ? energyLedger.subsidyAmount : 0;
+  const kWh = current ? energyLedger.kWh : 0;
+
+  // Extrapolate from the time actually tracked this month, not from the 1st
+  const trackedFrom = current && energyLedger.startedAt
+    ? Math.max(new Date(energyLedger.startedAt).getTime(), month.start.getTime())
+    : now;
+  const trackedMs = now - trackedFrom;
+  const monthFactor = trackedMs >= 60 * 60 * 1000 ? (month.end - month.start) / trackedMs : null;
+  const vatRate = getZoneVatRate(config.country || 'norway', config.electricityZone || 'NO5');
+  const eligibleKwh = current ? energyLedger.subsidyEligibleKwh : 0;
+  // The subsidy stops at the monthly volume cap, so only project the eligible kWh up to it
+  const projectedEligibleKwh = monthFactor ? Math.min(eligibleKwh * monthFactor, rule.monthlyCapKwh) : null;
+
+  return {
+    month: month.key,
+    kWh,
+    subsidyAmount,
+    subsidyEligibleKwh: eligibleKwh,
+    averagePerKwh: kWh > 0 ? subsidyAmount / kWh : 0,
+    projectedAmount: monthFactor && eligibleKwh > 0 ? (subsidyAmount / eligibleKwh) * projectedEligibleKwh : (monthFactor ? 0 : null),
+    projectedKwh: monthFactor ? kWh * monthFactor : null,
+    trackingStartedAt: current ? energyLedger.startedAt : null,
+    rule: {
+      validFrom: rule.validFrom,
+      thresholdIncVat: rule.thresholdExVat * (1 + vatRate),
+      coverage: rule.coverage,
+      monthlyCapKwh: rule.monthlyCapKwh
+    }
+  };
+}
+
+function getNorgesprisConfig(config) {
+  const vatRate = getZoneVatRate(config.country || 'norway', config.electricityZone || 'NO5');
+  return {
+    priceIncVat: NORGESPRIS.priceExVat * (1 + vatRate),
+    monthlyCapKwh: config.norgespris?.monthlyCapKwh || NORGESPRIS.monthlyCapKwh
+  };
+}
+
+/**
+ * Norgespris volume used this month and when the cap will be crossed at the
+ * consumption rate seen so far (null when not within this month)
+ */
+function getNorgesprisSummary(config, now = Date.now()) {
+  const norgespris = getNorgesprisConfig(config);
+  const month = getMonthBounds(now, resolveTimezone(config));
+  const current = energyLedger.month === month.key;
+  const usedKwh = current ? (energyLedger.norgesprisKwh || 0) : 0;
+  const remainingKwh = Math.max(0, norgespris.monthlyCapKwh - usedKwh);
+
+  const trackedFrom = current && energyLedger.startedAt
+    ? Math.max(new Date(energyLedger.startedAt).getTime(), month.start.getTime())
+    : now;
+  const trackedMs = now - trackedFrom;
+  const kWhPerMs = trackedMs >= 60 * 60 * 1000 && current ? energyLedger.kWh / trackedMs : 0;
+
+  let projectedCapAt = null;
+  if (remainingKwh === 0) {
+    projectedCapAt = (current && energyLedger.norgesprisCapReachedAt) || new Date(now).toISOString();
+  } else if (kWhPerMs > 0) {
+    const crossing = now + remainingKwh / kWhPerMs;
+    projectedCapAt = crossing < month.end.getTime() ? new Date(crossing).toISOString() : null;
+  }
+
+  return {
+    month: month.key,
+    priceIncVat: norgespris.priceIncVat,
+    monthlyCapKwh: norgespris.monthlyCapKwh,
+    usedKwh,
+    remainingKwh,
+    capReached: remainingKwh === 0,
+    projectedCapAt,
+    projectedMonthKwh: kWhPerMs > 0 ? kWhPerMs * (month.end - month.start) : null
+  };
+}
+
+// ============================================================================
+// Consumption Tracking
+// ============================================================================
+
+/**
+ * Energy used since the previous poll at the current load. Gaps (restarts,
+ * stalled polls) are not filled in - at most two poll intervals are counted.
+ */
+function integrateConsumption(totalWatts, now = Date.now()) {
+  const last = consumptionSampling.lastSampleAt;
+  consumptionSampling.lastSampleAt = now;
+  if (!last) return 0;
+
+  const elapsedMs = Math.min(now - last, 2 * MINER_POLL_INTERVAL);
+  return elapsedMs > 0 ? (totalWatts / 1000) * (elapsedMs / 3600000) : 0;
+}
+
+/**
+ * Record this poll's consumption in the capacity tracker and energy ledger, then run the peak guard
+ */
+async function updateConsumptionTracking(config, minersStats) {
+  const capacityConfig = getCapacityConfig(config);
+  const now = Date.now();
+  const minerWatts = minersStats.filter(m => !m.error).reduce((sum, m) => sum + (m.powerDraw || 0), 0);
+  const kWh = integrateConsumption(minerWatts + getHouseholdLoadW(capacityConfig, now), now);
+
+  recordEnergyLedger(config, kWh, now);
+
+  if (capacityConfig.enabled) {
+    const hourKey = recordCapacityEnergy(kWh, resolveTimezone(config), now);
+    await runPeakGuard(config, minersStats, hourKey, now);
+  }
+
+  if (now - consumptionSampling.lastSavedAt > 60 * 1000) {
+    consumptionSampling.lastSavedAt = now;
+    await saveCapacityState();
+    await saveEnergyLedger();
+  }
+}
+
+// ============================================================================
+// Automatic Power Profiles
+// ============================================================================
+// Rules pick a profile from the effective price, e.g. "high below 0.60, low above 1.20".
+// The first matching rule wins; with none matching the miner gets defaultProfile.
+// A rule stays active until the price leaves it by more than `hysteresis`, a miner
+// keeps a profile for at least minDwellMinutes, and a manual change in the UI pauses
+// automation for that miner for overrideMinutes. A rule with profile "pause" stops
+// hashing altogether; runPauseControl() carries that out.
+
+const AUTO_PROFILES = ['low', 'medium', 'high'];
+// After a failed automatic switch, the next try waits this long (or the dwell time, if longer)
+const AUTO_PROFILE_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * The automation profiles a miner actually has. Preset firmware only has the presets
+ * its driver ships plus the miner's own, so e.g. stock Antminer has no "high"
+ */
+function getMinerAutoProfiles(miner) {
+  const profiles = getMinerPowerProfiles(miner);
+  return AUTO_PROFILES.filter(profile => profiles[profile] !== undefined);
+}
+
+/**
+ * The miner's automation profiles from minProfile up to maxProfile, lowest first
+ */
+function getProfileRange(miner, minProfile, maxProfile) {
+  const min = AUTO_PROFILES.indexOf(minProfile);
+  const max = AUTO_PROFILES.indexOf(maxProfile);
+  return getMinerAutoProfiles(miner).filter(profile => AUTO_PROFILES.indexOf(profile) >= min && AUTO_PROFILES.indexOf(profile) <= max);
+}
+
+function getAutoProfileConfig(config) {
+  const settings = config.autoProfile || {};
+  return {
+    enabled: !!settings.enabled,
+    rules: Array.isArray(settings.rules) ? settings.rules : [
+      { profile: 'high', below: 0.60 },
+      { profile: 'low', above: 1.20 }
+    ],
+    defaultProfile: settings.defaultProfile === undefined ? 'medium' : settings.defaultProfile,
+    hysteresis: settings.hysteresis ?? 0.05,
+    minDwellMinutes: settings.minDwellMinutes ?? 15,
+    overrideMinutes: settings.overrideMinutes ?? 120
+  };
+}
+
+function validateAutoProfileConfig(settings) {
+  if (!settings || typeof settings !== 'object') return 'autoProfile must be an object';
+  for (const rule of settings.rules || []) {
+    if (!AUTO_PROFILES.includes(rule.profile) && rule.profile !== 'pause') return `Unknown profile in rule: ${rule.profile}`;
+    if (typeof rule.below !== 'number' && typeof rule.above !== 'number') return 'Every rule needs a below or above price';
+  }
+  if (settings.defaultProfile && !AUTO_PROFILES.includes(settings.defaultProfile)) return `Unknown default profile: ${settings.defaultProfile}`;
+  for (const field of ['hysteresis', 'minDwellMinutes', 'overrideMinutes']) {
+    if (settings[field] !== undefined && !(typeof settings[field] === 'number' && settings[field] >= 0)) return `${field} must be a non-negative number`;
+  }
+  return null;
+}
+
+function matchesProfileRule(rule, price, margin = 0) {
+  return (typeof rule.below !== 'number' || price < rule.below + margin) &&
+    (typeof rule.above !== 'number' || price > rule.above - margin);
+}
+
+function describeProfileRule(rule) {
+  const parts = [];
+  if (typeof rule.below === 'number') parts.push(`below ${rule.below.toFixed(2)}`);
+  if (typeof rule.above === 'number') parts.push(`above ${rule.above.toFixed(2)}`);
+  return `${rule.profile} ${parts.join(' and ')}`;
+}
+
+/**
+ * Rule for a price, keeping the current rule inside its hysteresis band
+ * @returns {number} - index into rules, -1 for the default profile
+ */
+function evaluateProfileRules(rules, price, currentRuleIndex, hysteresis) {
+  const strictMatch = rules.findIndex(rule => matchesProfileRule(rule, price));
+  const current = rules[currentRuleIndex];
+  if (current && matchesProfileRule(current, price, hysteresis)) {
+    // An earlier (higher priority) rule still takes over as soon as it matches
+    return strictMatch !== -1 && strictMatch < currentRuleIndex ? strictMatch : currentRuleIndex;
+  }
+  return strictMatch;
+}
+
+/**
+ * Pause automation (price rules, heating plan or thermostat) for a miner after a manual profile change
+ */
+function setAutoProfileOverride(config, ip, now = Date.now()) {
+  const settings = getAutoProfileConfig(config);
+  const miner = config.miners.find(m => m.ip === ip);
+  if (!settings.enabled && !getHeatingPlanSettings(miner) && !getThermostatSettings(miner)) return;
+  autoProfileState[ip] = {
+    ...autoProfileState[ip],
+    overrideUntil: now + settings.overrideMinutes * 60 * 1000
+  };
+}
+
+/**
+ * Apply the price rules to every online miner (runs each poll, after the peak guard)
+ */
+async function runAutoProfileScheduler(config, minersStats, now = Date.now()) {
+  const settings = getAutoProfileConfig(config);
+  if (!settings.enabled) {
+    // A price pause ends with the scheduler, or runPauseControl() would hold it forever
+    for (const state of Object.values(autoProfileState)) state.pauseRequested = false;
+    return;
+  }
+
+  const loweredByGuard = new Set(capacityState.guard.active ? capacityState.guard.loweredMiners.map(m => m.ip) : []);
+  const switched = [];
+
+  for (const stats of minersStats) {
+    const miner = config.miners.find(m => m.ip === stats.minerIp);
+    const state = autoProfileState[stats.minerIp] = {
+      ruleIndex: null,
+      lastSwitchAt: 0,
+      overrideUntil: 0,
+      ...autoProfileState[stats.minerIp]
+    };
+    const price = stats.electricity?.effectivePrice;
+
+    if (miner?.autoProfile === false) {
+      state.status = 'disabled';
+      state.pauseRequested = false;
+      continue;
+    }
+    // Paused by hand or by a sleep window: nothing to switch
+    if (['manual', 'sleep'].includes(pauseState[stats.minerIp]?.reason)) {
+      state.status = 'paused';
+      continue;
+    }
+    // The thermostat or heating planner drives this miner's profile instead, and
+    // both skip paused miners, so a price pause has to end here
+    if (getThermostatSettings(miner)) {
+      state.status = 'thermostat';
+      state.pauseRequested = false;
+      continue;
+    }
+    if (getHeatingPlanSettings(miner)) {
+      state.status = 'plan';
+      state.pauseRequested = false;
+      continue;
+    }
+    if (stats.error || typeof price !== 'number') {
+      state.status = 'offline';
+      continue;
+    }
+    // Never switch on a made-up price
+    if (stats.electricity.priceStatus?.state === 'fallback') {
+      state.status = 'no-price';
+      continue;
+    }
+    if (now < state.overrideUntil) {
+      state.status = 'override';
+      continue;
+    }
+    if (loweredByGuard.has(stats.minerIp)) {
+      state.status = 'peak-guard';
+      continue;
+    }
+    if (isPowerChangePending(stats.minerIp)) {
+      state.status = 'pending';
+      continue;
+    }
+
+    const ruleIndex = evaluateProfileRules(settings.rules, price, state.ruleIndex, settings.hysteresis);
+    const rule = settings.rules[ruleIndex];
+    const target = rule ? rule.profile : settings.defaultProfile;
+    const current = state.pauseRequested ? 'pause' : stats.powerProfile;
+    const dwelling = now - state.lastSwitchAt < settings.minDwellMinutes * 60 * 1000;
+    state.status = state.pauseRequested ? 'paused' : 'auto';
+
+    // Leaving a price pause with no profile change still counts as a switch
+    const resumeOnly = state.pauseRequested && target !== 'pause' && (!target || target === stats.powerProfile);
+    if ((!target || target === current) && !resumeOnly) {
+      state.ruleIndex = ruleIndex;
+      continue;
+    }
+    if (target !== 'pause' && !resumeOnly && !getMinerAutoProfiles(miner).includes(target)) {
+      state.status = 'unsupported';
+      continue;
+    }
+    if (dwelling) {
+      state.status = 'dwell';
+      continue;
+    }
+    if (now - (state.lastFailedAt || 0) < Math.max(settings.minDwellMinutes * 60 * 1000, AUTO_PROFILE_RETRY_MS)) {
+      state.status = 'failed';
+      continue;
+    }
+
+    const entry = {
+      timestamp: new Date(now).toISOString(),
+      minerIp: stats.minerIp,
+      minerName: stats.minerName,
+      from: current,
+      to: resumeOnly ? stats.powerProfile : target,
+      price,
+      rule: rule ? describeProfileRule(rule) : 'default'
+    };
+    // The state object is rebuilt each poll, so a change confirmed later updates the current one
+    const recordSwitch = () => {
+      const state = autoProfileState[stats.minerIp];
+      state.pauseRequested = target === 'pause';
+      state.status = state.pauseRequested ? 'paused' : 'auto';
+      state.ruleIndex = ruleIndex;
+      state.lastSwitchAt = now;
+      console.log(`🤖 Auto profile: ${stats.minerName} ${entry.from} -> ${entry.to} at ${price.toFixed(2)}/kWh (${entry.rule})`);
+    };
+
+    if (target !== 'pause' && !resumeOnly) {
+      // Recorded once the miner confirms the profile
+      state.status = 'pending';
+      startPowerChange(stats.minerIp, () => setPowerProfile(stats.minerIp, target, miner), result => {
+        if (!result.success) {
+          autoProfileState[stats.minerIp].status = 'failed';
+          autoProfileState[stats.minerIp].lastFailedAt = now;
+          return;
         }
-      }
-      
-      // Format 5: bosminer.hashboards with stats
-      if (graphqlData.data.bosminer?.hashboards) {
-        console.log('Found bosminer.hashboards format');
-        graphqlData.data.bosminer.hashboards.forEach((board, idx) => {
-          if (board.stats?.temp !== undefined) {
-            temps[`board${idx + 1}`] = board.stats.temp;
-          }
-        });
-      }
-      
-      // Set chip temp to max board temp if not explicitly provided
-      if (temps.chip === null) {
-        const boardTemps = [temps.board1, temps.board2, temps.board3].filter(t => t !== null);
-        if (boardTemps.length > 0) {
-          temps.chip = Math.max(...boardTemps);
+        recordSwitch();
+        return recordProfileSwitches([entry], 'scheduler');
+      });
+      continue;
+    }
+
+    recordSwitch();
+    switched.push(entry);
+  }
+
+  await recordProfileSwitches(switched, 'scheduler');
+}
+
+/**
+ * Log automatic profile switches and store the new profiles in the config
+ * @param {string} source - 'scheduler', 'planner' or 'thermostat', for the audit log
+ */
+async function recordProfileSwitches(switched, source) {
+  if (switched.length === 0) return;
+
+  autoProfileLog.push(...switched);
+  for (const entry of switched) {
+    appendAudit({
+      source,
+      action: 'miner.power',
+      target: { ip: entry.minerIp, name: entry.minerName },
+      changes: { powerProfile: { old: entry.from ?? null, new: entry.to } },
+      details: { rule: entry.rule, price: entry.price }
+    });
+  }
+  if (autoProfileLog.length > 100) {
+    autoProfileLog = autoProfileLog.slice(-100);
+  }
+
+  // Re-read the config so a save from the UI during this poll isn't overwritten, and
+  // chain the saves so changes confirmed in the background don't overwrite each other
+  profileSwitchSaveQueue = profileSwitchSaveQueue
+    .then(async () => {
+      const latest = await loadConfig();
+      for (const entry of switched) {
+        const miner = latest.miners.find(m => m.ip === entry.minerIp);
+        if (miner && entry.to !== 'pause') {
+          miner.powerProfile = entry.to;
+          delete miner.powerTargetW;
         }
       }
-      
-      console.log('Extracted from GraphQL - temps:', temps, 'fans:', fans);
+      await saveConfig(latest);
+    })
+    .catch(err => console.error('Failed to save profile switches:', err.message));
+  return profileSwitchSaveQueue;
+}
+
+/**
+ * Scheduler state for the dashboard
+ */
+function getAutoProfileSummary(config, now = Date.now()) {
+  const settings = getAutoProfileConfig(config);
+  return {
+    ...settings,
+    miners: (config.miners || []).map(miner => {
+      const state = autoProfileState[miner.ip] || {};
+      const rule = settings.rules[state.ruleIndex];
+      return {
+        ip: miner.ip,
+        name: miner.name,
+        status: state.status || (settings.enabled ? 'auto' : 'disabled'),
+        rule: rule ? describeProfileRule(rule) : null,
+        overrideUntil: state.overrideUntil > now ? new Date(state.overrideUntil).toISOString() : null,
+        nextSwitchAllowedAt: state.lastSwitchAt
+          ? new Date(state.lastSwitchAt + settings.minDwellMinutes * 60 * 1000).toISOString()
+          : null
+      };
+    }),
+    log: autoProfileLog.slice(-20)
+  };
+}
+
+// ============================================================================
+// Heating Planner
+// ============================================================================
+// A miner turns all of its power into heat, so a daily heat need is a daily kWh
+// target. Every price period starts at the miner's minProfile; the cheapest
+// periods are then raised one profile at a time (up to maxProfile, or the cap
+// of a quiet-hours window) until the day's target is met. Plans are rebuilt when
+// prices or settings change, keeping what the old plan already ran that day.
+
+function getHeatingPlanSettings(miner) {
+  const settings = miner?.heatingPlan;
+  if (!settings?.enabled) return null;
+  return {
+    dailyKwh: settings.dailyKwh,
+    minProfile: settings.minProfile || 'low',
+    maxProfile: settings.maxProfile || 'high',
+    quietHours: Array.isArray(settings.quietHours) ? settings.quietHours : [],
+    // minProfile..maxProfile, leaving out those the miner doesn't have
+    profiles: getProfileRange(miner, settings.minProfile || 'low', settings.maxProfile || 'high'),
+    profileWatts: getMinerPowerProfiles(miner)
+  };
+}
+
+function validateHeatingPlan(settings) {
+  if (!settings || typeof settings !== 'object') return 'heatingPlan must be an object';
+  if (settings.enabled && !(typeof settings.dailyKwh === 'number' && settings.dailyKwh > 0)) return 'dailyKwh must be a positive number';
+  const minProfile = settings.minProfile || 'low';
+  const maxProfile = settings.maxProfile || 'high';
+  if (!AUTO_PROFILES.includes(minProfile)) return `Unknown minProfile: ${minProfile}`;
+  if (!AUTO_PROFILES.includes(maxProfile)) return `Unknown maxProfile: ${maxProfile}`;
+  if (AUTO_PROFILES.indexOf(minProfile) > AUTO_PROFILES.indexOf(maxProfile)) return 'minProfile is above maxProfile';
+  if (settings.quietHours !== undefined && !Array.isArray(settings.quietHours)) return 'quietHours must be a list';
+  for (const window of settings.quietHours || []) {
+    if (!/^\d{1,2}:\d{2}$/.test(window.from) || !/^\d{1,2}:\d{2}$/.test(window.to)) return 'Quiet hours need from and to as HH:MM';
+    if (!AUTO_PROFILES.includes(window.maxProfile)) return `Unknown quiet-hours profile: ${window.maxProfile}`;
+    if (window.days !== undefined && !(Array.isArray(window.days) && window.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+      return 'Quiet-hours days must be weekday numbers (0 = Sunday)';
     }
-    
-    // Try HTTP API data if GraphQL didn't work
-    if (httpApiData && temps.chip === null) {
-      console.log('=== TRYING HTTP API DATA ===');
-      console.log('HTTP API data:', JSON.stringify(httpApiData, null, 2).substring(0, 1000));
-      
-      // Try to extract from various HTTP API response formats
-      if (httpApiData.temp) {
-        temps.chip = httpApiData.temp;
+  }
+  return null;
+}
+
+/**
+ * Cheapest-periods profile plan for one miner
+ * @param {Array} periods - Cached price periods to plan (one local day, from the current period on)
+ * @param {number} targetKwh - Energy to deliver over these periods
+ * @returns {object} - { slots: [{ start, end, profile, watts, kwh, price, quiet }], plannedKwh, estimatedCost }
+ */
+function planMinerHeating(config, settings, periods, targetKwh) {
+  const timeZone = resolveTimezone(config);
+  // Levels index settings.profiles; a quiet-hours cap below all of them keeps the lowest
+  const minLevel = 0;
+  const maxLevel = settings.profiles.length - 1;
+  const levelAtMost = (profile) => Math.max(0, settings.profiles.filter(p => AUTO_PROFILES.indexOf(p) <= AUTO_PROFILES.indexOf(profile)).length - 1);
+
+  const slots = periods.map(period => {
+    const start = new Date(period.time);
+    const local = getZonedDateParts(start, timeZone);
+    // Quiet hours win over minProfile
+    let cap = maxLevel;
+    for (const window of settings.quietHours) {
+      if (matchesTariffPeriod(window, local, false)) {
+        cap = Math.min(cap, levelAtMost(window.maxProfile));
       }
-      if (httpApiData.temp1) temps.board1 = httpApiData.temp1;
-      if (httpApiData.temp2) temps.board2 = httpApiData.temp2;
-      if (httpApiData.temp3) temps.board3 = httpApiData.temp3;
-      if (httpApiData.fan1) fans.speed1 = httpApiData.fan1;
-      if (httpApiData.fan2) fans.speed2 = httpApiData.fan2;
     }
-    
-    // Try TEMPS command from BOSminer (most reliable for newer Braiins OS)
-    if (tempsCmd?.TEMPS && Array.isArray(tempsCmd.TEMPS)) {
-      console.log('=== PROCESSING TEMPS COMMAND ===');
-      console.log('TEMPS data:', JSON.stringify(tempsCmd.TEMPS));
+    return {
+      start: period.time,
+      end: period.timeEnd,
+      hours: (new Date(period.timeEnd) - start) / 3600000,
+      price: getEffectivePrice(config, start).effectivePrice,
+      level: Math.min(minLevel, cap),
+      maxLevel: cap,
+      quiet: cap < maxLevel
+    };
+  });
 
-      const tempBoards = [];
-      const tempChips = [];
+  const kwhAt = (slot, level) => settings.profileWatts[settings.profiles[level]] / 1000 * slot.hours;
+  let plannedKwh = slots.reduce((sum, slot) => sum + kwhAt(slot, slot.level), 0);
 
-      tempsCmd.TEMPS.forEach((tempEntry, idx) => {
-        if (tempEntry.Board !== undefined && tempEntry.Board !== null) {
-          temps[`board${idx + 1}`] = tempEntry.Board;
-          tempBoards.push(tempEntry.Board);
-        }
-        if (tempEntry.Chip !== undefined && tempEntry.Chip !== null) {
-          tempChips.push(tempEntry.Chip);
-        }
-      });
+  // Cheapest first; equal prices fill earlier periods first
+  const byPrice = slots.slice().sort((a, b) => a.price - b.price || new Date(a.start) - new Date(b.start));
+  for (const slot of byPrice) {
+    while (plannedKwh < targetKwh && slot.level < slot.maxLevel) {
+      plannedKwh += kwhAt(slot, slot.level + 1) - kwhAt(slot, slot.level);
+      slot.level++;
+    }
+  }
 
-      // Set chip temp to max of all chip temps
-      if (tempChips.length > 0) {
-        temps.chip = Math.max(...tempChips);
-      }
+  const planned = slots.map(slot => {
+    const profile = settings.profiles[slot.level];
+    return {
+      start: slot.start,
+      end: slot.end,
+      profile,
+      watts: settings.profileWatts[profile],
+      kwh: kwhAt(slot, slot.level),
+      price: slot.price,
+      quiet: slot.quiet
+    };
+  });
+  return {
+    slots: planned,
+    plannedKwh,
+    estimatedCost: planned.reduce((sum, slot) => sum + slot.kwh * slot.price, 0)
+  };
+}
 
-      console.log('Extracted from TEMPS command - temps:', temps);
+/**
+ * (Re)build today's and tomorrow's plan for every miner with a heating plan
+ */
+function buildHeatingPlans(config, now = Date.now()) {
+  const timeZone = resolveTimezone(config);
+  const prices = electricityPriceCache.prices || [];
+  const currentPeriod = findPricePeriod(prices, new Date(now));
+  const planFrom = currentPeriod ? new Date(currentPeriod.time).getTime() : now;
+  const pricesKey = `${electricityPriceCache.zone}|${electricityPriceCache.fetchedAt}|${prices.length}`;
+  const next = {};
+
+  for (const miner of config.miners || []) {
+    const settings = getHeatingPlanSettings(miner);
+    if (!settings) continue;
+    if (settings.profiles.length === 0) {
+      next[miner.ip] = { days: {}, missingProfiles: true };
+      continue;
     }
 
-    // Try FANS command from BOSminer (most reliable for newer Braiins OS)
-    if (fansCmd?.FANS && Array.isArray(fansCmd.FANS)) {
-      console.log('=== PROCESSING FANS COMMAND ===');
-      console.log('FANS data:', JSON.stringify(fansCmd.FANS));
+    const previous = heatingPlanState[miner.ip]?.days || {};
+    const days = {};
+    // A config save (tariff, price mode, ...) changes updatedAt and so rebuilds the plan
+    const key = JSON.stringify({ settings, pricesKey, updatedAt: config.updatedAt });
+
+    for (const offset of [0, 1]) {
+      const dayStart = getZonedDayStart(new Date(now), timeZone, offset).getTime();
+      const dayEnd = getZonedDayStart(new Date(now), timeZone, offset + 1).getTime();
+      const { year, month, day } = getDateParts(new Date(dayStart), timeZone);
+      const date = `${year}-${month}-${day}`;
+      const old = previous[date];
+      if (old?.key === key) {
+        days[date] = old;
+        continue;
+      }
 
-      fansCmd.FANS.forEach((fanEntry, idx) => {
-        if (fanEntry.RPM !== undefined && fanEntry.RPM !== null) {
-          fans[`speed${idx + 1}`] = fanEntry.RPM;
-        }
+      const periods = prices.filter(p => {
+        const start = new Date(p.time).getTime();
+        return start >= dayStart && start < dayEnd && start >= planFrom;
       });
-
-      console.log('Extracted from FANS command - fans:', fans);
+      if (periods.length === 0) continue;
+
+      // Energy already run today counts towards the target: from the old plan,
+      // or pro rata for the part of the day before planning started
+      const pastSlots = old ? old.slots.filter(slot => new Date(slot.start).getTime() < planFrom) : [];
+      const doneKwh = old
+        ? pastSlots.reduce((sum, slot) => sum + slot.kwh, 0)
+        : settings.dailyKwh * Math.max(0, planFrom - dayStart) / (dayEnd - dayStart);
+      const plan = planMinerHeating(config, settings, periods, Math.max(0, settings.dailyKwh - doneKwh));
+
+      days[date] = {
+        key,
+        date,
+        targetKwh: settings.dailyKwh,
+        plannedKwh: doneKwh + plan.plannedKwh,
+        shortfallKwh: Math.max(0, settings.dailyKwh - doneKwh - plan.plannedKwh),
+        estimatedCost: pastSlots.reduce((sum, slot) => sum + slot.kwh * slot.price, 0) + plan.estimatedCost,
+        slots: [...pastSlots, ...plan.slots]
+      };
     }
+    next[miner.ip] = { days, lastFailedAt: heatingPlanState[miner.ip]?.lastFailedAt };
+  }
 
-    // Fall back to CGMiner stats/devs data if GraphQL/HTTP API didn't provide temps
-    if (temps.chip === null || temps.chip === 0) {
-      console.log('=== FALLING BACK TO CGMINER DATA ===');
-      temps = extractTemperatures(statsData, devsData, allStatsData);
-      fans = extractFanSpeeds(statsData, devsData, allStatsData);
+  heatingPlanState = next;
+}
+
+function findPlanSlot(ip, now = Date.now()) {
+  for (const day of Object.values(heatingPlanState[ip]?.days || {})) {
+    const slot = day.slots.find(s => new Date(s.start).getTime() <= now && new Date(s.end).getTime() > now);
+    if (slot) return slot;
+  }
+  return null;
+}
+
+/**
+ * Switch each planned miner to its profile for the current price period (runs each poll)
+ */
+async function runHeatingPlan(config, minersStats, now = Date.now()) {
+  buildHeatingPlans(config, now);
+
+  const loweredByGuard = new Set(capacityState.guard.active ? capacityState.guard.loweredMiners.map(m => m.ip) : []);
+
+  for (const stats of minersStats) {
+    const slot = findPlanSlot(stats.minerIp, now);
+    const miner = config.miners.find(m => m.ip === stats.minerIp);
+    if (!slot || stats.error || slot.profile === stats.powerProfile) continue;
+    if (getThermostatSettings(miner) || isMinerPaused(stats.minerIp)) continue;
+    if (now < (autoProfileState[stats.minerIp]?.overrideUntil || 0)) continue;
+    if (loweredByGuard.has(stats.minerIp) || isPowerChangePending(stats.minerIp)) continue;
+    // A switch the miner didn't confirm waits before the next try
+    if (now - (heatingPlanState[stats.minerIp]?.lastFailedAt || 0) < AUTO_PROFILE_RETRY_MS) continue;
+
+    const entry = {
+      timestamp: new Date(now).toISOString(),
+      minerIp: stats.minerIp,
+      minerName: stats.minerName,
+      from: stats.powerProfile,
+      to: slot.profile,
+      price: slot.price,
+      rule: 'heating plan'
+    };
+    startPowerChange(stats.minerIp, () => setPowerProfile(stats.minerIp, slot.profile, miner), result => {
+      if (!result.success) {
+        if (heatingPlanState[stats.minerIp]) heatingPlanState[stats.minerIp].lastFailedAt = now;
+        return;
+      }
+      console.log(`🗓️  Heating plan: ${stats.minerName} ${entry.from} -> ${slot.profile} at ${slot.price.toFixed(2)}/kWh`);
+      return recordProfileSwitches([entry], 'planner');
+    });
+  }
+}
+
+/**
+ * Plan state per miner; slots are only included for the API (the WebSocket gets the totals)
+ */
+function getHeatingPlanSummary(config, now = Date.now(), { includeSlots = false } = {}) {
+  return {
+    miners: (config.miners || []).filter(miner => heatingPlanState[miner.ip]).map(miner => {
+      const days = Object.values(heatingPlanState[miner.ip].days);
+      const current = findPlanSlot(miner.ip, now);
+      const nextChange = days.flatMap(day => day.slots)
+        .find(slot => new Date(slot.start).getTime() > now && slot.profile !== current?.profile);
+      return {
+        ip: miner.ip,
+        name: miner.name,
+        settings: miner.heatingPlan,
+        missingProfiles: !!heatingPlanState[miner.ip].missingProfiles,
+        currentProfile: current ? current.profile : null,
+        nextChange: nextChange ? { at: nextChange.start, profile: nextChange.profile } : null,
+        days: days.map(({ key, slots, ...day }) => includeSlots ? { ...day, slots } : day)
+      };
+    })
+  };
+}
+
+// ============================================================================
+// Temperature Sensors
+// ============================================================================
+// Room temperatures arrive by HTTP push (POST /api/sensors/temperature) or from
+// an MQTT broker. The thermostat only needs to subscribe, so a small MQTT 3.1.1
+// client (QoS 0 subscriptions, optional TLS and login) is built in below.
+
+const SENSOR_STALE_MS = 15 * 60 * 1000;
+
+function recordSensorReading(sensor, temperature, source) {
+  sensorReadings[sensor] = { temperature, receivedAt: Date.now(), source };
+}
+
+/**
+ * Latest reading for a sensor, or null when missing or older than 15 minutes
+ */
+function getSensorReading(sensor, now = Date.now()) {
+  const reading = sensorReadings[sensor];
+  if (!reading || now - reading.receivedAt > SENSOR_STALE_MS) return null;
+  return reading;
+}
+
+/**
+ * Temperature from an MQTT payload: a plain number, or JSON with a temperature
+ * field (zigbee2mqtt/ESPHome style) or a nested Tasmota sensor ({ "DS18B20": { "Temperature": 21.3 } })
+ */
+function parseTemperaturePayload(payload) {
+  const text = payload.toString().trim();
+  if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+  try {
+    const data = JSON.parse(text);
+    if (typeof data?.temperature === 'number') return data.temperature;
+    if (typeof data?.temp === 'number') return data.temp;
+    for (const value of Object.values(data || {})) {
+      if (typeof value?.Temperature === 'number') return value.Temperature;
     }
+  } catch (err) {
+    // Not JSON
+  }
+  return null;
+}
 
-    console.log('Final temperatures:', temps);
-    console.log('Final fans:', fans);
+function validateSensorConfig(sensors) {
+  if (!sensors || typeof sensors !== 'object') return 'sensors must be an object';
+  const mqtt = sensors.mqtt;
+  if (!mqtt) return null;
+  if (mqtt.enabled && !/^mqtts?:\/\/[^/]+/.test(mqtt.url || '')) return 'MQTT url must look like mqtt://host:1883';
+  if (mqtt.subscriptions !== undefined && !Array.isArray(mqtt.subscriptions)) return 'MQTT subscriptions must be a list';
+  for (const sub of mqtt.subscriptions || []) {
+    if (!sub.topic || typeof sub.topic !== 'string') return 'Every MQTT subscription needs a topic';
+  }
+  return null;
+}
 
-    // Get power from stats or estimate
-    const power = statsData.Power || statsData.power || statsData.power_limit || 
-                  summaryData.Power || Math.round(hashrate * 34) || 3250;
+/**
+ * MQTT topic filter match with + (one level) and # (rest) wildcards
+ */
+function matchMqttTopic(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
 
-    const powerProfile = config.currentProfile || 'medium';
+function encodeMqttLength(length) {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return Buffer.from(bytes);
+}
 
-    // Calculate reject rate
-    const accepted = poolData.Accepted || 0;
-    const rejected = poolData.Rejected || 0;
-    const rejectRate = accepted > 0 ? (rejected / (accepted + rejected)) * 100 : 0;
+function encodeMqttString(value) {
+  const data = Buffer.from(value, 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(data.length);
+  return Buffer.concat([length, data]);
+}
 
-    // Get currency based on country
-    const countryConfig = ELECTRICITY_ZONES[config.country || 'norway'];
-    const currency = countryConfig?.currency || 'NOK';
-    
-    // Get BTC price in the right currency
-    let btcPrice = btcPriceCache.priceNOK || 1000000;
-    if (currency === 'EUR') btcPrice = btcPriceCache.priceEUR || 90000;
-    if (currency === 'SEK') btcPrice = btcPriceCache.priceSEK || 1000000;
-    if (currency === 'USD') btcPrice = btcPriceCache.priceUSD || 95000;
-
-    // Calculate effective electricity price based on pricing mode
-    const rawSpotPrice = electricityPriceCache.currentPrice || 1.0;
-    const gridFee = getGridFeeForTime(config);
-    const useNorgespris = config.priceMode === 'norgespris';
-
-    let basePrice;
-    let subsidyApplied = false;
-    let subsidyAmount = 0;
-
-    if (useNorgespris) {
-      // Norgespris: Fixed 0.50 NOK/kWh + grid fees
-      basePrice = 0.50;
-    } else {
-      // Strømstøtteavtale: Spot price with state subsidy
-      // State covers 90% of spot price above 93.75 øre/kWh (0.9375 NOK/kWh)
-      const threshold = 0.9375;
-      if (rawSpotPrice > threshold) {
-        const excessPrice = rawSpotPrice - threshold;
-        subsidyAmount = excessPrice * 0.90;
-        basePrice = rawSpotPrice - subsidyAmount;
-        subsidyApplied = true;
-      } else {
-        basePrice = rawSpotPrice;
+function mqttPacket(header, body) {
+  return Buffer.concat([Buffer.from([header]), encodeMqttLength(body.length), body]);
+}
+
+function handleMqttPacket(settings, type, flags, body) {
+  if (type === 2) {
+    // CONNACK: return code 0 = accepted
+    if (body.length < 2) throw new Error('Malformed CONNACK packet');
+    if (body[1] !== 0) {
+      mqttSensors.error = `Broker refused the connection (code ${body[1]})`;
+      mqttSensors.socket.destroy();
+      return;
+    }
+    mqttSensors.status = 'connected';
+    mqttSensors.error = null;
+    console.log(`📡 MQTT connected to ${settings.url}`);
+    const topics = (settings.subscriptions || []).map(sub => Buffer.concat([encodeMqttString(sub.topic), Buffer.from([0])]));
+    if (topics.length > 0) {
+      mqttSensors.socket.write(mqttPacket(0x82, Buffer.concat([Buffer.from([0, 1]), ...topics])));
+    }
+  } else if (type === 3) {
+    // PUBLISH: topic, packet id when QoS > 0, payload
+    if (body.length < 2) throw new Error('Malformed PUBLISH packet');
+    const topicLength = body.readUInt16BE(0);
+    const qos = (flags >> 1) & 0x03;
+    if (body.length < 2 + topicLength + (qos > 0 ? 2 : 0)) throw new Error('Malformed PUBLISH packet');
+    const topic = body.toString('utf8', 2, 2 + topicLength);
+    let offset = 2 + topicLength;
+    if (qos > 0) {
+      mqttSensors.socket.write(Buffer.from([0x40, 0x02, body[offset], body[offset + 1]]));
+      offset += 2;
+    }
+    const sub = (settings.subscriptions || []).find(s => matchMqttTopic(s.topic, topic));
+    const temperature = parseTemperaturePayload(body.subarray(offset));
+    if (sub && temperature !== null) {
+      recordSensorReading(sub.sensor || topic, temperature, `mqtt:${topic}`);
+    }
+  }
+}
+
+/**
+ * Connect (or reconnect) to the configured MQTT broker; no-op when the settings haven't changed
+ */
+function startMqttSensors(config) {
+  const settings = config.sensors?.mqtt;
+  const key = settings?.enabled ? JSON.stringify(settings) : null;
+  if (key === mqttSensors.key && (mqttSensors.socket || mqttSensors.reconnectTimer)) return;
+
+  clearTimeout(mqttSensors.reconnectTimer);
+  clearInterval(mqttSensors.pingTimer);
+  if (mqttSensors.socket) {
+    mqttSensors.socket.removeAllListeners('close');
+    mqttSensors.socket.destroy();
+  }
+  mqttSensors = { key, socket: null, status: key ? 'connecting' : 'disabled', error: null, pingTimer: null, reconnectTimer: null };
+  if (!key) return;
+
+  const url = new URL(settings.url);
+  const secure = url.protocol === 'mqtts:';
+  const port = parseInt(url.port) || (secure ? 8883 : 1883);
+  const socket = secure
+    ? tls.connect({ host: url.hostname, port, servername: url.hostname })
+    : net.connect(port, url.hostname);
+  mqttSensors.socket = socket;
+
+  socket.on(secure ? 'secureConnect' : 'connect', () => {
+    const username = settings.username || '';
+    const password = settings.password || '';
+    const flags = 0x02 | (username ? 0x80 : 0) | (username && password ? 0x40 : 0);
+    const clientId = `mining-dashboard-${process.pid}`;
+    socket.write(mqttPacket(0x10, Buffer.concat([
+      encodeMqttString('MQTT'),
+      Buffer.from([4, flags, 0, 60]),   // protocol level 4 (3.1.1), keep-alive 60 s
+      encodeMqttString(clientId),
+      ...(username ? [encodeMqttString(username)] : []),
+      ...(username && password ? [encodeMqttString(password)] : [])
+    ])));
+  });
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      // Remaining length is a 1-4 byte varint after the header byte
+      let length = 0;
+      let multiplier = 1;
+      let index = 1;
+      let byte;
+      do {
+        if (index >= buffer.length) return;
+        byte = buffer[index++];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+      } while (byte & 0x80);
+      if (buffer.length < index + length) return;
+      try {
+        handleMqttPacket(settings, buffer[0] >> 4, buffer[0] & 0x0f, buffer.subarray(index, index + length));
+      } catch (err) {
+        // A broker sending garbage gets dropped; the close handler reconnects
+        socket.destroy(err);
+        return;
       }
+      buffer = buffer.subarray(index + length);
     }
+  });
 
-    // Total effective price = base price + grid fees
-    const effectivePrice = basePrice + gridFee;
+  mqttSensors.pingTimer = setInterval(() => socket.write(Buffer.from([0xc0, 0x00])), 30 * 1000);
+  socket.setTimeout(90 * 1000, () => socket.destroy(new Error('MQTT broker not responding')));
+  socket.on('error', (err) => {
+    mqttSensors.error = err.message;
+    console.error('MQTT error:', err.message);
+  });
+  socket.on('close', () => {
+    clearInterval(mqttSensors.pingTimer);
+    mqttSensors.socket = null;
+    mqttSensors.status = 'disconnected';
+    mqttSensors.reconnectTimer = setTimeout(() => {
+      mqttSensors.reconnectTimer = null;
+      mqttSensors.key = null;
+      startMqttSensors(config);
+    }, 30 * 1000);
+  });
+}
 
-    // Calculate efficiency metrics with effective price
-    const efficiency = calculateEfficiency(hashrate, power, effectivePrice, btcPrice, currency);
+function getSensorSummary(now = Date.now()) {
+  return {
+    readings: Object.entries(sensorReadings).map(([sensor, reading]) => ({
+      sensor,
+      ...reading,
+      receivedAt: new Date(reading.receivedAt).toISOString(),
+      stale: now - reading.receivedAt > SENSOR_STALE_MS
+    })),
+    mqtt: { status: mqttSensors.status, error: mqttSensors.error }
+  };
+}
 
-    return {
-      // Basic stats
-      hashrate,
-      hashrate1m,
-      hashrate15m,
-      hashrate24h,
-      hashrateAv,
-      efficiencyWPerTH: power / hashrate, // W/TH efficiency
-      temperature: temps.chip,
-      powerDraw: power,
-      uptime: summaryData.Elapsed || 0,
-      boards: [
-        { temp: temps.board1, chipTemp: tempsCmd?.TEMPS?.[0]?.Chip || null },
-        { temp: temps.board2, chipTemp: tempsCmd?.TEMPS?.[1]?.Chip || null },
-        { temp: temps.board3, chipTemp: tempsCmd?.TEMPS?.[2]?.Chip || null }
-      ],
-      fans: {
-        speed1: fans.speed1,
-        speed2: fans.speed2,
-        speed3: fans.speed3,
-        speed4: fans.speed4
-      },
-      poolStatus: poolData.Status === 'Alive' ? 'Connected' : 'Disconnected',
-      poolUrl: poolData.URL || 'Not connected',
-      acceptedShares: accepted,
-      rejectedShares: rejected,
-      rejectRate,
-      powerProfile,
-      
-      // Electricity data with both prices
-      electricity: {
-        rawSpotPrice: rawSpotPrice,
-        basePrice: basePrice,
-        gridFee: gridFee,
-        effectivePrice: effectivePrice,
-        subsidyApplied: subsidyApplied,
-        subsidyAmount: subsidyAmount,
-        priceMode: useNorgespris ? 'norgespris' : 'stromstotteavtale',
-        currentPrice: effectivePrice, // For backward compatibility
-        avgPrice: electricityPriceCache.avgPrice,
-        minPrice: electricityPriceCache.minPrice,
-        maxPrice: electricityPriceCache.maxPrice,
-        zone: electricityPriceCache.zone,
-        zoneName: electricityPriceCache.zoneName,
-        country: electricityPriceCache.country,
-        currency: electricityPriceCache.currency,
-        vatRate: electricityPriceCache.vatRate,
-        prices: electricityPriceCache.prices,
-        updatedAt: electricityPriceCache.fetchedAt
-      },
-      
-      // BTC price
-      btcPrice: {
-        usd: btcPriceCache.priceUSD,
-        nok: btcPriceCache.priceNOK,
-        eur: btcPriceCache.priceEUR,
-        sek: btcPriceCache.priceSEK,
-        updatedAt: btcPriceCache.fetchedAt
-      },
-      
-      // Network stats
-      network: {
-        difficulty: networkStatsCache.difficulty,
-        hashrate: networkStatsCache.hashrate,
-        hashrateFormatted: networkStatsCache.hashrateFormatted,
-        blockHeight: networkStatsCache.blockHeight,
-        blockReward: networkStatsCache.blockReward,
-        updatedAt: networkStatsCache.fetchedAt
-      },
-      
-      // Efficiency metrics
-      efficiency,
-      
-      // Debug info - all available API data
-      _debug: {
-        // GraphQL API
-        graphqlAvailable: graphqlData?.data ? true : false,
-        graphqlRootFields: graphqlData?._availableFields || [],
-        graphqlBosminerFields: graphqlData?._bosminerFields || [],
-        graphqlBosFields: graphqlData?._bosFields || [],
-        graphqlTemps: graphqlData?.data?.temperatures || graphqlData?.data?.bosminer?.hashChains || [],
-        graphqlFans: graphqlData?.data?.fans || graphqlData?.data?.bosminer?.fans || [],
-        graphqlRawData: graphqlData?.data ? JSON.stringify(graphqlData.data).substring(0, 500) : null,
+// ============================================================================
+// Thermostat
+// ============================================================================
+// A miner with a thermostat follows a room sensor. A hysteresis (on/off) or PI
+// controller turns the temperature error into a demand between 0 and 1, which
+// picks a profile in the miner's min-max range. Cheap power raises the setpoint
+// a little and expensive power lowers it, so the room stores heat while it's cheap.
+// The thermostat takes precedence over the heating plan and the price rules.
+
+function getThermostatSettings(miner) {
+  const settings = miner?.thermostat;
+  if (!settings?.enabled) return null;
+  return {
+    sensor: settings.sensor,
+    setpoint: settings.setpoint ?? 21,
+    mode: settings.mode || 'hysteresis',
+    hysteresis: settings.hysteresis ?? 0.5,
+    kp: settings.kp ?? 0.5,     // demand per °C of error
+    ki: settings.ki ?? 0.2,     // demand per °C·hour of error
+    minProfile: settings.minProfile || 'low',
+    maxProfile: settings.maxProfile || 'high',
+    profiles: getProfileRange(miner, settings.minProfile || 'low', settings.maxProfile || 'high'),
+    minDwellMinutes: settings.minDwellMinutes ?? 10,
+    priceShift: settings.priceShift || null   // { cheapBelow, expensiveAbove, degrees }
+  };
+}
 
-        // HTTP API
-        httpApiAvailable: httpApiData ? true : false,
+function validateThermostat(settings) {
+  if (!settings || typeof settings !== 'object') return 'thermostat must be an object';
+  if (settings.enabled && !settings.sensor) return 'Choose a temperature sensor';
+  if (settings.setpoint !== undefined && !(typeof settings.setpoint === 'number' && settings.setpoint >= 5 && settings.setpoint <= 35)) return 'setpoint must be between 5 and 35 °C';
+  if (settings.mode !== undefined && !['hysteresis', 'pi'].includes(settings.mode)) return `Unknown thermostat mode: ${settings.mode}`;
+  for (const field of ['hysteresis', 'kp', 'ki', 'minDwellMinutes']) {
+    if (settings[field] !== undefined && !(typeof settings[field] === 'number' && settings[field] >= 0)) return `${field} must be a non-negative number`;
+  }
+  const minProfile = settings.minProfile || 'low';
+  const maxProfile = settings.maxProfile || 'high';
+  if (!AUTO_PROFILES.includes(minProfile) || !AUTO_PROFILES.includes(maxProfile)) return 'Unknown profile in thermostat range';
+  if (AUTO_PROFILES.indexOf(minProfile) > AUTO_PROFILES.indexOf(maxProfile)) return 'minProfile is above maxProfile';
+  const shift = settings.priceShift;
+  if (shift && !(typeof shift.degrees === 'number' && shift.degrees >= 0)) return 'priceShift.degrees must be a non-negative number';
+  return null;
+}
 
-        // BOSminer Commands
-        bosminer: {
-          summary: summaryData,
-          stats: stats,
-          pools: pools,
-          devs: devs,
-          temps: tempsCmd,
-          fans: fansCmd,
-          devdetails: devdetailsCmd,
-          tunerstatus: tunerstatusCmd
-        },
+/**
+ * Setpoint offset for the current price: +degrees below cheapBelow, -degrees above expensiveAbove
+ */
+function getPriceSetpointShift(settings, price) {
+  const shift = settings.priceShift;
+  if (!shift || typeof price !== 'number') return 0;
+  if (typeof shift.cheapBelow === 'number' && price < shift.cheapBelow) return shift.degrees;
+  if (typeof shift.expensiveAbove === 'number' && price > shift.expensiveAbove) return -shift.degrees;
+  return 0;
+}
 
-        // REST API
-        restApiAvailable: restApiData?.authenticated || false,
-        restApi: restApiData,
+/**
+ * Heat demand (0-1) from the temperature error
+ */
+function updateThermostatDemand(settings, state, temperature, setpoint, now) {
+  const error = setpoint - temperature;
+  if (settings.mode === 'pi') {
+    // Cap the step so a gap in readings doesn't dump a large integral
+    const dtHours = state.lastRunAt ? Math.min(now - state.lastRunAt, 60 * 1000) / 3600000 : 0;
+    // Clamping the integral to the output range keeps it from winding up
+    state.integral = Math.max(0, Math.min(1, (state.integral || 0) + settings.ki * error * dtHours));
+    return Math.max(0, Math.min(1, settings.kp * error + state.integral));
+  }
+  if (temperature < setpoint - settings.hysteresis) return 1;
+  if (temperature > setpoint + settings.hysteresis) return 0;
+  // Inside the band: keep heating or keep resting
+  return state.demand ?? (error > 0 ? 1 : 0);
+}
 
-        // Legacy debug fields
-        statsEntryCount: stats.STATS?.length || 0,
-        allNumericFields: Object.entries(allStatsData)
-          .filter(([k, v]) => typeof v === 'number')
-          .map(([k, v]) => `${k}=${v}`)
-          .slice(0, 30),
-        devsNumericFields: Object.entries(devsData)
-          .filter(([k, v]) => typeof v === 'number')
-          .map(([k, v]) => `${k}=${v}`)
-          .slice(0, 20),
-        tempFields: Object.entries({ ...allStatsData, ...devsData })
-          .filter(([k, v]) => typeof v === 'number' && k.toLowerCase().includes('temp'))
-          .map(([k, v]) => `${k}=${v}`),
-        fanFields: Object.entries({ ...allStatsData, ...devsData })
-          .filter(([k, v]) => typeof v === 'number' && k.toLowerCase().includes('fan'))
-          .map(([k, v]) => `${k}=${v}`)
-      }
+function getDemandProfile(settings, demand) {
+  return settings.profiles[Math.round(demand * (settings.profiles.length - 1))];
+}
+
+/**
+ * Run every miner's thermostat and switch profiles where the demand changed (runs each poll)
+ */
+async function runThermostats(config, minersStats, now = Date.now()) {
+  const loweredByGuard = new Set(capacityState.guard.active ? capacityState.guard.loweredMiners.map(m => m.ip) : []);
+
+  for (const stats of minersStats) {
+    const miner = config.miners.find(m => m.ip === stats.minerIp);
+    const settings = getThermostatSettings(miner);
+    if (!settings) {
+      delete thermostatState[stats.minerIp];
+      continue;
+    }
+    const state = thermostatState[stats.minerIp] = {
+      integral: 0,
+      lastRunAt: 0,
+      lastSwitchAt: 0,
+      ...thermostatState[stats.minerIp]
     };
-  } catch (err) {
-    console.error('getMinerStats error:', err);
-    throw new Error(`Failed to get miner stats: ${err.message}`);
+    if (settings.profiles.length === 0) {
+      state.status = 'unsupported';
+      continue;
+    }
+
+    const reading = getSensorReading(settings.sensor, now);
+    if (!reading) {
+      state.status = 'no-sensor';
+      state.lastRunAt = 0;
+      continue;
+    }
+
+    // Never shift the setpoint on a made-up price
+    const price = stats.electricity?.priceStatus?.state === 'fallback' ? null : stats.electricity?.effectivePrice;
+    const priceShift = getPriceSetpointShift(settings, price);
+    const setpoint = settings.setpoint + priceShift;
+    state.demand = updateThermostatDemand(settings, state, reading.temperature, setpoint, now);
+    state.lastRunAt = now;
+    state.temperature = reading.temperature;
+    state.setpoint = setpoint;
+    state.priceShift = priceShift;
+    state.targetProfile = getDemandProfile(settings, state.demand);
+
+    if (stats.error) {
+      state.status = 'offline';
+      continue;
+    }
+    if (isMinerPaused(stats.minerIp)) {
+      state.status = 'paused';
+      continue;
+    }
+    if (now < (autoProfileState[stats.minerIp]?.overrideUntil || 0)) {
+      state.status = 'override';
+      continue;
+    }
+    if (loweredByGuard.has(stats.minerIp)) {
+      state.status = 'peak-guard';
+      continue;
+    }
+    if (isPowerChangePending(stats.minerIp)) {
+      state.status = 'pending';
+      continue;
+    }
+    state.status = 'active';
+    if (state.targetProfile === stats.powerProfile) continue;
+    if (now - state.lastSwitchAt < settings.minDwellMinutes * 60 * 1000) {
+      state.status = 'dwell';
+      continue;
+    }
+    if (now - (state.lastFailedAt || 0) < Math.max(settings.minDwellMinutes * 60 * 1000, AUTO_PROFILE_RETRY_MS)) {
+      state.status = 'failed';
+      continue;
+    }
+
+    const entry = {
+      timestamp: new Date(now).toISOString(),
+      minerIp: stats.minerIp,
+      minerName: stats.minerName,
+      from: stats.powerProfile,
+      to: state.targetProfile,
+      price: stats.electricity?.effectivePrice ?? null,
+      rule: `thermostat ${reading.temperature.toFixed(1)}°C / ${setpoint.toFixed(1)}°C`
+    };
+    state.status = 'pending';
+    startPowerChange(stats.minerIp, () => setPowerProfile(stats.minerIp, entry.to, miner), result => {
+      // The state object is rebuilt each poll; update the current one
+      const current = thermostatState[stats.minerIp];
+      if (!current) return;
+      if (!result.success) {
+        current.status = 'failed';
+        current.lastFailedAt = now;
+        return;
+      }
+      current.status = 'active';
+      current.lastSwitchAt = now;
+      console.log(`🌡️  Thermostat: ${stats.minerName} ${entry.from} -> ${entry.to} (${entry.rule})`);
+      return recordProfileSwitches([entry], 'thermostat');
+    });
   }
 }
 
-async function setPowerProfile(ip, profile) {
-  const profiles = {
-    low: 2000,
-    medium: 3250,
-    high: 3500
+/**
+ * Thermostat state per miner plus the sensor readings, for the dashboard
+ */
+function getThermostatSummary(config, now = Date.now()) {
+  return {
+    ...getSensorSummary(now),
+    miners: (config.miners || []).filter(miner => getThermostatSettings(miner)).map(miner => {
+      const settings = getThermostatSettings(miner);
+      const state = thermostatState[miner.ip] || {};
+      return {
+        ip: miner.ip,
+        name: miner.name,
+        sensor: settings.sensor,
+        mode: settings.mode,
+        status: state.status || 'no-sensor',
+        temperature: state.temperature ?? null,
+        baseSetpoint: settings.setpoint,
+        setpoint: state.setpoint ?? settings.setpoint,
+        priceShift: state.priceShift || 0,
+        demand: state.demand ?? null,
+        targetProfile: state.targetProfile || null
+      };
+    })
   };
+}
 
-  const targetPower = profiles[profile];
-  
-  try {
-    await sendCGMinerCommand(ip, {
-      command: 'ascset',
-      parameter: `0,power,${targetPower}`
-    });
-    
-    console.log(`Power profile set to ${profile} (${targetPower}W)`);
-    return { success: true, profile, power: targetPower };
-  } catch (err) {
-    console.error('setPowerProfile error:', err);
-    return { 
-      success: true, 
-      profile, 
-      power: targetPower, 
-      note: 'Command sent but response uncertain'
+// ============================================================================
+// Miner Groups
+// ============================================================================
+// Named groups such as rooms or locations (config.groups: [{ id, name }]). Each
+// miner belongs to at most one group through its `group` id. Group actions run
+// the per-miner action on every member and report how each one went.
+
+const GROUP_ACTIONS = ['profile', 'pause', 'resume', 'schedule'];
+
+/**
+ * Stable id from a group name, e.g. "Living room" -> "living-room"
+ */
+function makeGroupId(name, groups) {
+  const base = name.toLowerCase()
+    .replace(/[æ]/g, 'ae').replace(/[ø]/g, 'o').replace(/[å]/g, 'a')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'group';
+  let id = base;
+  for (let n = 2; groups.some(g => g.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+function getGroupMembers(config, groupId) {
+  return (config.miners || []).filter(m => m.group === groupId);
+}
+
+/**
+ * Totals per group from the latest poll: hashrate, power, heat and electricity cost
+ */
+function getGroupSummary(config, minersStats) {
+  return (config.groups || []).map(group => {
+    const members = getGroupMembers(config, group.id);
+    const stats = minersStats.filter(s => members.some(m => m.ip === s.minerIp));
+    const online = stats.filter(s => !s.error);
+    const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+    const powerW = sum(online.map(s => s.powerDraw));
+
+    return {
+      id: group.id,
+      name: group.name,
+      miners: members.map(m => m.ip),
+      online: online.length,
+      paused: stats.filter(s => s.pause?.paused).length,
+      hashrate: sum(online.map(s => s.hashrate)),
+      powerW,
+      // Every watt a miner draws ends up as heat in the room
+      heatKwhPerDay: powerW * 24 / 1000,
+      dailyCost: sum(online.map(s => s.efficiency?.dailyElectricityCost)),
+      dailyProfit: sum(online.map(s => s.efficiency?.dailyProfit))
     };
+  });
+}
+
+function validateGroupAction(body) {
+  if (!GROUP_ACTIONS.includes(body.action)) return `Unknown group action: ${body.action}`;
+  if (body.action === 'profile' && typeof body.profile !== 'string') return 'profile is required';
+  if (body.action === 'schedule') {
+    if (body.sleepWindows === undefined && body.heatingPlan === undefined) return 'schedule needs sleepWindows or heatingPlan';
+    if (body.sleepWindows !== undefined) {
+      const sleepError = validateSleepWindows(body.sleepWindows || []);
+      if (sleepError) return sleepError;
+    }
+    if (body.heatingPlan) {
+      const planError = validateHeatingPlan(body.heatingPlan);
+      if (planError) return planError;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run one action on every member of a group. The caller saves the config
+ * @returns {Array} - [{ ip, name, success, error? }]
+ */
+/**
+ * One group member's part of a group action: { ip, name, success, busy?, error }
+ */
+async function runGroupMemberAction(config, miner, body) {
+  let result = { success: true };
+
+  if (body.action === 'profile') {
+    if (isPowerChangePending(miner.ip)) {
+      // Don't race a scheduler, planner or thermostat change that is still being confirmed
+      result = { success: false, busy: true, error: 'A power change is still being confirmed on this miner' };
+    } else if (!getMinerPowerProfiles(miner)[body.profile]) {
+      result = { success: false, error: `No profile ${body.profile} on this miner` };
+    } else {
+      result = await setPowerProfile(miner.ip, body.profile, miner);
+      if (result.success) {
+        miner.powerProfile = body.profile;
+        delete miner.powerTargetW;
+        setAutoProfileOverride(config, miner.ip);
+      }
+    }
+  } else if (body.action === 'pause' || body.action === 'resume') {
+    result = await setManualPause(config, miner, body.action === 'pause');
+  } else if (body.action === 'schedule') {
+    if (body.sleepWindows !== undefined) miner.sleepWindows = body.sleepWindows || [];
+    if (body.heatingPlan === null) {
+      delete miner.heatingPlan;
+    } else if (body.heatingPlan !== undefined) {
+      miner.heatingPlan = body.heatingPlan;
+    }
+  }
+
+  return { ip: miner.ip, name: miner.name, success: !!result.success, busy: !!result.busy, error: result.error };
+}
+
+async function runGroupAction(config, group, body) {
+  const members = getGroupMembers(config, group.id);
+  // A profile change waits for its readback (up to 20 s per miner), so members switch side
+  // by side; pause and resume share the pause state file and go one at a time
+  let results;
+  if (body.action === 'profile') {
+    results = await Promise.all(members.map(miner => runGroupMemberAction(config, miner, body)));
+  } else {
+    results = [];
+    for (const miner of members) {
+      results.push(await runGroupMemberAction(config, miner, body));
+    }
   }
+
+  const failed = results.filter(r => !r.success).length;
+  console.log(`👥 Group ${group.name}: ${body.action} on ${results.length} miners${failed ? ` (${failed} failed)` : ''}`);
+  return results;
 }
 
 // ============================================================================
@@ -2209,6 +7271,15 @@ async function loadConfig() {
       await saveConfig(config);
     }
 
+    // Miners added before there were drivers all run Braiins OS
+    if ((config.miners || []).some(m => !m.driver)) {
+      for (const miner of config.miners) {
+        miner.driver = miner.driver || DEFAULT_MINER_DRIVER;
+      }
+      await saveConfig(config);
+    }
+
+    indexMinerDrivers(config);
     return config;
   } catch (err) {
     if (err.code === 'ENOENT') {
@@ -2235,7 +7306,25 @@ async function loadConfig() {
 
 async function saveConfig(config) {
   await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
-  console.log('Configuration saved:', config);
+  indexMinerDrivers(config);
+  console.log('Configuration saved:', redactConfig(config));
+}
+
+/**
+ * The config as sent to clients and logged: secrets are replaced by has* flags.
+ * Routes that update the config keep a stored secret when the client omits it
+ */
+function redactConfig(config) {
+  const { entsoeApiKey, ...rest } = config;
+  const redacted = { ...rest, hasEntsoeApiKey: !!entsoeApiKey };
+  if (config.miners) {
+    redacted.miners = config.miners.map(({ password, ...miner }) => ({ ...miner, hasPassword: !!password }));
+  }
+  if (config.sensors?.mqtt) {
+    const { password, ...mqtt } = config.sensors.mqtt;
+    redacted.sensors = { ...config.sensors, mqtt: { ...mqtt, hasPassword: !!password } };
+  }
+  return redacted;
 }
 
 async function loadHistory() {
@@ -2259,10 +7348,13 @@ async function saveHistoryEntry(stats) {
       timestamp: new Date().toISOString(),
       minerIp: stats.minerIp,
       minerName: stats.minerName,
+      group: stats.group,
       hashrate: stats.hashrate,
       power: stats.powerDraw,
       temperature: stats.temperature,
       electricityPrice: stats.electricity?.effectivePrice,
+      dailyCost: stats.efficiency?.dailyElectricityCost,
+      hourlyCost: stats.efficiency?.hourlyElectricityCost,
       btcPrice: stats.btcPrice?.nok,
       networkDifficulty: stats.network?.difficulty,
       dailyProfit: stats.efficiency?.dailyProfit,
@@ -2279,6 +7371,110 @@ async function saveHistoryEntry(stats) {
   }
 }
 
+// ============================================================================
+// Audit Log
+// ============================================================================
+// Configuration changes and control actions, appended one JSON object per line
+// to audit.jsonl and never rewritten. Each entry says where the change came
+// from (ui, api, scheduler, planner, thermostat, peak-guard), who made it (the
+// client address for requests) and the values before and after.
+
+const AUDIT_SOURCES = ['ui', 'api', 'scheduler', 'planner', 'thermostat', 'peak-guard'];
+const AUDIT_SECRET_KEYS = /password|apikey|token|secret/i;
+
+let auditWriteQueue = Promise.resolve();
+
+/**
+ * Append an entry: { source, actor?, action, target?, changes?, details? }
+ */
+function appendAudit(entry) {
+  const line = JSON.stringify(redactAuditValue({ timestamp: new Date().toISOString(), ...entry })) + '\n';
+  // Chained so entries land in the order they were made
+  auditWriteQueue = auditWriteQueue
+    .then(() => fs.appendFile(AUDIT_FILE, line))
+    .catch(err => console.error('Failed to write audit log:', err.message));
+  return auditWriteQueue;
+}
+
+// Everything below a secret-looking key is masked, including its { old, new } pair
+function redactAuditValue(value, secret = false) {
+  if (Array.isArray(value)) return value.map(v => redactAuditValue(v, secret));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, redactAuditValue(v, secret || AUDIT_SECRET_KEYS.test(key))]));
+  }
+  return secret && typeof value === 'string' && value ? '***' : value;
+}
+
+/**
+ * Source and actor of a request. Calls made from the dashboard page carry it as Referer
+ */
+function getRequestAudit(req) {
+  let source = 'api';
+  try {
+    if (req.get('Referer') && new URL(req.get('Referer')).host === req.get('Host')) source = 'ui';
+  } catch (err) {
+    // Unparseable Referer: treat as a plain API call
+  }
+  return { source, actor: req.ip };
+}
+
+/**
+ * The fields that differ, as { field: { old, new } }
+ */
+function diffAuditValues(before, after, ignore = []) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    if (ignore.includes(key)) continue;
+    if (JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])) {
+      changes[key] = { old: before?.[key] ?? null, new: after?.[key] ?? null };
+    }
+  }
+  return changes;
+}
+
+function auditRequest(req, action, target, changes, details) {
+  return appendAudit({ ...getRequestAudit(req), action, target, changes, details });
+}
+
+const auditMinerTarget = (miner, ip) => ({ ip: miner?.ip || ip, name: miner?.name });
+
+/**
+ * One page of the log, newest first. Filters: ip, source, action (prefix)
+ */
+async function readAuditLog({ page = 1, limit = 50, ip, source, action } = {}) {
+  let lines = [];
+  try {
+    lines = (await fs.readFile(AUDIT_FILE, 'utf8')).split('\n');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // A line cut short by a crash; the rest of the log is still good
+    }
+  }
+
+  const matching = entries.filter(entry =>
+    (!ip || entry.target?.ip === ip) &&
+    (!source || entry.source === source) &&
+    (!action || entry.action?.startsWith(action))
+  ).reverse();
+
+  const pages = Math.max(1, Math.ceil(matching.length / limit));
+  return {
+    entries: matching.slice((page - 1) * limit, page * limit),
+    total: matching.length,
+    page,
+    pages,
+    limit
+  };
+}
+
 // ============================================================================
 // API Routes
 // ============================================================================
@@ -2290,9 +7486,17 @@ app.get('/health', (req, res) => {
 app.get('/api/electricity/zones', (req, res) => {
   const zones = {};
   for (const [countryCode, country] of Object.entries(ELECTRICITY_ZONES)) {
+    const provider = PRICE_PROVIDERS[country.provider];
     zones[countryCode] = {
       name: country.name,
       currency: country.currency,
+      vatRate: country.vatRate,
+      timezone: country.timezone,
+      provider: country.provider,
+      providerName: provider?.name,
+      requiresApiKey: !!provider?.requiresApiKey,
+      priceModes: country.priceModes,
+      defaultPriceMode: country.defaultPriceMode,
       zones: Object.entries(country.zones).map(([code, zone]) => ({
         code,
         name: zone.name,
@@ -2300,64 +7504,341 @@ app.get('/api/electricity/zones', (req, res) => {
       }))
     };
   }
-  res.json(zones);
+  res.json(zones);
+});
+
+app.get('/api/grid-tariffs', (req, res) => {
+  const presets = Object.entries(GRID_TARIFF_PRESETS).map(([id, tariff]) => ({
+    id,
+    name: tariff.name,
+    description: tariff.description,
+    holidays: tariff.holidays || null,
+    periods: tariff.periods,
+    defaultPeriod: tariff.defaultPeriod,
+    seasons: tariff.seasons,
+    components: tariff.components,
+    vatIncluded: tariff.vatIncluded
+  }));
+  res.json({ presets });
+});
+
+app.get('/api/miner/stats', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const ip = req.query.ip || config.minerIP;
+    
+    if (!ip) {
+      return res.status(400).json({ error: 'No miner IP configured' });
+    }
+
+    const stats = await getMinerStats(ip, config);
+    res.json(stats);
+  } catch (err) {
+    console.error('API stats error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/miner/power', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const ip = req.body.ip;
+    const profile = req.body.profile;
+    const watts = req.body.watts !== undefined ? Number(req.body.watts) : null;
+
+    if (!ip) {
+      return res.status(400).json({ error: 'No miner IP provided' });
+    }
+
+    const miner = config.miners.find(m => m.ip === ip);
+    const before = { powerProfile: miner?.powerProfile, powerTargetW: miner?.powerTargetW };
+    let result;
+    if (watts !== null) {
+      const driver = getMinerDriver(miner);
+      if (!driver.capabilities.powerTarget) {
+        return res.status(400).json({ error: `${driver.name} is tuned with presets, not watt targets` });
+      }
+      // Any wattage inside the miner's own limits
+      const limits = getMinerPowerLimits(miner);
+      if (!Number.isFinite(watts) || watts < limits.minW || watts > limits.maxW) {
+        return res.status(400).json({ error: `Power target must be between ${limits.minW} and ${limits.maxW} W for this miner` });
+      }
+      result = await setPowerTarget(ip, Math.round(watts));
+      if (!result.success) {
+        return res.status(502).json({ ...result, error: `Power target not confirmed: ${result.error}` });
+      }
+      if (miner) {
+        miner.powerProfile = 'custom';
+        miner.powerTargetW = Math.round(watts);
+      }
+    } else {
+      if (!getMinerPowerProfiles(miner)[profile]) {
+        return res.status(400).json({ error: 'Invalid power profile' });
+      }
+      result = await setPowerProfile(ip, profile, miner);
+      if (!result.success) {
+        return res.status(502).json({ ...result, error: `Power profile not confirmed: ${result.error}` });
+      }
+      if (miner) {
+        miner.powerProfile = profile;
+        delete miner.powerTargetW;
+      }
+    }
+
+    // Update the miner's power profile in config
+    if (miner) {
+      await saveConfig(config);
+    }
+
+    // A manual choice pauses the price scheduler for this miner
+    setAutoProfileOverride(config, ip);
+
+    auditRequest(req, 'miner.power', auditMinerTarget(miner, ip), watts !== null
+      ? diffAuditValues(before, { powerProfile: 'custom', powerTargetW: Math.round(watts) })
+      : diffAuditValues(before, { powerProfile: profile }));
+
+    res.json(result);
+  } catch (err) {
+    console.error('API power error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pause or resume hashing by hand (a resume overrides a running sleep window or price pause)
+app.post('/api/miner/pause', (req, res) => handleManualPause(req, res, true));
+app.post('/api/miner/resume', (req, res) => handleManualPause(req, res, false));
+
+async function handleManualPause(req, res, paused) {
+  try {
+    const config = await loadConfig();
+    const miner = config.miners.find(m => m.ip === req.body.ip);
+
+    if (!miner) {
+      return res.status(404).json({ error: 'Miner not found' });
+    }
+
+    const result = await setManualPause(config, miner, paused);
+    if (!result.success) {
+      return res.status(result.busy ? 409 : 502).json({ ...result, error: `Could not ${result.action} miner: ${result.error}` });
+    }
+
+    await saveConfig(config);
+    console.log(paused ? `⏸️  ${miner.name} paused by hand` : `▶️  ${miner.name} resumed by hand`);
+    auditRequest(req, paused ? 'miner.pause' : 'miner.resume', auditMinerTarget(miner));
+    res.json({ ...result, pause: pauseState[miner.ip] });
+  } catch (err) {
+    console.error('API pause error:', err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Reboot, restart bosminer or locate ({ ip, action, enable? })
+app.post('/api/miner/maintenance', async (req, res) => {
+  try {
+    const { ip, action } = req.body;
+    if (!MAINTENANCE_ACTIONS[action]) {
+      return res.status(400).json({ error: `Invalid action: use ${Object.keys(MAINTENANCE_ACTIONS).join(', ')}` });
+    }
+
+    const config = await loadConfig();
+    const miner = config.miners.find(m => m.ip === ip);
+    if (!miner) {
+      return res.status(404).json({ error: 'Miner not found' });
+    }
+
+    const result = await runMaintenanceAction(miner, action, req.body);
+    if (result.busy) {
+      return res.status(409).json(result);
+    }
+    if (!result.success) {
+      return res.status(502).json({ ...result, error: `Could not ${action} miner: ${result.error}` });
+    }
+
+    console.log(`🔧 ${miner.name}: ${action}${action === 'locate' ? (req.body.enable === false ? ' off' : ' on') : ''} sent via ${result.via}`);
+    auditRequest(req, `miner.${action}`, auditMinerTarget(miner), undefined, action === 'locate' ? { enable: req.body.enable !== false } : undefined);
+    res.json(result);
+  } catch (err) {
+    console.error('API maintenance error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.get('/api/miner/stats', async (req, res) => {
+// Pool groups as the miner reports them
+app.get('/api/miner/pools', async (req, res) => {
   try {
     const config = await loadConfig();
-    const ip = req.query.ip || config.minerIP;
-    
-    if (!ip) {
-      return res.status(400).json({ error: 'No miner IP configured' });
+    const miner = config.miners.find(m => m.ip === req.query.ip);
+    if (!miner) {
+      return res.status(404).json({ error: 'Miner not found' });
     }
+    res.json({ ip: miner.ip, ...await getMinerPools(miner.ip) });
+  } catch (err) {
+    console.error('API pools error:', err);
+    res.status(502).json({ error: `Could not read pools: ${err.message}` });
+  }
+});
 
-    const stats = await getMinerStats(ip, config);
-    res.json(stats);
+// Replace a miner's pool groups ({ ip, groups })
+app.post('/api/miner/pools', async (req, res) => {
+  try {
+    const { ip, groups } = req.body;
+    const config = await loadConfig();
+    const miner = config.miners.find(m => m.ip === ip);
+    if (!miner) {
+      return res.status(404).json({ error: 'Miner not found' });
+    }
+
+    const poolError = validatePoolGroups(groups);
+    if (poolError) {
+      return res.status(400).json({ error: `Invalid pools: ${poolError}` });
+    }
+
+    const before = await getMinerPools(ip).catch(() => null);
+    const result = await setMinerPools(ip, groups);
+    if (!result.success) {
+      return res.status(502).json({ ...result, error: `Pools not applied: ${result.error}` });
+    }
+    auditRequest(req, 'miner.pools', auditMinerTarget(miner), { pools: { old: before?.groups ?? null, new: groups } });
+
+    console.log(`🏊 ${miner.name}: pools updated (${groups.map(g => `${g.name}: ${g.pools.length}`).join(', ')})`);
+    res.json(result);
   } catch (err) {
-    console.error('API stats error:', err);
+    console.error('API pools error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/miner/power', async (req, res) => {
+// Copy one miner's pool groups to the others ({ sourceIp, targetIps? })
+app.post('/api/pools/copy', async (req, res) => {
   try {
+    const { sourceIp, targetIps } = req.body;
     const config = await loadConfig();
-    const ip = req.body.ip;
-    const profile = req.body.profile;
-
-    if (!ip) {
-      return res.status(400).json({ error: 'No miner IP provided' });
+    const source = config.miners.find(m => m.ip === sourceIp);
+    if (!source) {
+      return res.status(404).json({ error: 'Source miner not found' });
+    }
+    if (!getMinerDriver(source).capabilities.pools) {
+      return res.status(400).json({ error: `${getMinerDriver(source).name} does not support pool management` });
     }
 
-    if (!['low', 'medium', 'high'].includes(profile)) {
-      return res.status(400).json({ error: 'Invalid power profile' });
+    // Without a list, copy to every other miner whose firmware manages pools
+    const targets = config.miners.filter(m => m.ip !== sourceIp &&
+      (targetIps ? targetIps.includes(m.ip) : getMinerDriver(m).capabilities.pools));
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'No miners to copy to' });
     }
 
-    const result = await setPowerProfile(ip, profile);
+    // Miners do not report pool passwords, so the copies get the default one
+    const { groups } = await getMinerPools(sourceIp);
+    const copied = groups.map(group => ({
+      name: group.name,
+      quota: group.quota,
+      pools: group.pools.map(pool => ({ url: pool.url, user: pool.user, enabled: pool.enabled }))
+    }));
+    const poolError = validatePoolGroups(copied);
+    if (poolError) {
+      return res.status(400).json({ error: `Invalid pools on ${source.name}: ${poolError}` });
+    }
 
-    // Update the miner's power profile in config
-    const miner = config.miners.find(m => m.ip === ip);
-    if (miner) {
-      miner.powerProfile = profile;
-      await saveConfig(config);
+    const results = [];
+    for (const miner of targets) {
+      try {
+        const result = await setMinerPools(miner.ip, copied);
+        results.push({ ip: miner.ip, name: miner.name, success: result.success, error: result.error });
+      } catch (err) {
+        results.push({ ip: miner.ip, name: miner.name, success: false, error: err.message });
+      }
     }
 
-    res.json(result);
+    const applied = results.filter(r => r.success).length;
+    console.log(`🏊 Pools copied from ${source.name} to ${applied}/${results.length} miners`);
+    auditRequest(req, 'miner.pools.copy', auditMinerTarget(source), { pools: { old: null, new: copied } }, { results });
+    res.json({ success: applied === results.length, groups: copied, results });
   } catch (err) {
-    console.error('API power error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('API pools copy error:', err);
+    res.status(502).json({ error: `Could not copy pools: ${err.message}` });
   }
 });
 
 app.post('/api/config', async (req, res) => {
   try {
-    console.log('Received config POST:', req.body);
+    console.log('Received config POST:', redactConfig(req.body));
     const existingConfig = await loadConfig();
 
     const newIP = req.body.minerIP || req.body.minerIp;
     const newCountry = req.body.country || existingConfig.country || 'norway';
     const newZone = req.body.electricityZone || existingConfig.electricityZone || 'NO5';
+    // Empty timezone means "use the price country's timezone"
+    const newTimezone = req.body.timezone !== undefined ? req.body.timezone : existingConfig.timezone;
+
+    if (newTimezone && !isValidTimezone(newTimezone)) {
+      return res.status(400).json({ error: `Unknown timezone: ${newTimezone}` });
+    }
+
+    const newCapacityTariff = req.body.capacityTariff !== undefined ? req.body.capacityTariff : existingConfig.capacityTariff;
+    if (newCapacityTariff?.guard?.profile && !['low', 'medium', 'high'].includes(newCapacityTariff.guard.profile)) {
+      return res.status(400).json({ error: 'Invalid peak guard profile' });
+    }
+    if (newCapacityTariff?.householdLoadW !== undefined && !(newCapacityTariff.householdLoadW >= 0)) {
+      return res.status(400).json({ error: 'householdLoadW must be a non-negative number' });
+    }
+
+    const newNorgespris = req.body.norgespris !== undefined ? req.body.norgespris : existingConfig.norgespris;
+    if (newNorgespris?.monthlyCapKwh !== undefined && !(newNorgespris.monthlyCapKwh > 0)) {
+      return res.status(400).json({ error: 'Norgespris monthlyCapKwh must be a positive number' });
+    }
+
+    const newFallbackPrice = req.body.fallbackPrice !== undefined ? req.body.fallbackPrice : existingConfig.fallbackPrice;
+    if (newFallbackPrice !== undefined && newFallbackPrice !== null && !(typeof newFallbackPrice === 'number' && newFallbackPrice >= 0)) {
+      return res.status(400).json({ error: 'fallbackPrice must be a non-negative number' });
+    }
+
+    const newAutoProfile = req.body.autoProfile !== undefined ? req.body.autoProfile : existingConfig.autoProfile;
+    if (newAutoProfile) {
+      const autoProfileError = validateAutoProfileConfig(newAutoProfile);
+      if (autoProfileError) {
+        return res.status(400).json({ error: `Invalid auto profile settings: ${autoProfileError}` });
+      }
+    }
+
+    const newSensors = req.body.sensors !== undefined ? req.body.sensors : existingConfig.sensors;
+    if (newSensors?.mqtt && newSensors.mqtt.password === undefined && existingConfig.sensors?.mqtt?.password) {
+      newSensors.mqtt.password = existingConfig.sensors.mqtt.password;
+    }
+    if (newSensors) {
+      const sensorError = validateSensorConfig(newSensors);
+      if (sensorError) {
+        return res.status(400).json({ error: `Invalid sensor settings: ${sensorError}` });
+      }
+    }
+
+    const newContracts = req.body.contracts !== undefined ? req.body.contracts : existingConfig.contracts;
+    const newContractId = req.body.contractId !== undefined ? req.body.contractId : existingConfig.contractId;
+    if (newContracts !== undefined && !Array.isArray(newContracts)) {
+      return res.status(400).json({ error: 'contracts must be a list' });
+    }
+    for (const contract of newContracts || []) {
+      const contractError = validateContract(contract);
+      if (contractError) {
+        return res.status(400).json({ error: `Invalid contract: ${contractError}` });
+      }
+    }
+    if (new Set((newContracts || []).map(c => c.id)).size !== (newContracts || []).length) {
+      return res.status(400).json({ error: 'Contract ids must be unique' });
+    }
+    if (req.body.priceMode === 'contract' && !(newContracts || []).some(c => c.id === newContractId)) {
+      return res.status(400).json({ error: 'Select a contract for the contract price mode' });
+    }
+
+    const newGridTariff = req.body.gridTariff !== undefined ? req.body.gridTariff : existingConfig.gridTariff;
+    if (newGridTariff?.preset === 'custom') {
+      const tariffError = validateGridTariff(newGridTariff.tariff);
+      if (tariffError) {
+        return res.status(400).json({ error: `Invalid grid tariff: ${tariffError}` });
+      }
+    } else if (newGridTariff?.preset && newGridTariff.preset !== 'simple' && !GRID_TARIFF_PRESETS[newGridTariff.preset]) {
+      return res.status(400).json({ error: `Unknown grid tariff preset: ${newGridTariff.preset}` });
+    }
 
     const config = {
       ...existingConfig,
@@ -2368,6 +7849,16 @@ app.post('/api/config', async (req, res) => {
       gridFeeWeekdayDay: req.body.gridFeeWeekdayDay ?? existingConfig.gridFeeWeekdayDay ?? 0.50,
       gridFeeWeekendNight: req.body.gridFeeWeekendNight ?? existingConfig.gridFeeWeekendNight ?? 0.30,
       priceMode: req.body.priceMode || existingConfig.priceMode || 'norgespris',
+      entsoeApiKey: req.body.entsoeApiKey ?? existingConfig.entsoeApiKey,
+      timezone: newTimezone || undefined,
+      gridTariff: newGridTariff || undefined,
+      capacityTariff: newCapacityTariff || undefined,
+      norgespris: newNorgespris || undefined,
+      contracts: newContracts || undefined,
+      contractId: newContractId || undefined,
+      fallbackPrice: newFallbackPrice ?? undefined,
+      autoProfile: newAutoProfile || undefined,
+      sensors: newSensors || undefined,
       updatedAt: new Date().toISOString()
     };
 
@@ -2375,10 +7866,13 @@ app.post('/api/config', async (req, res) => {
     delete config.gridFeePerKwh;
 
     await saveConfig(config);
+    auditRequest(req, 'config', null, diffAuditValues(existingConfig, config, ['updatedAt']));
 
     await fetchElectricityPrices(newCountry, newZone);
+    scheduleMidnightPriceRollover();
+    startMqttSensors(config);
 
-    res.json({ success: true, config });
+    res.json({ success: true, config: redactConfig(config) });
   } catch (err) {
     console.error('API config save error:', err);
     res.status(500).json({ error: err.message });
@@ -2388,7 +7882,7 @@ app.post('/api/config', async (req, res) => {
 app.get('/api/config', async (req, res) => {
   try {
     const config = await loadConfig();
-    res.json(config);
+    res.json(redactConfig(config));
   } catch (err) {
     console.error('API config load error:', err);
     res.status(500).json({ error: err.message });
@@ -2403,6 +7897,9 @@ app.post('/api/miners/add', async (req, res) => {
     if (!ip) {
       return res.status(400).json({ error: 'Miner IP is required' });
     }
+    if (req.body.driver && !MINER_DRIVERS[req.body.driver]) {
+      return res.status(400).json({ error: `Unknown driver: ${req.body.driver}` });
+    }
 
     const config = await loadConfig();
 
@@ -2417,15 +7914,23 @@ app.post('/api/miners/add', async (req, res) => {
       return res.status(400).json({ error: 'Miner with this IP already exists' });
     }
 
+    // A miner that doesn't answer yet is added with the default driver
+    const driver = req.body.driver || await detectMinerDriver(ip) || DEFAULT_MINER_DRIVER;
+
     // Add new miner
-    config.miners.push({
+    const miner = {
       ip,
       name: name || `Miner ${config.miners.length + 1}`,
-      powerProfile: 'medium'
-    });
+      powerProfile: 'medium',
+      driver
+    };
+    // Admin password for firmware with signed write commands (Whatsminer)
+    if (req.body.password) miner.password = String(req.body.password);
+    config.miners.push(miner);
 
     await saveConfig(config);
-    res.json({ success: true, config });
+    auditRequest(req, 'miners.add', auditMinerTarget(miner), { miner: { old: null, new: miner } });
+    res.json({ success: true, config: redactConfig(config) });
   } catch (err) {
     console.error('Add miner error:', err);
     res.status(500).json({ error: err.message });
@@ -2442,10 +7947,14 @@ app.post('/api/miners/remove', async (req, res) => {
     }
 
     const config = await loadConfig();
+    const removed = config.miners.find(m => m.ip === ip);
     config.miners = config.miners.filter(m => m.ip !== ip);
 
     await saveConfig(config);
-    res.json({ success: true, config });
+    if (removed) {
+      auditRequest(req, 'miners.remove', auditMinerTarget(removed), { miner: { old: removed, new: null } });
+    }
+    res.json({ success: true, config: redactConfig(config) });
   } catch (err) {
     console.error('Remove miner error:', err);
     res.status(500).json({ error: err.message });
@@ -2455,7 +7964,7 @@ app.post('/api/miners/remove', async (req, res) => {
 // Update miner details
 app.post('/api/miners/update', async (req, res) => {
   try {
-    const { ip, name, powerProfile } = req.body;
+    const { ip, name, powerProfile, heatingPlan, thermostat, profiles, powerLimits, presets, sleepWindows, group, driver, password, expectedHashrate } = req.body;
 
     if (!ip) {
       return res.status(400).json({ error: 'Miner IP is required' });
@@ -2467,12 +7976,88 @@ app.post('/api/miners/update', async (req, res) => {
     if (!miner) {
       return res.status(404).json({ error: 'Miner not found' });
     }
+    const before = JSON.parse(JSON.stringify(miner));
 
     if (name) miner.name = name;
     if (powerProfile) miner.powerProfile = powerProfile;
+    if (driver !== undefined) {
+      if (!MINER_DRIVERS[driver]) {
+        return res.status(400).json({ error: `Unknown driver: ${driver}` });
+      }
+      miner.driver = driver;
+    }
+    if (password === null || password === '') {
+      delete miner.password;
+    } else if (password !== undefined) {
+      miner.password = String(password);
+    }
+    if (expectedHashrate === null || expectedHashrate === '') {
+      delete miner.expectedHashrate;
+    } else if (expectedHashrate !== undefined) {
+      if (!(typeof expectedHashrate === 'number' && expectedHashrate > 0)) {
+        return res.status(400).json({ error: 'expectedHashrate must be a positive number (TH/s)' });
+      }
+      miner.expectedHashrate = expectedHashrate;
+    }
+    if (group === null || group === '') {
+      delete miner.group;
+    } else if (group !== undefined) {
+      if (!(config.groups || []).some(g => g.id === group)) {
+        return res.status(400).json({ error: `Unknown group: ${group}` });
+      }
+      miner.group = group;
+    }
+    if (heatingPlan === null) {
+      delete miner.heatingPlan;
+    } else if (heatingPlan !== undefined) {
+      const planError = validateHeatingPlan(heatingPlan);
+      if (planError) {
+        return res.status(400).json({ error: `Invalid heating plan: ${planError}` });
+      }
+      miner.heatingPlan = heatingPlan;
+    }
+    if (profiles !== undefined || powerLimits !== undefined) {
+      const newProfiles = profiles === undefined ? miner.profiles : profiles || undefined;
+      const newLimits = powerLimits === undefined ? miner.powerLimits : powerLimits || undefined;
+      const powerError = validateMinerPower(newProfiles, newLimits);
+      if (powerError) {
+        return res.status(400).json({ error: `Invalid power settings: ${powerError}` });
+      }
+      miner.profiles = newProfiles;
+      miner.powerLimits = newLimits;
+    }
+    if (presets === null) {
+      delete miner.presets;
+    } else if (presets !== undefined) {
+      if (!getMinerDriver(miner).presets) {
+        return res.status(400).json({ error: `${getMinerDriver(miner).name} uses power targets, not presets` });
+      }
+      const presetError = validateMinerPresets(presets, getMinerDriver(miner));
+      if (presetError) {
+        return res.status(400).json({ error: `Invalid presets: ${presetError}` });
+      }
+      miner.presets = presets;
+    }
+    if (sleepWindows !== undefined) {
+      const sleepError = validateSleepWindows(sleepWindows || []);
+      if (sleepError) {
+        return res.status(400).json({ error: `Invalid sleep windows: ${sleepError}` });
+      }
+      miner.sleepWindows = sleepWindows || [];
+    }
+    if (thermostat === null) {
+      delete miner.thermostat;
+    } else if (thermostat !== undefined) {
+      const thermostatError = validateThermostat(thermostat);
+      if (thermostatError) {
+        return res.status(400).json({ error: `Invalid thermostat: ${thermostatError}` });
+      }
+      miner.thermostat = thermostat;
+    }
 
     await saveConfig(config);
-    res.json({ success: true, config });
+    auditRequest(req, 'miners.update', auditMinerTarget(miner), diffAuditValues(before, miner));
+    res.json({ success: true, config: redactConfig(config) });
   } catch (err) {
     console.error('Update miner error:', err);
     res.status(500).json({ error: err.message });
@@ -2488,24 +8073,34 @@ app.post('/api/miner/test', async (req, res) => {
     }
 
     console.log(`Testing connection to miner at ${ip}`);
-    const summary = await sendCGMinerCommand(ip, { command: 'summary' });
-    const stats = await sendCGMinerCommand(ip, { command: 'stats' });
-    
-    // Log available fields for debugging
-    const statsData = stats.STATS?.[1] || stats.STATS?.[0] || {};
-    console.log('Available stats fields:', Object.keys(statsData));
-    
+    const driver = MINER_DRIVERS[await detectMinerDriver(ip)];
+    if (!driver) {
+      return res.status(502).json({
+        error: `No supported firmware answered at ${ip}`,
+        hint: 'Checked Braiins OS, Whatsminer, AxeOS, LuxOS, VNish and stock Antminer. Make sure port 4028 (CGMiner API) or port 80 (web API) is reachable'
+      });
+    }
+
+    const stats = normalizeMinerStats(await driver.getStats(ip, { ip }));
+    console.log(`Detected ${driver.name} at ${ip}`);
+
     res.json({ 
       success: true, 
-      message: `Successfully connected to miner at ${ip}`,
-      summary: summary.SUMMARY?.[0] || {},
-      availableFields: Object.keys(statsData)
+      message: `Successfully connected to ${driver.name} miner at ${ip}`,
+      stats: {
+        hashrate: stats.hashrate,
+        powerDraw: stats.powerDraw,
+        temperature: stats.temperature,
+        boards: stats.boards.length,
+        poolUrl: stats.poolUrl
+      },
+      driver: { id: driver.id, name: driver.name, capabilities: driver.capabilities }
     });
   } catch (err) {
     console.error('Miner test error:', err);
     res.status(500).json({ 
       error: err.message,
-      hint: 'Make sure the miner is running Braiins OS and port 4028 is accessible'
+      hint: 'Make sure port 4028 is accessible (on Whatsminer, enable the API in WhatsMinerTool)'
     });
   }
 });
@@ -2517,11 +8112,89 @@ app.get('/api/electricity/prices', async (req, res) => {
     const zone = req.query.zone || config.electricityZone || 'NO5';
     
     if (!electricityPriceCache.fetchedAt || 
+        electricityPriceCache.country !== country ||
         electricityPriceCache.zone !== zone ||
         Date.now() - new Date(electricityPriceCache.fetchedAt).getTime() > 30 * 60 * 1000) {
       await fetchElectricityPrices(country, zone);
     }
-    res.json(electricityPriceCache);
+
+    // Rolling horizon: the current price period through the end of the cached data (tomorrow night once published)
+    const now = new Date();
+    refreshCurrentPrice(now);
+    res.json({
+      ...electricityPriceCache,
+      priceStatus: getPriceStatus(config, now),
+      upcoming: electricityPriceCache.prices.filter(p => new Date(p.timeEnd) > now)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upload day-ahead prices (CSV or JSON text) for offline operation
+app.post('/api/electricity/prices/import', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const country = config.country || 'norway';
+    const zone = req.body.zone || config.electricityZone || 'NO5';
+    if (!ELECTRICITY_ZONES[country]?.zones[zone]) {
+      return res.status(400).json({ error: `Unknown zone: ${zone}` });
+    }
+
+    const filename = req.body.filename || 'upload';
+    let periods;
+    try {
+      periods = parsePriceImport(req.body.content, {
+        format: req.body.format || (/\.json$/i.test(filename) ? 'json' : /\.csv$/i.test(filename) ? 'csv' : undefined),
+        timeZone: resolveTimezone(config, country),
+        vatRate: getZoneVatRate(country, zone),
+        vatIncluded: !!req.body.vatIncluded
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    await importPrices(zone, periods, filename);
+    console.log(`📄 Imported ${periods.length} price periods for ${zone} from ${filename}`);
+    res.json({
+      success: true,
+      zone,
+      imported: periods.length,
+      from: periods[0].start,
+      to: periods[periods.length - 1].end,
+      priceStatus: getPriceStatus(config)
+    });
+  } catch (err) {
+    console.error('API price import error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/electricity/prices/import', (req, res) => {
+  const zones = {};
+  for (const [zone, periods] of Object.entries(priceImports.zones)) {
+    if (periods.length === 0) continue;
+    zones[zone] = {
+      periods: periods.length,
+      from: periods[0].start,
+      to: periods[periods.length - 1].end,
+      sources: [...new Set(periods.map(p => p.source))]
+    };
+  }
+  res.json({ zones, watchDir: PRICE_IMPORT_DIR });
+});
+
+app.delete('/api/electricity/prices/import', async (req, res) => {
+  try {
+    const zone = req.query.zone;
+    if (zone) {
+      delete priceImports.zones[zone];
+    } else {
+      priceImports.zones = {};
+    }
+    await savePriceImports();
+    await fetchElectricityPrices(electricityPriceCache.country || 'norway', electricityPriceCache.zone || 'NO5');
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -2556,6 +8229,7 @@ app.get('/api/history', async (req, res) => {
     const history = await loadHistory();
     const days = parseInt(req.query.days) || 7;
     const minerIp = req.query.minerIp;
+    const group = req.query.group;
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - days);
 
@@ -2566,6 +8240,12 @@ app.get('/api/history', async (req, res) => {
       filtered = filtered.filter(e => e.minerIp === minerIp);
     }
 
+    // Filter by group; entries saved before groups existed use the current membership
+    if (group) {
+      const members = getGroupMembers(await loadConfig(), group).map(m => m.ip);
+      filtered = filtered.filter(e => e.group !== undefined ? e.group === group : members.includes(e.minerIp));
+    }
+
     res.json({ entries: filtered });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -2586,11 +8266,13 @@ app.get('/api/alerts/history', async (req, res) => {
 app.post('/api/alerts/config', async (req, res) => {
   try {
     const config = await loadConfig();
+    const before = config.alerts;
     config.alerts = {
       ...config.alerts,
       ...req.body
     };
     await saveConfig(config);
+    auditRequest(req, 'alerts.config', null, diffAuditValues(before, config.alerts));
     res.json({ success: true, alerts: config.alerts });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -2607,6 +8289,218 @@ app.post('/api/alerts/clear', async (req, res) => {
   }
 });
 
+// Audit log, newest first ({ page, limit, ip, source, action })
+app.get('/api/audit', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+    if (req.query.source && !AUDIT_SOURCES.includes(req.query.source)) {
+      return res.status(400).json({ error: `Unknown source: use ${AUDIT_SOURCES.join(', ')}` });
+    }
+    res.json(await readAuditLog({ page, limit, ip: req.query.ip, source: req.query.source, action: req.query.action }));
+  } catch (err) {
+    console.error('API audit error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Capacity tariff peaks and peak guard state
+app.get('/api/capacity', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    res.json(getCapacitySummary(config));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Price-driven profile scheduler state and recent switches
+app.get('/api/auto-profile', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    res.json({ ...getAutoProfileSummary(config), log: autoProfileLog.slice().reverse() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End a manual override so the scheduler takes over again on the next poll
+app.post('/api/auto-profile/resume', (req, res) => {
+  const ip = req.body.ip;
+  if (!ip) {
+    return res.status(400).json({ error: 'No miner IP provided' });
+  }
+  if (autoProfileState[ip]) {
+    autoProfileState[ip].overrideUntil = 0;
+    autoProfileState[ip].lastSwitchAt = 0;
+  }
+  res.json({ success: true });
+});
+
+// Groups with their members and totals from the latest poll
+app.get('/api/groups', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    res.json({ groups: getGroupSummary(config, minerStatsCache.miners) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a group ({ name }) or rename one ({ id, name })
+app.post('/api/groups', async (req, res) => {
+  try {
+    const { id } = req.body;
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Group name is required' });
+    }
+
+    const config = await loadConfig();
+    config.groups = config.groups || [];
+    let group = config.groups.find(g => g.id === id);
+    if (id && !group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const oldName = group?.name ?? null;
+    if (group) {
+      group.name = name;
+    } else {
+      group = { id: makeGroupId(name, config.groups), name };
+      config.groups.push(group);
+    }
+
+    await saveConfig(config);
+    auditRequest(req, 'groups.save', { group: group.id }, { name: { old: oldName, new: name } });
+    res.json({ success: true, group, config: redactConfig(config) });
+  } catch (err) {
+    console.error('Save group error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a group; its miners become ungrouped
+app.post('/api/groups/remove', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    const removed = (config.groups || []).find(g => g.id === req.body.id);
+    const members = getGroupMembers(config, req.body.id).map(m => m.ip);
+    config.groups = (config.groups || []).filter(g => g.id !== req.body.id);
+    for (const miner of getGroupMembers(config, req.body.id)) {
+      delete miner.group;
+    }
+    await saveConfig(config);
+    if (removed) {
+      auditRequest(req, 'groups.remove', { group: removed.id }, { group: { old: { ...removed, members }, new: null } });
+    }
+    res.json({ success: true, config: redactConfig(config) });
+  } catch (err) {
+    console.error('Remove group error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a group's members in one go ({ id, ips })
+app.post('/api/groups/members', async (req, res) => {
+  try {
+    const { id, ips } = req.body;
+    if (!Array.isArray(ips)) {
+      return res.status(400).json({ error: 'ips must be a list' });
+    }
+
+    const config = await loadConfig();
+    if (!(config.groups || []).some(g => g.id === id)) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const before = getGroupMembers(config, id).map(m => m.ip);
+    for (const miner of config.miners) {
+      if (ips.includes(miner.ip)) {
+        miner.group = id;
+      } else if (miner.group === id) {
+        delete miner.group;
+      }
+    }
+
+    await saveConfig(config);
+    auditRequest(req, 'groups.members', { group: id }, { members: { old: before, new: getGroupMembers(config, id).map(m => m.ip) } });
+    res.json({ success: true, config: redactConfig(config) });
+  } catch (err) {
+    console.error('Group members error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a profile, pause, resume or apply a schedule on every miner in a group
+app.post('/api/groups/action', async (req, res) => {
+  try {
+    const actionError = validateGroupAction(req.body);
+    if (actionError) {
+      return res.status(400).json({ error: `Invalid group action: ${actionError}` });
+    }
+
+    const config = await loadConfig();
+    const group = (config.groups || []).find(g => g.id === req.body.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const results = await runGroupAction(config, group, req.body);
+    await saveConfig(config);
+    const { id, ...action } = req.body;
+    auditRequest(req, 'groups.action', { group: group.id }, undefined, { ...action, results });
+    res.json({ success: results.every(r => r.success), results });
+  } catch (err) {
+    console.error('Group action error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Today's and tomorrow's heating plan per miner, with the profile for every price period
+app.get('/api/heating-plan', async (req, res) => {
+  try {
+    const config = await loadConfig();
+    buildHeatingPlans(config);
+    res.json(getHeatingPlanSummary(config, Date.now(), { includeSlots: true }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Room temperature from a sensor bridge (Home Assistant, ESPHome, a script...)
+app.post('/api/sensors/temperature', (req, res) => {
+  const readings = Array.isArray(req.body.readings) ? req.body.readings : [req.body];
+
+  for (const reading of readings) {
+    if (!reading.sensor || typeof reading.sensor !== 'string') {
+      return res.status(400).json({ error: 'sensor is required' });
+    }
+    if (!Number.isFinite(Number(reading.temperature))) {
+      return res.status(400).json({ error: 'temperature must be a number' });
+    }
+  }
+
+  for (const reading of readings) {
+    recordSensorReading(reading.sensor, Number(reading.temperature), 'http');
+  }
+  res.json({ success: true, received: readings.length });
+});
+
+app.get('/api/sensors', (req, res) => {
+  res.json(getSensorSummary());
+});
+
+// Household load from a meter reader (e.g. HAN port), counted on top of the miners
+app.post('/api/capacity/household-load', (req, res) => {
+  const watts = Number(req.body.watts);
+
+  if (!Number.isFinite(watts) || watts < 0) {
+    return res.status(400).json({ error: 'watts must be a non-negative number' });
+  }
+
+  householdLoadReading = { watts, receivedAt: Date.now() };
+  res.json({ success: true, watts });
+});
+
 // ============================================================================
 // Background Miner Polling
 // ============================================================================
@@ -2621,7 +8515,15 @@ async function pollMiners() {
   minerStatsCache.isPolling = true;
 
   try {
+    // Profile changes confirmed in the background since the last poll are saved first
+    await profileSwitchSaveQueue;
     const config = await loadConfig();
+    refreshCurrentPrice();
+    minerStatsCache.pricing = {
+      ...getEffectivePrice(config),
+      stromstotte: hasStromstotte(config) ? getSubsidySummary(config) : null,
+      norgespris: resolvePriceMode(config) === 'norgespris' ? getNorgesprisSummary(config) : null
+    };
 
     if (!config.miners || config.miners.length === 0) {
       minerStatsCache.miners = [];
@@ -2638,21 +8540,44 @@ async function pollMiners() {
           ...stats,
           minerIp: miner.ip,
           minerName: miner.name,
-          powerProfile: miner.powerProfile
+          group: miner.group || null,
+          powerProfile: miner.powerProfile,
+          powerTarget: getMinerPowerTarget(miner),
+          powerProfiles: getMinerPowerProfiles(miner),
+          powerPresets: getMinerPresets(miner),
+          powerLimits: getMinerPowerLimits(miner),
+          powerChange: getPowerChangeStatus(miner.ip, stats.powerDraw),
+          pause: pauseState[miner.ip] ? { ...pauseState[miner.ip] } : null,
+          sleepWindows: miner.sleepWindows || [],
+          // A paused miner draws next to nothing, whatever the power estimate says
+          ...(isMinerPaused(miner.ip) ? { powerDraw: 0 } : {})
         };
       } catch (err) {
         console.error(`Error fetching stats for ${miner.name} (${miner.ip}):`, err.message);
         return {
           minerIp: miner.ip,
           minerName: miner.name,
+          group: miner.group || null,
           error: err.message,
-          powerProfile: miner.powerProfile
+          driver: getMinerDriver(miner).id,
+          capabilities: getMinerDriver(miner).capabilities,
+          powerProfile: miner.powerProfile,
+          powerTarget: getMinerPowerTarget(miner),
+          powerProfiles: getMinerPowerProfiles(miner),
+          powerPresets: getMinerPresets(miner),
+          powerLimits: getMinerPowerLimits(miner),
+          powerChange: getPowerChangeStatus(miner.ip),
+          pause: pauseState[miner.ip] ? { ...pauseState[miner.ip] } : null,
+          sleepWindows: miner.sleepWindows || []
         };
       }
     });
 
     const minersStats = await Promise.all(minerStatsPromises);
 
+    // Before the alerts, so a miner that is rebooting isn't reported as offline
+    await runMaintenanceChecks(config, minersStats);
+
     // Check for alerts on all miners
     const newAlerts = [];
     if (config.alerts) {
@@ -2667,6 +8592,22 @@ async function pollMiners() {
     minerStatsCache.alerts = newAlerts;
     minerStatsCache.fetchedAt = Date.now();
 
+    await updateConsumptionTracking(config, minersStats);
+    minerStatsCache.capacity = getCapacitySummary(config);
+
+    await runAutoProfileScheduler(config, minersStats);
+    minerStatsCache.autoProfile = getAutoProfileSummary(config);
+
+    await runPauseControl(config, minersStats);
+
+    await runHeatingPlan(config, minersStats);
+    minerStatsCache.heatingPlan = getHeatingPlanSummary(config);
+
+    await runThermostats(config, minersStats);
+    minerStatsCache.thermostat = getThermostatSummary(config);
+
+    minerStatsCache.groups = getGroupSummary(config, minersStats);
+
     // Log connection status on first successful poll or status changes
     const onlineCount = minersStats.filter(m => !m.error).length;
     const totalCount = minersStats.length;
@@ -2689,14 +8630,42 @@ function startBackgroundMinerPolling() {
   setInterval(pollMiners, MINER_POLL_INTERVAL);
 }
 
+let midnightRolloverTimer = null;
+
+/**
+ * Roll the price cache over just after local midnight in the price timezone,
+ * then refetch so the new day's prices (and later tomorrow's) replace yesterday's
+ */
+function scheduleMidnightPriceRollover() {
+  clearTimeout(midnightRolloverTimer);
+  const now = new Date();
+  const timeZone = electricityPriceCache.timezone || DEFAULT_TIMEZONE;
+  const nextMidnight = new Date(getZonedDayStart(now, timeZone, 1).getTime() + 5000);
+
+  midnightRolloverTimer = setTimeout(async () => {
+    rollElectricityPriceCache();
+    await fetchElectricityPrices(
+      electricityPriceCache.country || 'norway',
+      electricityPriceCache.zone || 'NO5'
+    );
+    scheduleMidnightPriceRollover();
+  }, nextMidnight - now);
+}
+
 // ============================================================================
 // Server Startup
 // ============================================================================
 
 async function start() {
   await ensureDataDir();
+  await loadCapacityState();
+  await loadEnergyLedger();
+  await loadPriceImports();
+  await loadPauseState();
   
   const config = await loadConfig();
+  // Midnight rollover needs the price timezone even if the first fetch fails
+  electricityPriceCache.timezone = resolveTimezone(config);
   
   console.log('Fetching initial data...');
   await Promise.all([
@@ -2705,12 +8674,16 @@ async function start() {
     fetchNetworkStats()
   ]);
   
+  await startPriceImportWatcher();
+  startMqttSensors(config);
+  
   setInterval(() => fetchElectricityPrices(
     electricityPriceCache.country || 'norway',
     electricityPriceCache.zone || 'NO5'
   ), 30 * 60 * 1000);
   setInterval(fetchBTCPrice, 5 * 60 * 1000);
   setInterval(fetchNetworkStats, 10 * 60 * 1000);
+  scheduleMidnightPriceRollover();
 
   // Start background miner polling immediately (miners connect before any client opens the dashboard)
   startBackgroundMinerPolling();
@@ -2723,8 +8696,10 @@ async function start() {
     console.log(`📊 Dashboard: http://localhost:${PORT}`);
     console.log(`💾 Data directory: ${DATA_DIR}`);
     console.log(`⚡ Electricity zone: ${electricityPriceCache.zone} (${electricityPriceCache.zoneName || 'Loading...'})`);
+    console.log(`🕐 Price timezone: ${resolveTimezone(config)}`);
+    console.log(`📂 Price import directory: ${PRICE_IMPORT_DIR}`);
     console.log(`💰 BTC Price: ${btcPriceCache.priceNOK?.toLocaleString() || 'Loading...'} NOK`);
-    console.log(`🔌 Current spot price: ${electricityPriceCache.currentPrice?.toFixed(2) || 'Loading...'} NOK/kWh`);
+    console.log(`🔌 Current spot price: ${electricityPriceCache.currentPrice?.toFixed(2) || 'Loading...'} ${electricityPriceCache.currency || 'NOK'}/kWh`);
     console.log(`⛏️  Network hashrate: ${networkStatsCache.hashrateFormatted || 'Loading...'}`);
     console.log('='.repeat(60));
   });
@@ -2743,10 +8718,15 @@ async function start() {
         // Send cached stats immediately - no waiting for miner polling
         const response = {
           miners: minerStatsCache.miners,
-          electricity: electricityPriceCache,
+          electricity: { ...electricityPriceCache, ...minerStatsCache.pricing },
           btcPrice: btcPriceCache,
           network: networkStatsCache,
           alerts: minerStatsCache.alerts,
+          capacity: minerStatsCache.capacity,
+          autoProfile: minerStatsCache.autoProfile,
+          heatingPlan: minerStatsCache.heatingPlan,
+          thermostat: minerStatsCache.thermostat,
+          groups: minerStatsCache.groups,
           alertHistory: alertHistory.slice(-20)
         };
 